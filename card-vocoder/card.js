@@ -1,32 +1,94 @@
+var audioContext;
 var pitchShifter;
 var reverbNode;
 var reverbGain;
 var reverbCounterGain;
 var formantNode;
-var formantSampler;
-var formantLevel;
+var formantLevel = 1;
 var wetMix;
 var dryMix;
 var masterMix;
+// Time constant for slider changes, in seconds. Setting gains directly makes
+// them zipper while a slider moves.
+var smoothingTime = 0.015;
+// Presets imported from a file, after the built-in ones in the picker.
+var importedPresets = [];
+
+function setParam(param, value){
+	param.setTargetAtTime(value, audioContext.currentTime, smoothingTime);
+}
+
+// Splits a wet/dry mix (0 all dry, 1 all wet) into gains by the given law:
+// 'linear', 'equal-power' (the default) or 'decibel', as in the vocoder app.
+function crossfadeGains(mix, law){
+	var x = Math.min(Math.max(mix, 0), 1);
+	if (law === 'linear') return {dry: 1 - x, wet: x};
+	if (law === 'decibel') {
+		var taper = function(v){ return v <= 0 ? 0 : Math.pow(10, 60 * (v - 1) / 20); };
+		return {dry: taper(1 - x), wet: taper(x)};
+	}
+	return {dry: Math.cos(x * Math.PI / 2), wet: Math.sin(x * Math.PI / 2)};
+}
+
+function findPreset(name){
+	return _.findWhere(VocoderPresets.builtIn.concat(importedPresets), {name: name});
+}
 
 Template.card_vocoder.helpers({
 	vocoder:function(){
 		var obj = Flint.collection('vocoders').findOne();
     if (masterMix){ //indicating if it's loaded or not
       pitchShifter.setPitchOffset(parseFloat(obj.pitch));
-    formantLevel = obj.formant;
-      //	formantSampler = new Resampler(audioContext.sampleRate * formantLevel, audioContext.sampleRate, 1, bufferSize, false);
-      reverbGain.gain.value = parseFloat(obj.reverb);
-      reverbCounterGain.gain.value = (1 - parseFloat(obj.reverb));
-      wetMix.gain.value = parseFloat(obj.effect);
-      dryMix.gain.value = (1 - parseFloat(obj.effect));
-      masterMix.gain.value = parseFloat(obj.volume);
+      formantLevel = parseFloat(obj.formant);
+      if (formantNode) {
+        setParam(formantNode.parameters.get('formant'), formantLevel);
+      }
+      var reverb = crossfadeGains(parseFloat(obj.reverb), obj.crossfade);
+      setParam(reverbGain.gain, reverb.wet);
+      setParam(reverbCounterGain.gain, reverb.dry);
+      var effect = crossfadeGains(parseFloat(obj.effect), obj.crossfade);
+      setParam(wetMix.gain, effect.wet);
+      setParam(dryMix.gain, effect.dry);
+      setParam(masterMix.gain, parseFloat(obj.volume));
     }
     return obj;
-  }
+  },
+	presets:function(){
+		return VocoderPresets.builtIn;
+	}
 });
 Template.card_vocoder.events({
-	'change input':function(e){
+	'change select[name="preset"]':function(e){
+		var preset = findPreset(e.target.value);
+		if (preset) VocoderPresets.apply(preset);
+	},
+	'change input[name="presetFile"]':function(e){
+		var file = e.target.files[0];
+		e.target.value = '';
+		if (!file) return;
+		var reader = new FileReader();
+		reader.onload = function(){
+			try {
+				var presets = VocoderPresets.parse(reader.result);
+			} catch (err) {
+				$('span.preset-error').html(_.escape(err.message));
+				return;
+			}
+			$('span.preset-error').html('');
+			var select = $('select[name="preset"]');
+			presets.forEach(function(preset){
+				if (findPreset(preset.name)) return;
+				importedPresets.push(preset);
+				select.append($('<option>').val(preset.name).text(preset.name));
+			});
+			if (presets.length === 1) {
+				select.val(presets[0].name);
+				VocoderPresets.apply(findPreset(presets[0].name));
+			}
+		};
+		reader.readAsText(file);
+	},
+	'change input[type="range"]':function(e){
 		var value = e.target.value;
 		var name = e.target.name;
 		var obj = Flint.collection('vocoders').findOne();
@@ -45,9 +107,8 @@ Template.card_vocoder.rendered = function(){
 		navigator.mozGetUserMedia ||
 		navigator.msGetUserMedia);
 
-	var audioContext = new AudioContext();
+	audioContext = new AudioContext();
 	var concertHallBuffer;
-	var bufferSize = 256;
 	var narrationBuffer;
 
 	$('input[name="pitch"]').on('input', function() {
@@ -94,8 +155,8 @@ Template.card_vocoder.rendered = function(){
 
 /*
 source 	->	dryMix -> masterMix -> output
-		    ->	pitchShifter -> reverbCounterGain -> formantNode -> wetMix
-							           -> reverbGain -> reverbNode -> formantNode -> wetMix -> masterMix -> output
+		    ->	pitchShifter -> formantNode -> reverbCounterGain -> wetMix
+							           -> reverbGain -> reverbNode -> wetMix -> masterMix -> output
 							           */
 
 							           function(stream) {
@@ -113,79 +174,6 @@ source 	->	dryMix -> masterMix -> output
 							           	reverbGain = audioContext.createGain();
 							           	reverbCounterGain = audioContext.createGain();
 
-							           	var formantNode = audioContext.createScriptProcessor(bufferSize, 1, 1);
-							           	var formantLevel = 1.0;
-							           	var formantSampler = new Resampler(audioContext.sampleRate * formantLevel, audioContext.sampleRate, 1, bufferSize, false);
-
-							           	var dft = new DFT(bufferSize, audioContext.sampleRate);
-							           	var fft = new FFT(bufferSize, audioContext.sampleRate);
-
-							           	var ping = true;
-
-							           	var real = new Float32Array(bufferSize),
-							           	imag = new Float32Array(bufferSize),
-							           	newBuffer = new Float32Array(bufferSize);
-
-
-							           	formantNode.onaudioprocess = function(audioProcessingEvent) {
-							           		var inputBuffer = audioProcessingEvent.inputBuffer;
-
-          // The output buffer contains the samples that will be modified and played
-          var outputBuffer = audioProcessingEvent.outputBuffer;
-
-          var realStretchBuffer, imagStretchBuffer;
-
-          // Loop through the output channels (in this case there is only one)
-          for (var channel = 0; channel < outputBuffer.numberOfChannels; channel++) {
-          	var inputData = inputBuffer.getChannelData(channel);
-          	var outputData = outputBuffer.getChannelData(channel);
-
-          	if (formantLevel !== 1) {
-
-          		dft.forward(inputData);
-
-              // Shift the formant on the real and imaginary values
-              realStretchBuffer = new Float32Array(dft.bufferSize * formantLevel);
-              imagStretchBuffer = new Float32Array(dft.bufferSize * formantLevel);
-              var newIndex = 0, lastIndex = 0;
-
-              // Logarithmic resampling
-              for (var sample = 0; sample < dft.bufferSize; sample++) {
-                // Step 1: Take the sample and place it into a new array at the position it should be in
-
-                // This math calculates the stretched position of this array index
-                // newIndex = oldIndex^(Log(Stretch Factor * startingBufferSize) / Log(startingBufferSize))
-                // This will scale the time domain by the stretch factor, keeping low indices close to original space
-                // while factors up the spectrum stretch accordingly
-                newIndex = Math.round(Math.pow(sample, Math.log(formantLevel * dft.bufferSize) / Math.log(dft.bufferSize)), 1);
-                realStretchBuffer[newIndex] = dft.real[sample];
-                imagStretchBuffer[newIndex] = dft.real[sample];
-
-                // Step 2: For the gap between the new index and the original index, calculate the steps between them
-                for (var diffStep = lastIndex; diffStep < newIndex; diffStep++) {
-                	realStretchBuffer[diffStep] = realStretchBuffer[lastIndex] + (newIndex - diffStep) * (realStretchBuffer[newIndex] - realStretchBuffer[lastIndex]) / (newIndex - lastIndex);
-                	imagStretchBuffer[diffStep] = imagStretchBuffer[lastIndex] + (newIndex - diffStep) * (imagStretchBuffer[newIndex] - imagStretchBuffer[lastIndex]) / (newIndex - lastIndex);
-                }
-
-                lastIndex = newIndex;
-              }
-
-              // Step 3: Re-sample to the original window size using a linear transform
-              real = formantSampler.resampler(realStretchBuffer);
-              imag = formantSampler.resampler(imagStretchBuffer);
-
-              newBuffer = fft.inverse(real, imag);
-            } else {
-             newBuffer = inputData;
-           }
-
-           for (var sample = 0; sample < newBuffer.length; sample++) {
-             outputData[sample] = newBuffer[sample];
-           }
-         }
-       };
-
-
        wetMix = audioContext.createGain();
        dryMix = audioContext.createGain();
        masterMix = audioContext.createGain();
@@ -207,6 +195,19 @@ source 	->	dryMix -> masterMix -> output
        reverbNode.connect(wetMix);
        wetMix.connect(masterMix);
 
+       // The formant shifter is an AudioWorklet served from this package, so
+       // patch it in between the pitch shifter and the reverb once it loads.
+       audioContext.audioWorklet.addModule('/packages/card-vocoder/formant-shifter.js').then(function() {
+         formantNode = new AudioWorkletNode(audioContext, 'formant-shifter');
+         formantNode.parameters.get('formant').value = formantLevel;
+         pitchShifter.output.disconnect();
+         pitchShifter.output.connect(formantNode);
+         formantNode.connect(reverbCounterGain);
+         formantNode.connect(reverbGain);
+       }, function(err) {
+         console.log("error loading formant shifter " + err);
+       });
+
        var oscillator = audioContext.createOscillator();
        oscillator.type = 'square';
        oscillator.frequency.value = 440;
@@ -468,26 +469,47 @@ function createFadeBuffer(context, activeTime, fadeTime) {
     this.mix2 = mix2;
     this.delay1 = delay1;
     this.delay2 = delay2;
+
+    // Which pair of modulators is running, matching the gains above.
+    this.shiftUp = false;
+    // Time constant for changes to the amount of shift, in seconds.
+    this.delayTimeConstant = 0.010;
+    // How long the output fades out, and back in, when switching between
+    // shifting up and down.
+    this.flipFadeTime = 0.010;
     
     this.setDelay(delayTime);
   }
 
   Jungle.prototype.setDelay = function(delayTime) {
-   this.modGain1.gain.setTargetAtTime(0.5*delayTime, 0, 0.010);
-   this.modGain2.gain.setTargetAtTime(0.5*delayTime, 0, 0.010);
+   var now = this.context.currentTime;
+   this.modGain1.gain.setTargetAtTime(0.5*delayTime, now, this.delayTimeConstant);
+   this.modGain2.gain.setTargetAtTime(0.5*delayTime, now, this.delayTimeConstant);
  }
 
  Jungle.prototype.setPitchOffset = function(mult) {
-  if (mult>0) { // pitch up
-  	this.mod1Gain.gain.value = 0;
-  	this.mod2Gain.gain.value = 0;
-  	this.mod3Gain.gain.value = 1;
-  	this.mod4Gain.gain.value = 1;
-  } else { // pitch down
-  	this.mod1Gain.gain.value = 1;
-  	this.mod2Gain.gain.value = 1;
-  	this.mod3Gain.gain.value = 0;
-  	this.mod4Gain.gain.value = 0;
+  var shiftUp = mult > 0;
+  if (shiftUp !== this.shiftUp) {
+  	// Swapping the modulators makes the delay times jump, which clicks. The
+  	// two directions share the delay lines, so fade the output out, swap them
+  	// while it's silent, and fade back in.
+  	var now = this.context.currentTime;
+  	var swapTime = now + this.flipFadeTime;
+  	var gain = this.output.gain;
+  	if (gain.cancelAndHoldAtTime) {
+  		gain.cancelAndHoldAtTime(now);
+  	} else {
+  		gain.cancelScheduledValues(now);
+  		gain.setValueAtTime(gain.value, now);
+  	}
+  	gain.linearRampToValueAtTime(0, swapTime);
+  	gain.linearRampToValueAtTime(1, swapTime + this.flipFadeTime);
+
+  	this.mod1Gain.gain.setValueAtTime(shiftUp ? 0 : 1, swapTime);
+  	this.mod2Gain.gain.setValueAtTime(shiftUp ? 0 : 1, swapTime);
+  	this.mod3Gain.gain.setValueAtTime(shiftUp ? 1 : 0, swapTime);
+  	this.mod4Gain.gain.setValueAtTime(shiftUp ? 1 : 0, swapTime);
+  	this.shiftUp = shiftUp;
   }
   this.setDelay(delayTime*Math.abs(mult));
 }
@@ -4,8 +4,10 @@ Package.describe({
 });
 
 Package.on_use(function(api) {
-	api.use(['templating', 'flint', 'jquery']);
+	api.use(['templating', 'flint', 'jquery', 'underscore']);
 	//api.add_files(['library.js'], 'client', {bare:true});
 	api.add_files(['publish.js'], 'server');
-	api.add_files(['card.html', 'card.js'], 'client');
+	api.add_files(['card.html', 'presets.js', 'card.js'], 'client');
+	// AudioWorklet modules are loaded by URL, so serve them as plain assets.
+	api.add_files(['formant-shifter.js', 'fft.js'], 'client', {isAsset: true});
 });
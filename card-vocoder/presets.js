@@ -0,0 +1,191 @@
+// Vocoder presets, in the same versioned JSON format the vocoder app imports
+// and exports ({format: 'vocoder-presets', version: 1, presets: [...]}).
+VocoderPresets = (function(){
+	var FORMAT = 'vocoder-presets';
+	// Settings the app has added since version 1 (eq, pitchMode,
+	// pitchCorrection, channelVocoder, harmony) are optional, so files with or
+	// without them are both version 1 and both load.
+	var VERSION = 1;
+
+	var defaults = {pitch: 0, formant: 1, reverb: 0, effect: 1, volume: 1, robot: false, crossfade: 'equal-power'};
+
+	// The card has no robot voice, equaliser, pitch correction, channel
+	// vocoder or harmonizer, but the settings are still checked so files from the vocoder app load
+	// cleanly.
+	var schema = {
+		pitchMode: {type: 'choice', values: ['shift', 'correct', 'carrier']},
+		pitch: {type: 'number', min: -1, max: 1},
+		pitchCorrection: {type: 'pitchCorrection'},
+		channelVocoder: {type: 'channelVocoder'},
+		formant: {type: 'number', min: 0.05, max: 2},
+		reverb: {type: 'number', min: 0, max: 1},
+		effect: {type: 'number', min: 0, max: 1},
+		volume: {type: 'number', min: 0, max: 5},
+		robot: {type: 'boolean'},
+		harmony: {type: 'harmony'},
+		crossfade: {type: 'choice', values: ['linear', 'equal-power', 'decibel']},
+		eq: {type: 'eq'}
+	};
+
+	function validateRange(value, path, min, max){
+		if (typeof value !== 'number' || !isFinite(value) || value < min || value > max) throw new Error(path + ' must be a number from ' + min + ' to ' + max);
+	}
+
+	// The app's limits, from its equaliser. It has a filter per band, so
+	// there has to be one for each.
+	var EQ_BANDS = 10;
+	var EQ_BAND_TYPES = ['lowshelf', 'peaking', 'highshelf'];
+	var EQ_BAND_RANGES = {
+		frequency: {min: 20, max: 20000},
+		gain: {min: -24, max: 24},
+		bandwidth: {min: 0.1, max: 4}
+	};
+
+	function validateEq(value, path){
+		if (!Array.isArray(value) || value.length !== EQ_BANDS) throw new Error(path + ' must be a list of ' + EQ_BANDS + ' bands');
+		_.each(value, function(band, i){
+			var bandPath = path + '[' + i + ']';
+			if (!isObject(band)) throw new Error(bandPath + ' must be an object');
+			if (!_.contains(EQ_BAND_TYPES, band.type)) throw new Error(bandPath + '.type must be one of ' + EQ_BAND_TYPES.join(', '));
+			_.each(EQ_BAND_RANGES, function(range, key){
+				validateRange(band[key], bandPath + '.' + key, range.min, range.max);
+			});
+		});
+	}
+
+	// The app's limits, from its pitch correction.
+	var PITCH_CORRECT_SCALES = ['chromatic', 'major', 'minor', 'custom', 'note'];
+	var MAX_RETUNE_SPEED = 2;
+
+	function validatePitchClass(value, path){
+		if (value !== Math.round(value)) throw new Error(path + ' must be a whole number from 0 to 11');
+		validateRange(value, path, 0, 11);
+	}
+
+	function validatePitchCorrection(value, path){
+		if (!isObject(value)) throw new Error(path + ' must be an object');
+		if (!_.contains(PITCH_CORRECT_SCALES, value.scale)) throw new Error(path + '.scale must be one of ' + PITCH_CORRECT_SCALES.join(', '));
+		validatePitchClass(value.key, path + '.key');
+		if (!Array.isArray(value.notes)) throw new Error(path + '.notes must be a list of pitch classes');
+		_.each(value.notes, function(note, i){
+			validatePitchClass(note, path + '.notes[' + i + ']');
+		});
+		if (value.note !== Math.round(value.note)) throw new Error(path + '.note must be a MIDI note number');
+		validateRange(value.note, path + '.note', 0, 127);
+		validateRange(value.retuneSpeed, path + '.retuneSpeed', 0, MAX_RETUNE_SPEED);
+		validateRange(value.humanize, path + '.humanize', 0, 1);
+	}
+
+	// The app's limits, from its channel vocoder.
+	var MAX_CHANNEL_VOCODER_BANDS = 32;
+	var CARRIER_TYPES = ['oscillator', 'noise', 'file'];
+	var CARRIER_WAVEFORMS = ['sawtooth', 'square', 'triangle', 'sine'];
+	var CHANNEL_VOCODER_RANGES = {
+		bands: {min: 1, max: MAX_CHANNEL_VOCODER_BANDS},
+		frequency: {min: 20, max: 2000},
+		minFrequency: {min: 20, max: 20000},
+		maxFrequency: {min: 20, max: 20000},
+		attack: {min: 0.0001, max: 1},
+		release: {min: 0.0001, max: 2},
+		gain: {min: 0, max: 100}
+	};
+
+	function validateChannelVocoder(value, path){
+		if (!isObject(value)) throw new Error(path + ' must be an object');
+		if (!_.contains(CARRIER_TYPES, value.carrier)) throw new Error(path + '.carrier must be one of ' + CARRIER_TYPES.join(', '));
+		if (!_.contains(CARRIER_WAVEFORMS, value.waveform)) throw new Error(path + '.waveform must be one of ' + CARRIER_WAVEFORMS.join(', '));
+		if (value.bands !== Math.round(value.bands)) throw new Error(path + '.bands must be a whole number');
+		_.each(CHANNEL_VOCODER_RANGES, function(range, key){
+			validateRange(value[key], path + '.' + key, range.min, range.max);
+		});
+	}
+
+	// The app's limits, from its harmonizer.
+	var MAX_HARMONY_VOICES = 8;
+	var HARMONY_VOICE_RANGES = {
+		interval: {min: -24, max: 24},
+		detune: {min: -100, max: 100},
+		gain: {min: 0, max: 2},
+		pan: {min: -1, max: 1},
+		delay: {min: 0, max: 100}
+	};
+
+	function validateHarmony(value, path){
+		if (!Array.isArray(value) || value.length > MAX_HARMONY_VOICES) throw new Error(path + ' must be a list of up to ' + MAX_HARMONY_VOICES + ' voices');
+		_.each(value, function(voice, i){
+			var voicePath = path + '[' + i + ']';
+			if (!isObject(voice)) throw new Error(voicePath + ' must be an object');
+			_.each(HARMONY_VOICE_RANGES, function(range, key){
+				validateRange(voice[key], voicePath + '.' + key, range.min, range.max);
+			});
+		});
+	}
+
+	function preset(name, config){
+		return {name: name, config: _.extend({}, defaults, config)};
+	}
+
+	var builtIn = [
+		preset('Alien', {pitch: 0.5, formant: 1.4, reverb: 0.3}),
+		preset('Radio', {pitch: 0.1, formant: 1.2, volume: 0.8}),
+		preset('Deep Captain', {pitch: -0.35, formant: 0.8, reverb: 0.25})
+	];
+
+	function isObject(value){
+		return typeof value === 'object' && value !== null && !Array.isArray(value);
+	}
+
+	function validateConfig(value, path){
+		if (!isObject(value)) throw new Error(path + ' must be an object');
+		var config = _.extend({}, defaults);
+		_.each(value, function(field, key){
+			var fieldSchema = schema[key];
+			if (!fieldSchema) throw new Error(path + '.' + key + " isn't a vocoder setting");
+			if (fieldSchema.type === 'boolean') {
+				if (typeof field !== 'boolean') throw new Error(path + '.' + key + ' must be true or false');
+			} else if (fieldSchema.type === 'eq') {
+				validateEq(field, path + '.' + key);
+			} else if (fieldSchema.type === 'pitchCorrection') {
+				validatePitchCorrection(field, path + '.' + key);
+			} else if (fieldSchema.type === 'channelVocoder') {
+				validateChannelVocoder(field, path + '.' + key);
+			} else if (fieldSchema.type === 'harmony') {
+				validateHarmony(field, path + '.' + key);
+			} else if (fieldSchema.type === 'choice') {
+				if (!_.contains(fieldSchema.values, field)) throw new Error(path + '.' + key + ' must be one of ' + fieldSchema.values.join(', '));
+			} else if (typeof field !== 'number' || !isFinite(field) || field < fieldSchema.min || field > fieldSchema.max) {
+				throw new Error(path + '.' + key + ' must be a number from ' + fieldSchema.min + ' to ' + fieldSchema.max);
+			}
+			config[key] = field;
+		});
+		return config;
+	}
+
+	// Parses a preset file, throwing an error naming the bad field if it
+	// doesn't match the format.
+	function parse(json){
+		var data = JSON.parse(json);
+		if (!isObject(data) || data.format !== FORMAT) throw new Error("This isn't a vocoder preset file");
+		if (data.version !== VERSION) throw new Error('Unsupported preset file version ' + data.version + ', expected ' + VERSION);
+		if (!Array.isArray(data.presets)) throw new Error('presets must be a list');
+		return data.presets.map(function(item, i){
+			var path = 'presets[' + i + ']';
+			if (!isObject(item)) throw new Error(path + ' must be an object');
+			if (typeof item.name !== 'string' || !item.name.trim()) throw new Error(path + '.name must be a non-empty string');
+			return {name: item.name.trim(), config: validateConfig(item.config, path + '.config')};
+		});
+	}
+
+	// Writes a preset's settings to the simulator's vocoders document, which
+	// the card's helper then applies to the audio graph.
+	function apply(preset){
+		var obj = Flint.collection('vocoders').findOne();
+		var settings = {};
+		_.each(['pitch', 'formant', 'reverb', 'effect', 'volume', 'crossfade'], function(key){
+			settings[key] = preset.config[key];
+		});
+		Flint.collection('vocoders').update({_id: obj._id}, {$set: settings});
+	}
+
+	return {FORMAT: FORMAT, VERSION: VERSION, builtIn: builtIn, parse: parse, apply: apply};
+})();
@@ -0,0 +1,71 @@
+/**
+ * Captures whatever is connected to its input and posts it to the main thread
+ * as raw PCM, one Float32Array per channel, in chunks of `chunkFrames`.
+ *
+ * Send `{ type: "start" }` and `{ type: "stop" }` over the port to control
+ * it. After a stop, any partial chunk is flushed and a `stopped` message is
+ * posted. The node has no outputs, so the browser keeps pulling it without
+ * it being connected to the destination.
+ */
+class RecorderProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { chunkFrames = 8192 } = (options && options.processorOptions) || {};
+    this.chunkFrames = chunkFrames;
+    this.recording = false;
+    this.chunk = null;
+    this.filled = 0;
+    this.port.onmessage = this.onmessage.bind(this);
+  }
+
+  onmessage(event) {
+    const { data } = event;
+    if (data.type === "start") {
+      this.recording = true;
+    } else if (data.type === "stop") {
+      this.flush();
+      this.recording = false;
+      this.port.postMessage({ type: "stopped" });
+    }
+  }
+
+  flush() {
+    if (!this.chunk || this.filled === 0) return;
+    const channels = this.chunk.map((channel) => channel.slice(0, this.filled));
+    this.port.postMessage(
+      { type: "data", channels },
+      channels.map((channel) => channel.buffer)
+    );
+    this.filled = 0;
+  }
+
+  process(inputs) {
+    if (!this.recording) return true;
+
+    const input = inputs[0];
+    // A disconnected input has no channels; record it as mono silence.
+    const channelCount = Math.max(1, input.length);
+    if (!this.chunk || this.chunk.length !== channelCount) {
+      this.flush();
+      this.chunk = [];
+      for (let channel = 0; channel < channelCount; channel++) {
+        this.chunk.push(new Float32Array(this.chunkFrames));
+      }
+    }
+
+    const frames = input.length ? input[0].length : 128;
+    for (let channel = 0; channel < channelCount; channel++) {
+      if (input[channel]) {
+        this.chunk[channel].set(input[channel], this.filled);
+      } else {
+        this.chunk[channel].fill(0, this.filled, this.filled + frames);
+      }
+    }
+    this.filled += frames;
+    if (this.filled + frames > this.chunkFrames) this.flush();
+
+    return true;
+  }
+}
+
+registerProcessor("recorder", RecorderProcessor);
@@ -0,0 +1,122 @@
+/**
+ * A lock-free ring buffer of fixed-size Float32 frames over a
+ * SharedArrayBuffer, for one thread to write and one other thread to read.
+ *
+ * The buffer starts with two Int32s, the read and write indices in frames,
+ * followed by the frames themselves. One slot is always left empty so a full
+ * buffer can be told apart from an empty one. Each index is only ever stored
+ * by one side, and only after the frame it points past has been copied, so
+ * neither side needs a lock.
+ *
+ * src/analysisReader has the same class for the main thread.
+ */
+const READ = 0;
+const WRITE = 1;
+const HEADER_BYTES = 2 * Int32Array.BYTES_PER_ELEMENT;
+
+export class RingBuffer {
+  // Bytes needed to hold `capacity` frames of `frameSize` samples.
+  static byteLength(frameSize, capacity) {
+    return (
+      HEADER_BYTES + (capacity + 1) * frameSize * Float32Array.BYTES_PER_ELEMENT
+    );
+  }
+
+  static create(frameSize, capacity) {
+    return new SharedArrayBuffer(RingBuffer.byteLength(frameSize, capacity));
+  }
+
+  constructor(buffer, frameSize) {
+    this.frameSize = frameSize;
+    this.indices = new Int32Array(buffer, 0, 2);
+    this.data = new Float32Array(buffer, HEADER_BYTES);
+    this.slots = this.data.length / frameSize;
+  }
+
+  // How many frames are waiting to be read.
+  available() {
+    const read = Atomics.load(this.indices, READ);
+    const write = Atomics.load(this.indices, WRITE);
+    return (write - read + this.slots) % this.slots;
+  }
+
+  // Copies `frame` in, or returns false without blocking if the buffer is
+  // full. Writer only.
+  push(frame) {
+    const write = Atomics.load(this.indices, WRITE);
+    const next = (write + 1) % this.slots;
+    if (next === Atomics.load(this.indices, READ)) return false;
+    this.data.set(frame, write * this.frameSize);
+    Atomics.store(this.indices, WRITE, next);
+    return true;
+  }
+
+  // Copies the oldest frame into `target`, or returns false if there's
+  // nothing to read. Reader only.
+  pop(target) {
+    const read = Atomics.load(this.indices, READ);
+    if (read === Atomics.load(this.indices, WRITE)) return false;
+    const start = read * this.frameSize;
+    target.set(this.data.subarray(start, start + this.frameSize));
+    Atomics.store(this.indices, READ, (read + 1) % this.slots);
+    return true;
+  }
+
+  // Copies the newest frame into `target` and skips everything older, for a
+  // reader that only draws the latest. Reader only.
+  popLatest(target) {
+    const write = Atomics.load(this.indices, WRITE);
+    if (Atomics.load(this.indices, READ) === write) return false;
+    const start = ((write - 1 + this.slots) % this.slots) * this.frameSize;
+    target.set(this.data.subarray(start, start + this.frameSize));
+    Atomics.store(this.indices, READ, write);
+    return true;
+  }
+}
+
+/**
+ * Sends analysis frames from a processor to the main thread without
+ * allocating on the audio thread.
+ *
+ * Given `buffer`, a SharedArrayBuffer from the main thread, every frame goes
+ * into a RingBuffer over it, and frames are dropped while the reader is
+ * behind. Without one, because the page isn't cross-origin isolated, every
+ * `interval`th frame is copied into one of a few spare ArrayBuffers and
+ * transferred as `{ type: "analysis", frame }`. The main thread sends each
+ * back as `{ type: "analysis-buffer", buffer }` once it's read it, and frames
+ * are dropped while none are spare.
+ */
+export class AnalysisSender {
+  constructor(port, { buffer, frameSize, interval = 10, spares = 4 }) {
+    this.port = port;
+    this.ring = buffer ? new RingBuffer(buffer, frameSize) : null;
+    this.interval = interval;
+    this.count = 0;
+    this.spares = [];
+    if (!this.ring) {
+      for (let i = 0; i < spares; i++) {
+        this.spares.push(new Float32Array(frameSize));
+      }
+    }
+  }
+
+  // Returns true if the message was a buffer coming back.
+  onmessage(event) {
+    const { data } = event;
+    if (data.type !== "analysis-buffer") return false;
+    this.spares.push(new Float32Array(data.buffer));
+    return true;
+  }
+
+  send(frame) {
+    if (this.ring) {
+      this.ring.push(frame);
+      return;
+    }
+    this.count = (this.count + 1) % this.interval;
+    if (this.count !== 0 || this.spares.length === 0) return;
+    const spare = this.spares.pop();
+    spare.set(frame);
+    this.port.postMessage({ type: "analysis", frame: spare }, [spare.buffer]);
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * The main thread's end of public/ring-buffer.js, for reading the analysis
+ * frames a processor sends with AnalysisSender.
+ */
+const READ = 0;
+const WRITE = 1;
+const HEADER_BYTES = 2 * Int32Array.BYTES_PER_ELEMENT;
+
+/**
+ * A lock-free ring buffer of fixed-size Float32 frames over a
+ * SharedArrayBuffer, for one thread to write and one other thread to read.
+ * The same layout as the RingBuffer in public/ring-buffer.js.
+ */
+export class RingBuffer {
+  static byteLength(frameSize, capacity) {
+    return (
+      HEADER_BYTES + (capacity + 1) * frameSize * Float32Array.BYTES_PER_ELEMENT
+    );
+  }
+
+  static create(frameSize, capacity) {
+    return new SharedArrayBuffer(RingBuffer.byteLength(frameSize, capacity));
+  }
+
+  constructor(buffer, frameSize) {
+    this.frameSize = frameSize;
+    this.indices = new Int32Array(buffer, 0, 2);
+    this.data = new Float32Array(buffer, HEADER_BYTES);
+    this.slots = this.data.length / frameSize;
+  }
+
+  available() {
+    const read = Atomics.load(this.indices, READ);
+    const write = Atomics.load(this.indices, WRITE);
+    return (write - read + this.slots) % this.slots;
+  }
+
+  // Writer only.
+  push(frame) {
+    const write = Atomics.load(this.indices, WRITE);
+    const next = (write + 1) % this.slots;
+    if (next === Atomics.load(this.indices, READ)) return false;
+    this.data.set(frame, write * this.frameSize);
+    Atomics.store(this.indices, WRITE, next);
+    return true;
+  }
+
+  // Reader only.
+  pop(target) {
+    const read = Atomics.load(this.indices, READ);
+    if (read === Atomics.load(this.indices, WRITE)) return false;
+    const start = read * this.frameSize;
+    target.set(this.data.subarray(start, start + this.frameSize));
+    Atomics.store(this.indices, READ, (read + 1) % this.slots);
+    return true;
+  }
+
+  // Reads the newest frame and skips everything older. Reader only.
+  popLatest(target) {
+    const write = Atomics.load(this.indices, WRITE);
+    if (Atomics.load(this.indices, READ) === write) return false;
+    const start = ((write - 1 + this.slots) % this.slots) * this.frameSize;
+    target.set(this.data.subarray(start, start + this.frameSize));
+    Atomics.store(this.indices, READ, write);
+    return true;
+  }
+}
+
+// SharedArrayBuffer can only be shared with a worklet once the page has been
+// served with the COOP and COEP headers.
+export function canShareMemory() {
+  return (
+    typeof SharedArrayBuffer !== "undefined" && !!window.crossOriginIsolated
+  );
+}
+
+/**
+ * Sets up the main thread's side of a processor's analysis stream, frames of
+ * `frameSize` samples with up to `capacity` of them waiting.
+ *
+ * Pass `options` to the processor as processorOptions.analysis and `connect`
+ * its port, then call `readLatest(target)` to copy in the newest frame; it
+ * returns false if nothing new has arrived. It reads through a shared
+ * RingBuffer where it can, and otherwise holds on to the newest transferred
+ * frame and hands the older ones back for reuse.
+ */
+export function createAnalysisReader(frameSize, capacity = 32) {
+  if (canShareMemory()) {
+    const buffer = RingBuffer.create(frameSize, capacity);
+    const ring = new RingBuffer(buffer, frameSize);
+    return {
+      options: { buffer, frameSize },
+      connect: () => () => {},
+      readLatest: target => ring.popLatest(target)
+    };
+  }
+
+  let latest = null;
+  let port = null;
+  const giveBack = frame => {
+    if (port) {
+      port.postMessage({ type: "analysis-buffer", buffer: frame.buffer }, [
+        frame.buffer
+      ]);
+    }
+  };
+
+  return {
+    options: { frameSize },
+    connect(next) {
+      port = next;
+      const onMessage = ({ data }) => {
+        if (data.type !== "analysis") return;
+        if (latest) giveBack(latest);
+        latest = data.frame;
+      };
+      next.addEventListener("message", onMessage);
+      next.start();
+      return () => {
+        next.removeEventListener("message", onMessage);
+        if (port === next) port = null;
+      };
+    },
+    readLatest(target) {
+      if (!latest) return false;
+      target.set(latest);
+      giveBack(latest);
+      latest = null;
+      return true;
+    }
+  };
+}
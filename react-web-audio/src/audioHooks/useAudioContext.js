@@ -1,9 +1,87 @@
 import React from "react";
 
-export const AContext = React.createContext({});
+// Only available inside ReactAudioContext, which doesn't render its children
+// until the context exists.
+export const AContext = React.createContext(null);
 
-export default function ReactAudioContext({ children }) {
-  const [audioContext] = React.useState(new AudioContext());
+const AContextControls = React.createContext({
+  state: "suspended",
+  resume: () => Promise.resolve(),
+  suspend: () => Promise.resolve()
+});
 
-  return <AContext.Provider value={audioContext}>{children}</AContext.Provider>;
+// The shared AudioContext's state, with functions to resume and suspend it.
+export function useAudioContextState() {
+  return React.useContext(AContextControls);
+}
+
+const gateStyle = {
+  position: "fixed",
+  top: 0,
+  left: 0,
+  width: "100%",
+  height: "100%",
+  zIndex: 50,
+  background: "rgba(0, 0, 0, 0.75)",
+  color: "white",
+  fontSize: "1.5rem",
+  border: "none"
+};
+
+/**
+ * Provides a single AudioContext to the audio hooks.
+ *
+ * The context is created after mount, so strict mode's double render doesn't
+ * make a second one, and closed on unmount. Browsers start it suspended until
+ * the page has had a user gesture, so while it's suspended a "click to start
+ * audio" gate covers the page.
+ */
+export default function ReactAudioContext({
+  children,
+  latencyHint,
+  sampleRate
+}) {
+  const [audioContext, setAudioContext] = React.useState(null);
+  const [state, setState] = React.useState("suspended");
+  // Counts the contexts made, so the children remount onto a new one when
+  // the options change.
+  const generation = React.useRef(0);
+
+  React.useEffect(() => {
+    const context = new AudioContext({ latencyHint, sampleRate });
+    const updateState = () => setState(context.state);
+    context.addEventListener("statechange", updateState);
+    updateState();
+    generation.current++;
+    setAudioContext(context);
+    return () => {
+      context.removeEventListener("statechange", updateState);
+      context.close();
+    };
+  }, [latencyHint, sampleRate]);
+
+  const controls = React.useMemo(
+    () => ({
+      state,
+      resume: () =>
+        audioContext ? audioContext.resume() : Promise.resolve(),
+      suspend: () =>
+        audioContext ? audioContext.suspend() : Promise.resolve()
+    }),
+    [audioContext, state]
+  );
+
+  if (!audioContext) return null;
+  return (
+    <AContext.Provider value={audioContext}>
+      <AContextControls.Provider value={controls}>
+        <React.Fragment key={generation.current}>{children}</React.Fragment>
+        {state === "suspended" && (
+          <button style={gateStyle} onClick={controls.resume}>
+            Click to start audio
+          </button>
+        )}
+      </AContextControls.Provider>
+    </AContext.Provider>
+  );
 }
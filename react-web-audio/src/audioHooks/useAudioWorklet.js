@@ -1,15 +1,22 @@
 import React from "react";
 import { AContext } from "./useAudioContext";
 
-export default function useAudioWorklet(scriptPath, processorName) {
+export default function useAudioWorklet(scriptPath, processorName, options) {
   const audioContext = React.useContext(AContext);
+  // Options only apply when the node is created, so changing them later
+  // shouldn't tear the node down.
+  const optionsRef = React.useRef(options);
   const [workletNode, setWorkletNode] = React.useState(null);
 
   React.useEffect(() => {
     audioContext.audioWorklet
       .addModule(scriptPath)
       .then(() => {
-        const node = new AudioWorkletNode(audioContext, processorName);
+        const node = new AudioWorkletNode(
+          audioContext,
+          processorName,
+          optionsRef.current
+        );
         node.onprocessorerror = m => console.error(m);
         setWorkletNode(node);
       })
@@ -1,37 +1,87 @@
 import React from "react";
 import { AContext } from "./useAudioContext";
 
-export default function useMicrophone() {
-  const [mediaDevice, setMediaDevice] = React.useState(null);
+function statusForError(err) {
+  return err.name === "NotAllowedError" || err.name === "SecurityError"
+    ? "denied"
+    : "no-device";
+}
+
+// Opens the microphone. `status` is one of "unsupported", "prompting",
+// "denied", "no-device" or "active". The browser's voice processing is tuned
+// for calls and smears effects, so it's all off unless asked for.
+export default function useMicrophone({
+  deviceId = "",
+  echoCancellation = false,
+  noiseSuppression = false,
+  autoGainControl = false,
+  channelCount,
+  latency
+} = {}) {
   const audioContext = React.useContext(AContext);
-  React.useEffect(() => {
-    if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
-      console.log("getUserMedia supported.");
-      navigator.mediaDevices
-        .getUserMedia(
-          // constraints - only audio needed for this app
-          {
-            audio: true
-          }
-        )
+  const supported = Boolean(
+    navigator.mediaDevices && navigator.mediaDevices.getUserMedia
+  );
+  const [node, setNode] = React.useState(null);
+  const [status, setStatus] = React.useState(
+    supported ? "prompting" : "unsupported"
+  );
+  const [error, setError] = React.useState(null);
+  // Bumped to open the microphone again: on retry, and when its track ends,
+  // e.g. when it's unplugged.
+  const [restarts, setRestarts] = React.useState(0);
+  const retry = React.useCallback(() => setRestarts(count => count + 1), []);
 
-        // Success callback
-        .then(function(stream) {
-          let options = {
-            mediaStream: stream
-          };
+  React.useEffect(() => {
+    if (!supported) return;
+    let stream = null;
+    let cancelled = false;
+    setStatus("prompting");
+    setError(null);
 
-          let source = new MediaStreamAudioSourceNode(audioContext, options);
-          setMediaDevice(source);
-        })
+    const constraints = { echoCancellation, noiseSuppression, autoGainControl };
+    if (deviceId) constraints.deviceId = { exact: deviceId };
+    if (channelCount) constraints.channelCount = channelCount;
+    if (latency !== undefined) constraints.latency = latency;
 
-        // Error callback
-        .catch(function(err) {
-          console.log("The following getUserMedia error occured: " + err);
+    navigator.mediaDevices
+      .getUserMedia({ audio: constraints })
+      .then(mediaStream => {
+        if (cancelled) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        stream.getAudioTracks().forEach(track => {
+          track.onended = retry;
         });
-    } else {
-      console.log("getUserMedia not supported on your browser!");
-    }
-  }, [audioContext]);
-  return mediaDevice;
+        setNode(new MediaStreamAudioSourceNode(audioContext, { mediaStream }));
+        setStatus("active");
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error("Couldn't open the microphone", err);
+        setNode(null);
+        setError(err);
+        setStatus(statusForError(err));
+      });
+
+    return () => {
+      cancelled = true;
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, [
+    audioContext,
+    supported,
+    deviceId,
+    echoCancellation,
+    noiseSuppression,
+    autoGainControl,
+    channelCount,
+    latency,
+    restarts,
+    retry
+  ]);
+
+  return { node, status, error, retry };
 }
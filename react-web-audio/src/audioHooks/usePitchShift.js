@@ -1,14 +1,35 @@
 import React from "react";
 import PitchShift from "soundbank-pitch-shift";
 import { AContext } from "./useAudioContext";
+import useEffectOptions, { smoothParam, withMix } from "./useEffectOptions";
 
-export default function usePitchShift() {
+// Options: transpose (semitones), wet and dry (or mix and crossfade, see
+// withMix). Returns the node and `set`, which takes any of the same options.
+export default function usePitchShift({
+  transpose = 0,
+  wet = 1,
+  dry = 0
+} = {}) {
   const audioContext = React.useContext(AContext);
-  const [pitchShift] = React.useState(PitchShift(audioContext));
+  const [pitchShift] = React.useState(() => PitchShift(audioContext));
 
-  pitchShift.transpose = 0;
-  pitchShift.wet.value = 1;
-  pitchShift.dry.value = 0;
+  const set = React.useCallback(
+    options => {
+      const changes = withMix(options);
+      if (changes.transpose !== undefined) {
+        pitchShift.transpose = changes.transpose;
+      }
+      if (changes.wet !== undefined) {
+        smoothParam(audioContext, pitchShift.wet, changes.wet);
+      }
+      if (changes.dry !== undefined) {
+        smoothParam(audioContext, pitchShift.dry, changes.dry);
+      }
+    },
+    [audioContext, pitchShift]
+  );
 
-  return pitchShift;
+  useEffectOptions(withMix({ transpose, wet, dry, mix, crossfade }), set);
+
+  return { node: pitchShift, set };
 }
@@ -0,0 +1,91 @@
+import React from "react";
+import { AContext } from "./useAudioContext";
+import useAudioWorklet from "./useAudioWorklet";
+import { downloadBlob, encodeWav } from "../wav";
+
+function concatChunks(chunks) {
+  const channelCount = Math.max(0, ...chunks.map(chunk => chunk.length));
+  const length = chunks.reduce((sum, chunk) => sum + chunk[0].length, 0);
+  const channels = [];
+  for (let channel = 0; channel < channelCount; channel++) {
+    const data = new Float32Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+      // Chunks recorded with fewer channels fill the others from the first.
+      data.set(chunk[channel] || chunk[0], offset);
+      offset += chunk[0].length;
+    }
+    channels.push(data);
+  }
+  return channels;
+}
+
+// Records whatever is connected to `source` through the recorder worklet.
+// `state` is "idle", "recording" or "stopping".
+export default function useRecorder(source) {
+  const audioContext = React.useContext(AContext);
+  const recorder = useAudioWorklet("recorder.js", "recorder", {
+    numberOfInputs: 1,
+    numberOfOutputs: 0
+  });
+  const [state, setState] = React.useState("idle");
+  const [recording, setRecording] = React.useState(null);
+  const chunks = React.useRef([]);
+
+  React.useEffect(() => {
+    if (!recorder) return;
+    recorder.port.onmessage = ({ data }) => {
+      if (data.type === "data") {
+        chunks.current.push(data.channels);
+      } else if (data.type === "stopped") {
+        setRecording(
+          chunks.current.length ? concatChunks(chunks.current) : null
+        );
+        chunks.current = [];
+        setState("idle");
+      }
+    };
+    return () => {
+      recorder.port.onmessage = null;
+    };
+  }, [recorder]);
+
+  React.useEffect(() => {
+    if (!recorder || !source) return;
+    source.connect(recorder);
+    return () => source.disconnect(recorder);
+  }, [recorder, source]);
+
+  const start = React.useCallback(() => {
+    if (!recorder) return;
+    chunks.current = [];
+    recorder.port.postMessage({ type: "start" });
+    setState("recording");
+  }, [recorder]);
+
+  const stop = React.useCallback(() => {
+    if (!recorder) return;
+    recorder.port.postMessage({ type: "stop" });
+    setState("stopping");
+  }, [recorder]);
+
+  const download = React.useCallback(
+    (format = "int16", filename = "recording.wav") => {
+      if (!recording) return;
+      downloadBlob(
+        encodeWav(recording, audioContext.sampleRate, format),
+        filename
+      );
+    },
+    [recording, audioContext]
+  );
+
+  return {
+    ready: Boolean(recorder),
+    state,
+    duration: recording ? recording[0].length / audioContext.sampleRate : 0,
+    start,
+    stop,
+    download
+  };
+}
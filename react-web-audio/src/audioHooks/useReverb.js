@@ -1,17 +1,82 @@
 import React from "react";
 import Reverb from "soundbank-reverb";
+import buildImpulse from "soundbank-reverb/build-impulse";
 import { AContext } from "./useAudioContext";
+import useEffectOptions, { smoothParam, withMix } from "./useEffectOptions";
 
-export default function useReverb() {
+// Options: time (impulse length in seconds), decay, reverse, wet, dry (or mix
+// and crossfade, see withMix), filterType and cutoff (Hz) of the filter on
+// the tail, and impulse: an AudioBuffer at the context's sample rate to use
+// instead of the impulse built from time, decay and reverse. Returns the node
+// and `set`, which takes any of the same options.
+export default function useReverb({
+  time = 3,
+  decay = 2,
+  reverse = false,
+  wet = 0.8,
+  dry = 1,
+  mix,
+  crossfade,
+  filterType = "highpass",
+  cutoff = 2000,
+  impulse = null
+} = {}) {
   const audioContext = React.useContext(AContext);
-  const [reverb] = React.useState(Reverb(audioContext));
+  const [reverb] = React.useState(() => Reverb(audioContext));
+  const currentImpulse = React.useRef(null);
 
-  reverb.time = 3; //seconds
-  reverb.wet.value = 0.8;
-  reverb.dry.value = 1;
+  const set = React.useCallback(
+    options => {
+      const changes = withMix(options);
+      // Each of these rebuilds the impulse, so only set the ones that changed.
+      if (changes.time !== undefined) reverb.time = changes.time;
+      if (changes.decay !== undefined) reverb.decay = changes.decay;
+      if (changes.reverse !== undefined) reverb.reverse = changes.reverse;
+      const rebuilt =
+        changes.time !== undefined ||
+        changes.decay !== undefined ||
+        changes.reverse !== undefined;
+      if (changes.impulse !== undefined) {
+        currentImpulse.current = changes.impulse;
+        if (!changes.impulse && !rebuilt) reverb._buildImpulse();
+      }
+      if (currentImpulse.current && (rebuilt || changes.impulse)) {
+        // Stop a built impulse that's still on its way from replacing it.
+        if (reverb._building) buildImpulse.cancel(reverb._building);
+        reverb._building = false;
+        reverb._convolver.buffer = currentImpulse.current;
+      }
+      if (changes.filterType !== undefined) {
+        reverb.filterType = changes.filterType;
+      }
+      if (changes.wet !== undefined) {
+        smoothParam(audioContext, reverb.wet, changes.wet);
+      }
+      if (changes.dry !== undefined) {
+        smoothParam(audioContext, reverb.dry, changes.dry);
+      }
+      if (changes.cutoff !== undefined) {
+        smoothParam(audioContext, reverb.cutoff, changes.cutoff);
+      }
+    },
+    [audioContext, reverb]
+  );
 
-  reverb.filterType = "highpass";
-  reverb.cutoff.value = 2000; //Hz
+  useEffectOptions(
+    withMix({
+      time,
+      decay,
+      reverse,
+      wet,
+      dry,
+      mix,
+      crossfade,
+      filterType,
+      cutoff,
+      impulse
+    }),
+    set
+  );
 
-  return reverb;
+  return { node: reverb, set };
 }
@@ -2,15 +2,19 @@ import React from "react";
 import ReactDOM from "react-dom";
 
 import "./styles.css";
-import ReactAudioContext, { AContext } from "./audioHooks/useAudioContext";
+import ReactAudioContext from "./audioHooks/useAudioContext";
 import useMicrophone from "./audioHooks/useMicrophone";
 import useReverb from "./audioHooks/useReverb";
 import usePitchShift from "./audioHooks/usePitchShift";
 import useConnectNodes from "./audioHooks/useConnectNodes";
 import useGain from "./audioHooks/useGain";
 import useAudioWorklet from "./audioHooks/useAudioWorklet";
-import fft from "fft-js";
-console.log(fft);
+import useRecorder from "./audioHooks/useRecorder";
+import { createAnalysisReader } from "./analysisReader";
+
+// gain-processor's FFT size. Its frames are the real parts, then the
+// imaginary ones.
+const FFT_SIZE = 128;
 
 function drawPath(canvas, canvasCtx, data, divider = 4) {
   canvasCtx.beginPath();
@@ -36,6 +40,54 @@ function drawPath(canvas, canvasCtx, data, divider = 4) {
   canvasCtx.stroke();
 }
 
+function RecorderControls({ source }) {
+  const { ready, state, duration, start, stop, download } = useRecorder(source);
+  const [format, setFormat] = React.useState("int16");
+
+  return (
+    <div>
+      {state === "idle" ? (
+        <button disabled={!ready} onClick={start}>
+          Record
+        </button>
+      ) : (
+        <button disabled={state === "stopping"} onClick={stop}>
+          Stop
+        </button>
+      )}
+      <select value={format} onChange={e => setFormat(e.target.value)}>
+        <option value="int16">16-bit WAV</option>
+        <option value="float32">32-bit float WAV</option>
+      </select>
+      <button
+        disabled={state !== "idle" || duration === 0}
+        onClick={() => download(format)}
+      >
+        Download{duration ? ` (${duration.toFixed(1)}s)` : ""}
+      </button>
+    </div>
+  );
+}
+
+const microphoneMessages = {
+  unsupported: "This browser can't record audio.",
+  prompting: "Waiting for microphone access…",
+  denied: "Microphone access was denied.",
+  "no-device": "No microphone could be opened.",
+  active: "Microphone on"
+};
+
+function MicrophoneStatus({ status, error, retry }) {
+  return (
+    <p title={error ? error.message : undefined}>
+      {microphoneMessages[status]}
+      {(status === "denied" || status === "no-device") && (
+        <button onClick={retry}>Try again</button>
+      )}
+    </p>
+  );
+}
+
 function AudioApp() {
   const microphone = useMicrophone();
   // const reverb = useReverb();
@@ -43,17 +95,23 @@ function AudioApp() {
   // const gain = useGain();
   // const pitchShift = usePitchShift();
   const worklet = useAudioWorklet("phase-vocoder.js", "phase-vocoder");
+  const analysis = React.useMemo(() => createAnalysisReader(2 * FFT_SIZE), []);
+  const analyser = useAudioWorklet("gain-processor.js", "gain-processor", {
+    processorOptions: { analysis: analysis.options }
+  });
   const nodes = React.useMemo(
     () => [
-      microphone,
-      worklet
+      microphone.node,
+      worklet,
+      analyser
       // reverb,
       // pitchShift
     ],
 
     [
-      microphone,
-      worklet
+      microphone.node,
+      worklet,
+      analyser
       // reverb,
       // pitchShift
     ]
@@ -61,50 +119,53 @@ function AudioApp() {
   const output = useConnectNodes(nodes);
   const canvasRef = React.useRef();
 
-  const audioContext = React.useContext(AContext);
+  // The phase vocoder posts its fixed latency once it's running.
+  const [latency, setLatency] = React.useState(null);
+  React.useEffect(() => {
+    if (!worklet) return;
+    worklet.port.onmessage = m => {
+      if (m.data.type === "latency") setLatency(m.data.seconds);
+    };
+    return () => {
+      worklet.port.onmessage = null;
+    };
+  }, [worklet]);
   React.useEffect(() => {
-      if (worklet) worklet.port.onmessage = m => console.log(JSON.parse(m.data));
-  },[worklet])
-  // React.useEffect(() => {
-  //   const analyser = audioContext.createAnalyser();
-  //   output.connect(analyser);
-  //   analyser.fftSize = 2048;
-  //   const bufferLength = analyser.frequencyBinCount;
-  //   var dataArray = new Uint8Array(bufferLength);
-  //   analyser.getByteFrequencyData(dataArray);
-
-  //   if (canvasRef.current) {
-  //     const canvas = canvasRef.current;
-  //     const canvasCtx = canvasRef.current.getContext("2d");
-  //     if (worklet) worklet.port.onmessage = m => draw(JSON.parse(m.data));
-  //     let count = 0;
-  //     function draw({ sampleRate, fftOutput }) {
-  //       //requestAnimationFrame(draw);
-  //       canvasCtx.fillStyle = "rgb(200, 200, 200)";
-  //       canvasCtx.fillRect(0, 0, canvas.width, canvas.height);
-
-  //       canvasCtx.lineWidth = 2;
-  //       canvasCtx.strokeStyle = "rgb(255, 0, 0)";
-  //       drawPath(canvas, canvasCtx, fftOutput.map(m => m[0]));
-
-  //       canvasCtx.strokeStyle = "rgba(0, 0, 255, 0.5)";
-  //       drawPath(canvas, canvasCtx, fftOutput.map(m => m[1]));
-
-  //       canvasCtx.strokeStyle = "rgba(0, 255, 0, 0.5)";
-  //       if (count === 1000) {
-  //         console.log(fft.util.fftFreq(fftOutput, sampleRate))
-  //       }
-  //       drawPath(
-  //         canvas,
-  //         canvasCtx,
-  //         fft.util.fftFreq(fftOutput, sampleRate)
-  //       );
-  //       count++;
-  //     }
-
-  //   }
-  // }, [audioContext, output, worklet]);
-  return <canvas ref={canvasRef} />;
+    if (!analyser || !canvasRef.current) return;
+    const disconnect = analysis.connect(analyser.port);
+    const canvas = canvasRef.current;
+    const canvasCtx = canvas.getContext("2d");
+    const frame = new Float32Array(2 * FFT_SIZE);
+    let request;
+    function draw() {
+      request = requestAnimationFrame(draw);
+      if (!analysis.readLatest(frame)) return;
+      canvasCtx.fillStyle = "rgb(200, 200, 200)";
+      canvasCtx.fillRect(0, 0, canvas.width, canvas.height);
+
+      canvasCtx.lineWidth = 2;
+      canvasCtx.strokeStyle = "rgb(255, 0, 0)";
+      drawPath(canvas, canvasCtx, frame.subarray(0, FFT_SIZE));
+
+      canvasCtx.strokeStyle = "rgba(0, 0, 255, 0.5)";
+      drawPath(canvas, canvasCtx, frame.subarray(FFT_SIZE));
+    }
+    draw();
+    return () => {
+      cancelAnimationFrame(request);
+      disconnect();
+    };
+  }, [analysis, analyser]);
+  return (
+    <>
+      <MicrophoneStatus {...microphone} />
+      {latency !== null && (
+        <p>Pitch shifter latency: {Math.round(latency * 1000)}ms</p>
+      )}
+      <canvas ref={canvasRef} />
+      <RecorderControls source={output} />
+    </>
+  );
 }
 
 function App() {
@@ -1,37 +1,84 @@
-import React, { useState } from "react";
+import React, { useContext, useState } from "react";
 import ReactAudioContext, { AContext } from "./audioHooks/useAudioContext";
 import useMicrophone from "./audioHooks/useMicrophone";
-import useReverb from "./audioHooks/useReverb";
-import usePitchShift from "./audioHooks/usePitchShift";
 import useGain from "./audioHooks/useGain";
-import useConnectNodes from "./audioHooks/useConnectNodes";
+import useDeviceSelection from "./audioHooks/useDeviceSelection";
+import useAudioOutput from "./audioHooks/useAudioOutput";
+import RecorderControls from "./RecorderControls";
+import DeviceSelect from "./DeviceSelect";
+import MicrophoneBanner from "./MicrophoneBanner";
+import Spectrum, {
+  SpectrumMode,
+  spectrumModes,
+} from "../../vocoder/src/Spectrum";
+import { Graph, Insert, Out, PitchShift, Reverb, Source } from "./audioGraph";
 
 const AudioApp = () => {
   const [pitch, setPitch] = useState(0);
-  const microphone = useMicrophone();
-  const reverb = useReverb();
-
-  const gain = useGain();
-  const pitchShift = usePitchShift({ transpose: pitch });
-  const nodes = React.useMemo(
-    () => [
-      microphone,
-      // reverb,
-      pitchShift,
-    ],
-
-    [microphone, reverb, pitchShift]
-  );
-  const output = useConnectNodes(nodes);
+  const [reverb, setReverb] = useState(false);
+  const input = useDeviceSelection("audioinput", "thorium-vox-input-device");
+  const microphone = useMicrophone({ deviceId: input.deviceId });
+  const output = useDeviceSelection("audiooutput", "thorium-vox-output-device");
+  const destination = useAudioOutput(output.deviceId);
+  // Tapped by the recorder.
+  const mix = useGain();
+  const audioContext = useContext(AContext);
+  const [analyser] = useState(() => audioContext.createAnalyser());
+  const [spectrumMode, setSpectrumMode] = useState<SpectrumMode>("bars");
   return (
-    <input
-      type="range"
-      min={-12}
-      max={12}
-      step={0.1}
-      value={pitch}
-      onChange={(e) => setPitch(parseFloat(e.target.value))}
-    />
+    <>
+      <Graph>
+        <Source node={microphone.node} />
+        <PitchShift transpose={pitch} />
+        {reverb && <Reverb />}
+        <Insert node={mix} />
+        <Out destination={destination} />
+        <Out destination={analyser} />
+      </Graph>
+      <MicrophoneBanner {...microphone} />
+      <DeviceSelect
+        label="Input"
+        devices={input.devices}
+        value={input.preferred}
+        onChange={input.setDeviceId}
+      />
+      <DeviceSelect
+        label="Output"
+        devices={output.devices}
+        value={output.preferred}
+        onChange={output.setDeviceId}
+      />
+      <input
+        type="range"
+        min={-12}
+        max={12}
+        step={0.1}
+        value={pitch}
+        onChange={(e) => setPitch(parseFloat(e.target.value))}
+      />
+      <label className="text-white">
+        <input
+          type="checkbox"
+          checked={reverb}
+          onChange={(e) => setReverb(e.target.checked)}
+        />{" "}
+        Reverb
+      </label>
+      <Spectrum analyser={analyser} mode={spectrumMode} />
+      <select
+        className="bg-gray-800 text-white"
+        aria-label="Spectrum"
+        value={spectrumMode}
+        onChange={(e) => setSpectrumMode(e.currentTarget.value as SpectrumMode)}
+      >
+        {spectrumModes.map((mode) => (
+          <option key={mode} value={mode}>
+            {mode}
+          </option>
+        ))}
+      </select>
+      <RecorderControls source={mix} />
+    </>
   );
 };
 
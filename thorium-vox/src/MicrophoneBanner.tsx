@@ -0,0 +1,44 @@
+import React from "react";
+import { MicrophoneStatus } from "./audioHooks/useMicrophone";
+
+const messages: Record<MicrophoneStatus, string> = {
+  unsupported: "This browser can't record audio.",
+  prompting: "Waiting for microphone access…",
+  denied: "Microphone access was denied.",
+  "no-device": "No microphone could be opened.",
+  active: "Microphone on",
+};
+
+export default function MicrophoneBanner({
+  status,
+  error,
+  retry,
+}: {
+  status: MicrophoneStatus;
+  error: Error | null;
+  retry: () => void;
+}) {
+  const failed = status === "denied" || status === "no-device";
+  return (
+    <div className="mb-4 text-base flex items-center gap-2">
+      <span
+        className={`inline-block rounded-full h-3 w-3 ${
+          status === "active"
+            ? "bg-green-500"
+            : failed || status === "unsupported"
+            ? "bg-red-500"
+            : "bg-yellow-500"
+        }`}
+      ></span>
+      <span title={error?.message}>{messages[status]}</span>
+      {failed && (
+        <button
+          className="bg-blue-800 px-2 py-1 rounded hover:bg-blue-600 border-blue-700 border-2"
+          onClick={retry}
+        >
+          Try again
+        </button>
+      )}
+    </div>
+  );
+}
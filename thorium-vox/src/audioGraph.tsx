@@ -0,0 +1,288 @@
+import React from "react";
+import { AContext } from "./audioHooks/useAudioContext";
+import useMicrophone, { MicrophoneOptions } from "./audioHooks/useMicrophone";
+import usePitchShift, { PitchShiftOptions } from "./audioHooks/usePitchShift";
+import useReverb, { ReverbOptions } from "./audioHooks/useReverb";
+import useDelay, { DelayOptions } from "./audioHooks/useDelay";
+import useOverdrive, { OverdriveOptions } from "./audioHooks/useOverdrive";
+
+/*
+Declarative audio graphs, for example:
+
+<Graph>
+  <Mic />
+  <Split>
+    <Dry gain={0.5} />
+    <Chain>
+      <PitchShift transpose={-3} />
+      <Reverb />
+    </Chain>
+  </Split>
+  <Out />
+</Graph>
+
+Every component gets a slot: a pair of gain nodes owned by its parent. The
+parent wires the slots together (in series for Graph and Chain, in parallel
+for Split) and each component connects its own nodes between its slot's input
+and output. Because the slots outlive the nodes inside them, an effect that's
+still loading, or that's added or removed, only rewires its own slot.
+*/
+
+interface Slot {
+  input: GainNode;
+  output: GainNode;
+}
+
+type Link = [AudioNode, AudioNode];
+
+// Time constant for gain changes, so moving a level doesn't click.
+const GAIN_SMOOTHING = 0.02;
+
+const SlotContext = React.createContext<Slot | null>(null);
+
+function useSlot() {
+  const slot = React.useContext(SlotContext);
+  if (!slot) {
+    throw new Error("Audio graph components must be rendered in a <Graph>");
+  }
+  return slot;
+}
+
+function createSlot(audioContext: BaseAudioContext): Slot {
+  return {
+    input: audioContext.createGain(),
+    output: audioContext.createGain(),
+  };
+}
+
+function connectLinks(links: Link[]) {
+  links.forEach(([from, to]) => from.connect(to));
+  return () =>
+    links.forEach(([from, to]) => {
+      try {
+        from.disconnect(to);
+      } catch (err) {
+        // Already gone if a parent disposed of the slot first.
+      }
+    });
+}
+
+// Gives each child element a slot of its own, keeping it for as long as the
+// child stays in the same place.
+function useChildSlots(children: React.ReactNode) {
+  const audioContext = React.useContext(AContext);
+  const slots = React.useRef(new Map<React.Key, Slot>());
+
+  const entries = React.Children.toArray(children)
+    .filter(React.isValidElement)
+    .map((child) => {
+      const key = child.key as React.Key;
+      let slot = slots.current.get(key);
+      if (!slot) {
+        slot = createSlot(audioContext);
+        slots.current.set(key, slot);
+      }
+      return { key, child, slot };
+    });
+  const keys = entries.map((entry) => entry.key).join("\n");
+
+  React.useEffect(() => {
+    const current = new Set(keys.split("\n"));
+    slots.current.forEach((slot, key) => {
+      if (current.has(String(key))) return;
+      slot.input.disconnect();
+      slot.output.disconnect();
+      slots.current.delete(key);
+    });
+  }, [keys]);
+
+  return { entries, keys };
+}
+
+function renderSlots(entries: ReturnType<typeof useChildSlots>["entries"]) {
+  return entries.map(({ key, child, slot }) => (
+    <SlotContext.Provider key={key} value={slot}>
+      {child}
+    </SlotContext.Provider>
+  ));
+}
+
+/**
+ * Sets the level of a component's output, smoothly.
+ */
+function useSlotGain(gain: number) {
+  const audioContext = React.useContext(AContext);
+  const { output } = useSlot();
+  React.useEffect(() => {
+    output.gain.setTargetAtTime(gain, audioContext.currentTime, GAIN_SMOOTHING);
+  }, [audioContext, output, gain]);
+}
+
+// Wires the children's slots one after another between `slot`'s input and output.
+function useSeries(slot: Slot, children: React.ReactNode) {
+  const { entries, keys } = useChildSlots(children);
+  React.useEffect(() => {
+    const links: Link[] = [];
+    let from: AudioNode = slot.input;
+    entries.forEach((entry) => {
+      links.push([from, entry.slot.input]);
+      from = entry.slot.output;
+    });
+    links.push([from, slot.output]);
+    return connectLinks(links);
+    // The slots only change when the keys do.
+  }, [slot, keys]);
+  return renderSlots(entries);
+}
+
+interface GainProps {
+  gain?: number;
+}
+
+/**
+ * The root of an audio graph. Its children are connected in series.
+ */
+export function Graph({
+  gain = 1,
+  children,
+}: GainProps & { children?: React.ReactNode }) {
+  const audioContext = React.useContext(AContext);
+  const [slot] = React.useState(() => createSlot(audioContext));
+  React.useEffect(() => {
+    slot.output.gain.setTargetAtTime(
+      gain,
+      audioContext.currentTime,
+      GAIN_SMOOTHING
+    );
+  }, [audioContext, slot, gain]);
+  const slots = useSeries(slot, children);
+  return <>{slots}</>;
+}
+
+/**
+ * Connects its children in series.
+ */
+export function Chain({
+  gain = 1,
+  children,
+}: GainProps & { children?: React.ReactNode }) {
+  const slot = useSlot();
+  useSlotGain(gain);
+  const slots = useSeries(slot, children);
+  return <>{slots}</>;
+}
+
+/**
+ * Feeds its input to every child in parallel and mixes their outputs.
+ */
+export function Split({
+  gain = 1,
+  children,
+}: GainProps & { children?: React.ReactNode }) {
+  const slot = useSlot();
+  useSlotGain(gain);
+  const { entries, keys } = useChildSlots(children);
+  React.useEffect(() => {
+    const links: Link[] = [];
+    entries.forEach((entry) => {
+      links.push([slot.input, entry.slot.input]);
+      links.push([entry.slot.output, slot.output]);
+    });
+    return connectLinks(links);
+  }, [slot, keys]);
+  return <>{renderSlots(entries)}</>;
+}
+
+/**
+ * Passes audio through an AudioNode, or straight through while `node` is null
+ * (for example while a worklet is still loading).
+ */
+export function Insert({
+  node,
+  gain = 1,
+}: GainProps & { node: AudioNode | null }) {
+  const { input, output } = useSlot();
+  useSlotGain(gain);
+  React.useEffect(() => {
+    return connectLinks(
+      node
+        ? [
+            [input, node],
+            [node, output],
+          ]
+        : [[input, output]]
+    );
+  }, [input, output, node]);
+  return null;
+}
+
+/**
+ * The unprocessed signal, usually one branch of a Split.
+ */
+export function Dry({ gain = 1 }: GainProps) {
+  return <Insert node={null} gain={gain} />;
+}
+
+/**
+ * Adds a source node's audio to the graph at this point.
+ */
+export function Source({
+  node,
+  gain = 1,
+}: GainProps & { node: AudioNode | null }) {
+  const { input, output } = useSlot();
+  useSlotGain(gain);
+  React.useEffect(() => {
+    const links: Link[] = [[input, output]];
+    if (node) links.push([node, output]);
+    return connectLinks(links);
+  }, [input, output, node]);
+  return null;
+}
+
+export function Mic({ gain = 1, ...options }: GainProps & MicrophoneOptions) {
+  const microphone = useMicrophone(options);
+  return <Source node={microphone.node} gain={gain} />;
+}
+
+/**
+ * Plays the graph at this point on `destination`, the context's destination
+ * by default. Audio also carries on through, so it can be tapped afterwards.
+ */
+export function Out({ destination }: { destination?: AudioNode }) {
+  const audioContext = React.useContext(AContext);
+  const { input, output } = useSlot();
+  const target = destination || audioContext.destination;
+  React.useEffect(
+    () =>
+      connectLinks([
+        [input, target],
+        [input, output],
+      ]),
+    [input, output, target]
+  );
+  return null;
+}
+
+export function PitchShift({
+  gain = 1,
+  ...options
+}: GainProps & PitchShiftOptions) {
+  return <Insert node={usePitchShift(options).node} gain={gain} />;
+}
+
+export function Reverb({ gain = 1, ...options }: GainProps & ReverbOptions) {
+  return <Insert node={useReverb(options).node} gain={gain} />;
+}
+
+export function Delay({ gain = 1, ...options }: GainProps & DelayOptions) {
+  return <Insert node={useDelay(options).node} gain={gain} />;
+}
+
+// The overdrive's own `gain` option is its drive, so its output level is `level`.
+export function Overdrive({
+  level = 1,
+  ...options
+}: { level?: number } & OverdriveOptions) {
+  return <Insert node={useOverdrive(options).node} gain={level} />;
+}
@@ -0,0 +1,58 @@
+import React from "react";
+import { AContext } from "./useAudioContext";
+
+// setSinkId isn't in this TypeScript's DOM types yet.
+interface SinkSelectable {
+  setSinkId?: (sinkId: string) => Promise<void>;
+}
+
+/**
+ * Returns the node to connect output to so it plays on `deviceId` ("" for the
+ * system default).
+ *
+ * Where AudioContext.setSinkId is supported the context's own destination is
+ * moved to the device. Otherwise output is routed through a
+ * MediaStreamAudioDestinationNode into an <audio> element, which can pick its
+ * own device.
+ */
+export default function useAudioOutput(deviceId: string) {
+  const audioContext = React.useContext(AContext);
+  const [destination, setDestination] = React.useState<AudioNode>(
+    audioContext.destination
+  );
+
+  React.useEffect(() => {
+    const context = audioContext as AudioContext & SinkSelectable;
+    if (context.setSinkId) {
+      context
+        .setSinkId(deviceId)
+        .catch((err) => console.error("Couldn't change output device", err));
+      setDestination(audioContext.destination);
+      return;
+    }
+
+    if (!deviceId) {
+      setDestination(audioContext.destination);
+      return;
+    }
+    const streamDestination = audioContext.createMediaStreamDestination();
+    const audio = new Audio() as HTMLAudioElement & SinkSelectable;
+    audio.srcObject = streamDestination.stream;
+    if (!audio.setSinkId) {
+      console.error("This browser can't choose an output device");
+      setDestination(audioContext.destination);
+      return;
+    }
+    audio
+      .setSinkId(deviceId)
+      .then(() => audio.play())
+      .catch((err) => console.error("Couldn't change output device", err));
+    setDestination(streamDestination);
+    return () => {
+      audio.pause();
+      audio.srcObject = null;
+    };
+  }, [audioContext, deviceId]);
+
+  return destination;
+}
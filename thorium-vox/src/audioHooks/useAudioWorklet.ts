@@ -3,9 +3,13 @@ import { AContext } from "./useAudioContext";
 
 export default function useAudioWorklet(
   scriptPath: string,
-  processorName: string
+  processorName: string,
+  options?: AudioWorkletNodeOptions
 ) {
   const audioContext = React.useContext(AContext);
+  // Options only apply when the node is created, so changing them later
+  // shouldn't tear the node down.
+  const optionsRef = React.useRef(options);
   const [workletNode, setWorkletNode] =
     React.useState<AudioWorkletNode | null>(null);
 
@@ -13,7 +17,11 @@ export default function useAudioWorklet(
     audioContext.audioWorklet
       .addModule(scriptPath)
       .then(() => {
-        const node = new AudioWorkletNode(audioContext, processorName);
+        const node = new AudioWorkletNode(
+          audioContext,
+          processorName,
+          optionsRef.current
+        );
         node.onprocessorerror = (m) => console.error(m);
         setWorkletNode(node);
       })
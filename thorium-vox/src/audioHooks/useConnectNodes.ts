@@ -1,21 +1,28 @@
 import React from "react";
 import { AContext } from "./useAudioContext";
 
-export default function useConnectNodes(nodes: AudioNode[]) {
+export default function useConnectNodes(
+  nodes: (AudioNode | null)[],
+  destination?: AudioNode
+) {
   const audioContext = React.useContext(AContext);
   const outputRef = React.useRef(new GainNode(audioContext));
-  outputRef.current.connect(audioContext.destination);
+  const output = destination || audioContext.destination;
+  React.useEffect(() => {
+    const node = outputRef.current;
+    node.connect(output);
+    return () => node.disconnect(output);
+  }, [output]);
   React.useEffect(() => {
     // If any of the nodes are falsey, bail.
     if (nodes.find((n) => !n)) return;
-    for (let i = 1; i < nodes.length; i++) {
-      if (!nodes[i - 1] || !nodes[i]) return;
-      nodes[i - 1].connect(nodes[i]);
+    const chain = nodes as AudioNode[];
+    for (let i = 1; i < chain.length; i++) {
+      chain[i - 1].connect(chain[i]);
     }
-    if (!nodes[nodes.length - 1]) return;
-    nodes[nodes.length - 1].connect(outputRef.current);
+    chain[chain.length - 1].connect(outputRef.current);
     return () => {
-      nodes.forEach((node) => node?.disconnect());
+      chain.forEach((node) => node.disconnect());
     };
   }, [nodes]);
   return outputRef.current;
@@ -1,16 +1,48 @@
-import React, { useContext } from "react";
+import React from "react";
 import Delay from "soundbank-delay";
 import { AContext } from "./useAudioContext";
+import useEffectOptions, {
+  MixOptions,
+  smoothParam,
+  withMix,
+} from "./useEffectOptions";
 
-export default function useDelay() {
-  const audioContext = useContext(AContext);
-  const [delay] = React.useState(Delay(audioContext));
+export interface DelayOptions extends MixOptions {
+  // Delay time, in seconds.
+  time?: number;
+  // Frequency of the filter in the feedback loop, in Hz.
+  cutoff?: number;
+  feedback?: number;
+}
+
+export default function useDelay({
+  time = 0.2,
+  wet = 0.8,
+  dry = 1,
+  mix,
+  crossfade,
+  cutoff = 400,
+  feedback = 0.6,
+}: DelayOptions = {}) {
+  const audioContext = React.useContext(AContext);
+  const [delay] = React.useState(() => Delay(audioContext));
+
+  const set = React.useCallback(
+    (options: DelayOptions) => {
+      const changes = withMix(options);
+      const params = ["time", "wet", "dry", "cutoff", "feedback"] as const;
+      params.forEach((name) => {
+        const value = changes[name];
+        if (value !== undefined) smoothParam(audioContext, delay[name], value);
+      });
+    },
+    [audioContext, delay]
+  );
 
-  delay.time.value = 0.2; //seconds
-  delay.wet.value = 0.8;
-  delay.dry.value = 1;
-  delay.cutoff.value = 400; //Hz
-  delay.feedback.value = 0.6;
+  useEffectOptions(
+    withMix({ time, wet, dry, mix, crossfade, cutoff, feedback }),
+    set
+  );
 
-  return delay;
+  return { node: delay as AudioNode, set };
 }
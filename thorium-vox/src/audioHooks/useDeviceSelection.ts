@@ -0,0 +1,99 @@
+import React from "react";
+
+type DeviceKind = "audioinput" | "audiooutput";
+
+/**
+ * Lists the media devices of one kind, keeping the list current as devices
+ * are plugged in and out, and once microphone permission is granted (before
+ * that the browser hides their labels).
+ */
+export function useMediaDevices(kind: DeviceKind) {
+  // Null until the first listing comes back.
+  const [devices, setDevices] = React.useState<MediaDeviceInfo[] | null>(null);
+
+  React.useEffect(() => {
+    const mediaDevices = navigator.mediaDevices;
+    if (!mediaDevices?.enumerateDevices) return;
+    let cancelled = false;
+    function update() {
+      mediaDevices
+        .enumerateDevices()
+        .then((all) => {
+          if (!cancelled) {
+            setDevices(all.filter((device) => device.kind === kind));
+          }
+        })
+        .catch((err) => console.error("Error listing devices", err));
+    }
+    update();
+    mediaDevices.addEventListener("devicechange", update);
+
+    let permission: PermissionStatus | null = null;
+    navigator.permissions
+      ?.query({ name: "microphone" as PermissionName })
+      .then((status) => {
+        if (cancelled) return;
+        permission = status;
+        permission.addEventListener("change", update);
+      })
+      // Not every browser lets you query the microphone permission.
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+      mediaDevices.removeEventListener("devicechange", update);
+      permission?.removeEventListener("change", update);
+    };
+  }, [kind]);
+
+  return devices;
+}
+
+function readStoredDevice(storageKey: string) {
+  try {
+    return localStorage.getItem(storageKey) || "";
+  } catch (err) {
+    return "";
+  }
+}
+
+/**
+ * A device choice that persists in localStorage under `storageKey`.
+ *
+ * `deviceId` is the device to use right now: the stored choice while it's
+ * plugged in, or "" (the system default) while it isn't. The choice itself is
+ * kept, so the device is picked up again when it comes back.
+ */
+export default function useDeviceSelection(
+  kind: DeviceKind,
+  storageKey: string
+) {
+  const devices = useMediaDevices(kind);
+  const [preferred, setPreferred] = React.useState(() =>
+    readStoredDevice(storageKey)
+  );
+
+  const setDeviceId = React.useCallback(
+    (deviceId: string) => {
+      setPreferred(deviceId);
+      try {
+        if (deviceId) localStorage.setItem(storageKey, deviceId);
+        else localStorage.removeItem(storageKey);
+      } catch (err) {
+        console.error("Couldn't save the device selection", err);
+      }
+    },
+    [storageKey]
+  );
+
+  // Trust the stored choice until there's a list to check it against, so the
+  // default device isn't opened only to be swapped out straight away.
+  const available =
+    !devices || devices.some((device) => device.deviceId === preferred);
+  return {
+    devices: devices || [],
+    deviceId: available ? preferred : "",
+    preferred,
+    setDeviceId,
+  };
+}
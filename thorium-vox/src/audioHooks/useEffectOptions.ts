@@ -0,0 +1,60 @@
+import React from "react";
+import { CrossfadeLaw, crossfadeGains } from "../crossfade";
+
+// Time constant for AudioParam changes, so dragging a slider doesn't zipper.
+export const PARAM_SMOOTHING = 0.02;
+
+export function smoothParam(
+  context: BaseAudioContext,
+  param: AudioParam,
+  value: number
+) {
+  param.setTargetAtTime(value, context.currentTime, PARAM_SMOOTHING);
+}
+
+export interface MixOptions {
+  wet?: number;
+  dry?: number;
+  // Wet/dry balance from 0 (dry) to 1 (wet). Overrides `wet` and `dry`.
+  mix?: number;
+  // How `mix` is split between wet and dry, equal-power by default.
+  crossfade?: CrossfadeLaw;
+}
+
+/**
+ * Replaces `mix` and `crossfade` with the wet and dry gains they make.
+ */
+export function withMix<T extends MixOptions>({
+  mix,
+  crossfade,
+  ...options
+}: T) {
+  return mix === undefined
+    ? options
+    : { ...options, ...crossfadeGains(mix, crossfade) };
+}
+
+/**
+ * Hands the options that changed since the last render to `apply`, in an
+ * effect, so settings that are expensive to change (like a reverb's impulse)
+ * are only touched when they actually change.
+ */
+export default function useEffectOptions<T extends object>(
+  options: T,
+  apply: (changes: Partial<T>) => void
+) {
+  const previous = React.useRef<Partial<T>>({});
+
+  React.useEffect(() => {
+    const changes: Partial<T> = {};
+    let changed = false;
+    for (const key in options) {
+      if (options[key] !== previous.current[key]) {
+        changes[key] = options[key];
+        changed = true;
+      }
+    }
+    previous.current = options;
+    if (changed) apply(changes);
+  });
+}
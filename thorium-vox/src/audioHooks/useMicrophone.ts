@@ -1,39 +1,108 @@
 import React from "react";
 import { AContext } from "./useAudioContext";
 
-export default function useMicrophone() {
-  const [mediaDevice, setMediaDevice] =
-    React.useState<MediaStreamAudioSourceNode>(null!);
+export type MicrophoneStatus =
+  | "unsupported"
+  | "prompting"
+  | "denied"
+  | "no-device"
+  | "active";
+
+export interface MicrophoneOptions {
+  deviceId?: string;
+  // The browser's voice processing is tuned for calls and smears the vocoder's
+  // timbre, so it's all off unless asked for.
+  echoCancellation?: boolean;
+  noiseSuppression?: boolean;
+  autoGainControl?: boolean;
+  channelCount?: number;
+  // Requested capture latency, in seconds.
+  latency?: number;
+}
+
+function statusForError(err: unknown): MicrophoneStatus {
+  const name = err instanceof Error ? err.name : "";
+  return name === "NotAllowedError" || name === "SecurityError"
+    ? "denied"
+    : "no-device";
+}
+
+export default function useMicrophone({
+  deviceId = "",
+  echoCancellation = false,
+  noiseSuppression = false,
+  autoGainControl = false,
+  channelCount,
+  latency,
+}: MicrophoneOptions = {}) {
   const audioContext = React.useContext(AContext);
+  const supported = Boolean(navigator.mediaDevices?.getUserMedia);
+  const [node, setNode] = React.useState<MediaStreamAudioSourceNode | null>(
+    null
+  );
+  const [status, setStatus] = React.useState<MicrophoneStatus>(
+    supported ? "prompting" : "unsupported"
+  );
+  const [error, setError] = React.useState<Error | null>(null);
+  // Bumped to open the microphone again: on retry, and when its track ends,
+  // e.g. when it's unplugged.
+  const [restarts, setRestarts] = React.useState(0);
+  const retry = React.useCallback(() => setRestarts((count) => count + 1), []);
 
   React.useEffect(() => {
-    if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
-      console.log("getUserMedia supported.");
-      navigator.mediaDevices
-        .getUserMedia(
-          // constraints - only audio needed for this app
-          {
-            audio: true,
-          }
-        )
-
-        // Success callback
-        .then(function (stream) {
-          let options = {
-            mediaStream: stream,
-          };
-
-          let source = new MediaStreamAudioSourceNode(audioContext, options);
-          setMediaDevice(source);
-        })
-
-        // Error callback
-        .catch(function (err) {
-          console.log("The following getUserMedia error occured: " + err);
+    if (!supported) return;
+    let stream: MediaStream | null = null;
+    let cancelled = false;
+    setStatus("prompting");
+    setError(null);
+
+    const constraints: MediaTrackConstraints = {
+      echoCancellation,
+      noiseSuppression,
+      autoGainControl,
+    };
+    if (deviceId) constraints.deviceId = { exact: deviceId };
+    if (channelCount) constraints.channelCount = channelCount;
+    if (latency !== undefined) constraints.latency = latency;
+
+    navigator.mediaDevices
+      .getUserMedia({ audio: constraints })
+      .then((mediaStream) => {
+        if (cancelled) {
+          mediaStream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        stream.getAudioTracks().forEach((track) => {
+          track.onended = retry;
         });
-    } else {
-      console.log("getUserMedia not supported on your browser!");
-    }
-  }, [audioContext]);
-  return mediaDevice;
+        setNode(new MediaStreamAudioSourceNode(audioContext, { mediaStream }));
+        setStatus("active");
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Couldn't open the microphone", err);
+        setNode(null);
+        setError(err instanceof Error ? err : new Error(String(err)));
+        setStatus(statusForError(err));
+      });
+
+    return () => {
+      cancelled = true;
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [
+    audioContext,
+    supported,
+    deviceId,
+    echoCancellation,
+    noiseSuppression,
+    autoGainControl,
+    channelCount,
+    latency,
+    restarts,
+    retry,
+  ]);
+
+  return { node, status, error, retry };
 }
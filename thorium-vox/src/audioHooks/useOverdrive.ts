@@ -1,14 +1,45 @@
-import React, { useContext } from "react";
+import React from "react";
 import Overdrive from "soundbank-overdrive";
 import { AContext } from "./useAudioContext";
+import useEffectOptions, { smoothParam } from "./useEffectOptions";
 
-export default function useReverb() {
-  const audioContext = useContext(AContext);
-  const [overdrive] = React.useState(Overdrive(audioContext));
+export interface OverdriveOptions {
+  // Drive into the waveshaper.
+  gain?: number;
+  // From 0 to 1, the level of the band-passed signal fed to the waveshaper.
+  // The unfiltered signal is fed in at 1 minus this.
+  preBand?: number;
+  // Centre frequency of that band-pass, in Hz.
+  color?: number;
+  // Frequency of the low-pass after the distortion, in Hz.
+  postCut?: number;
+}
+
+export default function useOverdrive({
+  gain = 20,
+  preBand = 0.5,
+  color = 800,
+  postCut = 600,
+}: OverdriveOptions = {}) {
+  const audioContext = React.useContext(AContext);
+  const [overdrive] = React.useState(() => Overdrive(audioContext));
+
+  const set = React.useCallback(
+    (changes: OverdriveOptions) => {
+      const params = ["gain", "preBand", "color", "postCut"] as const;
+      params.forEach((name) => {
+        const value = changes[name];
+        if (value === undefined) return;
+        // Outside 0 to 1, one of the mixed signals would be inverted.
+        const clamped =
+          name === "preBand" ? Math.min(Math.max(value, 0), 1) : value;
+        smoothParam(audioContext, overdrive[name], clamped);
+      });
+    },
+    [audioContext, overdrive]
+  );
 
-  overdrive.gain.value = 20;
-  overdrive.preBand.value = 5000;
-  overdrive.postCut.value = 600;
+  useEffectOptions({ gain, preBand, color, postCut }, set);
 
-  return overdrive;
+  return { node: overdrive as AudioNode, set };
 }
@@ -1,20 +1,44 @@
-import React, { useEffect } from "react";
+import React from "react";
 import PitchShift from "soundbank-pitch-shift";
 import { AContext } from "./useAudioContext";
+import useEffectOptions, {
+  MixOptions,
+  smoothParam,
+  withMix,
+} from "./useEffectOptions";
+
+export interface PitchShiftOptions extends MixOptions {
+  // Shift in semitones.
+  transpose?: number;
+}
 
 export default function usePitchShift({
   transpose = 0,
   wet = 1,
   dry = 0,
-} = {}) {
+  mix,
+  crossfade,
+}: PitchShiftOptions = {}) {
   const audioContext = React.useContext(AContext);
-  const [pitchShift] = React.useState(PitchShift(audioContext));
+  const [pitchShift] = React.useState(() => PitchShift(audioContext));
+
+  const set = React.useCallback(
+    (options: PitchShiftOptions) => {
+      const changes = withMix(options);
+      if (changes.transpose !== undefined) {
+        pitchShift.transpose = changes.transpose;
+      }
+      if (changes.wet !== undefined) {
+        smoothParam(audioContext, pitchShift.wet, changes.wet);
+      }
+      if (changes.dry !== undefined) {
+        smoothParam(audioContext, pitchShift.dry, changes.dry);
+      }
+    },
+    [audioContext, pitchShift]
+  );
 
-  useEffect(() => {
-    pitchShift.transpose = transpose;
-    pitchShift.wet.value = wet;
-    pitchShift.dry.value = dry;
-  }, [transpose, wet, dry, pitchShift]);
+  useEffectOptions(withMix({ transpose, wet, dry, mix, crossfade }), set);
 
-  return pitchShift;
+  return { node: pitchShift as AudioNode, set };
 }
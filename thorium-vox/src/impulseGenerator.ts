@@ -0,0 +1,125 @@
+export interface ReflectionTap {
+  // Time after the pre-delay, in seconds.
+  time: number;
+  gain: number;
+  // From -1 (left) to 1 (right).
+  pan?: number;
+}
+
+export interface SpaceOptions {
+  // Time for the tail to decay by 60dB, in seconds.
+  rt60?: number;
+  // Gap before the first reflection, in seconds.
+  preDelay?: number;
+  // The early reflections. A random pattern scaled to rt60 by default.
+  earlyReflections?: ReflectionTap[];
+  // From 0 to 1: how much faster the highs die away than the lows.
+  damping?: number;
+  // From 0 (mono) to 1 (left and right unrelated).
+  width?: number;
+  // The same seed and options always give the same impulse.
+  seed?: number;
+}
+
+// Damping closes the tail's lowpass from here...
+const MAX_CUTOFF = 20000;
+// ...down to this far below it by rt60, at full damping.
+const MIN_CUTOFF_RATIO = 0.01;
+// How long the diffuse tail takes to build up, in seconds.
+const TAIL_ONSET = 0.02;
+// The tail is cut off this far down, in dB.
+const TAIL_FLOOR = -66;
+
+// mulberry32: small, fast and good enough for noise.
+function createRandom(seed: number) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A spread of reflections over the first part of the decay, getting quieter
+ * and denser as they go.
+ */
+export function randomReflections(
+  rt60: number,
+  seed = 1,
+  count = 8
+): ReflectionTap[] {
+  const random = createRandom(seed);
+  const spread = Math.min(0.08, rt60 / 4);
+  return Array.from({ length: count }, (_, i) => {
+    const time = spread * Math.pow((i + random()) / count, 1.5);
+    return {
+      time,
+      gain: (random() < 0.5 ? -1 : 1) * Math.pow(10, (-60 * time) / rt60 / 20),
+      pan: random() * 2 - 1,
+    };
+  });
+}
+
+/**
+ * Synthesises a stereo impulse response: early reflections as single taps,
+ * then exponentially decaying noise through a lowpass that closes as it
+ * decays.
+ */
+export function generateImpulse(
+  context: BaseAudioContext,
+  {
+    rt60 = 1.5,
+    preDelay = 0.01,
+    earlyReflections,
+    damping = 0.5,
+    width = 1,
+    seed = 1,
+  }: SpaceOptions = {}
+) {
+  const { sampleRate } = context;
+  const tailLength = (rt60 * TAIL_FLOOR) / -60;
+  const length = Math.ceil((preDelay + tailLength) * sampleRate);
+  const impulse = context.createBuffer(2, length, sampleRate);
+  const left = impulse.getChannelData(0);
+  const right = impulse.getChannelData(1);
+  const offset = Math.round(preDelay * sampleRate);
+
+  const random = createRandom(seed);
+  const endCutoff = MAX_CUTOFF * Math.pow(MIN_CUTOFF_RATIO, damping);
+  const onset = TAIL_ONSET * sampleRate;
+  let mid = 0;
+  let side = 0;
+  for (let i = 0; offset + i < length; i++) {
+    const t = i / sampleRate;
+    const cutoff = Math.min(
+      MAX_CUTOFF * Math.pow(endCutoff / MAX_CUTOFF, t / rt60),
+      sampleRate / 2
+    );
+    const a = Math.exp((-2 * Math.PI * cutoff) / sampleRate);
+    mid = (1 - a) * (random() * 2 - 1) + a * mid;
+    side = (1 - a) * (random() * 2 - 1) + a * side;
+    const envelope = Math.pow(10, (-3 * t) / rt60) * Math.min(1, i / onset);
+    left[offset + i] = (mid + width * side) * envelope;
+    right[offset + i] = (mid - width * side) * envelope;
+  }
+
+  // The taps are on top of the tail, so scale them to its level.
+  let peak = 0;
+  for (let i = 0; i < length; i++) {
+    peak = Math.max(peak, Math.abs(left[i]), Math.abs(right[i]));
+  }
+  const taps = earlyReflections ?? randomReflections(rt60, seed);
+  taps.forEach(({ time, gain, pan = 0 }) => {
+    const i = offset + Math.round(time * sampleRate);
+    if (i >= length) return;
+    // Equal-power panning, narrowed along with the tail.
+    const angle = ((width * pan + 1) * Math.PI) / 4;
+    left[i] += peak * gain * Math.cos(angle);
+    right[i] += peak * gain * Math.sin(angle);
+  });
+
+  return impulse;
+}
@@ -2,3 +2,4 @@ declare module "soundbank-delay";
 declare module "soundbank-overdrive";
 declare module "soundbank-pitch-shift";
 declare module "soundbank-reverb";
+declare module "soundbank-reverb/build-impulse";
@@ -0,0 +1,76 @@
+export type WavFormat = "int16" | "float32";
+
+function writeString(view: DataView, offset: number, value: string) {
+  for (let i = 0; i < value.length; i++) {
+    view.setUint8(offset + i, value.charCodeAt(i));
+  }
+}
+
+/**
+ * Encodes one Float32Array per channel as an interleaved RIFF WAVE file, with
+ * either 16-bit integer or 32-bit float samples.
+ */
+export function encodeWav(
+  channels: Float32Array[],
+  sampleRate: number,
+  format: WavFormat = "int16"
+) {
+  const numberOfChannels = channels.length;
+  const length = numberOfChannels ? channels[0].length : 0;
+  const bytesPerSample = format === "float32" ? 4 : 2;
+  const blockAlign = numberOfChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  writeString(view, 0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, "WAVE");
+  writeString(view, 12, "fmt ");
+  view.setUint32(16, 16, true);
+  // 1 is integer PCM, 3 is IEEE float.
+  view.setUint16(20, format === "float32" ? 3 : 1, true);
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+  writeString(view, 36, "data");
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const sample = channels[channel][i];
+      if (format === "float32") {
+        view.setFloat32(offset, sample, true);
+      } else {
+        const clamped = Math.max(-1, Math.min(1, sample));
+        view.setInt16(
+          offset,
+          clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff,
+          true
+        );
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([view], { type: "audio/wav" });
+}
+
+export function audioBufferToWav(buffer: AudioBuffer, format?: WavFormat) {
+  const channels = [];
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    channels.push(buffer.getChannelData(channel));
+  }
+  return encodeWav(channels, buffer.sampleRate, format);
+}
+
+export function downloadBlob(blob: Blob, filename: string) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
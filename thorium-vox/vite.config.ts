@@ -1,7 +1,27 @@
-import { defineConfig } from 'vite'
+import { defineConfig, Plugin } from 'vite'
 import reactRefresh from '@vitejs/plugin-react-refresh'
 
+// SharedArrayBuffer, and so sharing memory with worklets, is only available
+// once the page is cross-origin isolated.
+function crossOriginIsolation(): Plugin {
+  return {
+    name: 'cross-origin-isolation',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        res.setHeader('Cross-Origin-Opener-Policy', 'same-origin')
+        res.setHeader('Cross-Origin-Embedder-Policy', 'require-corp')
+        next()
+      })
+    }
+  }
+}
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [reactRefresh()]
+  plugins: [reactRefresh(), crossOriginIsolation()],
+  resolve: {
+    // The Spectrum component is imported from the vocoder app, so its React
+    // import has to resolve to this app's copy rather than the vocoder's.
+    dedupe: ['react']
+  }
 })
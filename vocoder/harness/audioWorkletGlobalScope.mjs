@@ -0,0 +1,278 @@
+/**
+ * A Node emulation of the AudioWorkletGlobalScope, for running the processors
+ * in `public/` without a browser or audio hardware.
+ *
+ * It provides the `AudioWorkletProcessor`, `registerProcessor`, `sampleRate`,
+ * `currentFrame` and `currentTime` globals, loads processor modules with a
+ * plain dynamic import, and renders signals through them in 128-frame render
+ * quanta the way the browser would: a-rate parameters get 128 values per
+ * quantum, k-rate parameters get one, and disconnected inputs are empty.
+ *
+ * The worklet modules use ES module syntax without a `"type": "module"`
+ * package.json, so this needs a Node version that detects module syntax
+ * (20.19+ or 22+).
+ *
+ * The tests in `test/` render through it, with `npm test`.
+ *
+ * @example
+ * import { createAudioWorkletGlobalScope } from "./harness/audioWorkletGlobalScope.mjs";
+ *
+ * const scope = createAudioWorkletGlobalScope({ sampleRate: 48000 });
+ * await scope.addModule(new URL("../public/bitcrusher.js", import.meta.url));
+ * const node = scope.createNode("bit-crusher-processor");
+ * // Quantised to 4 bits, every sample.
+ * const [[left]] = node.render([[signal]], {
+ *   parameters: { bitDepth: 4, frequencyReduction: 1 },
+ * });
+ */
+
+import { resolve } from "path";
+import { pathToFileURL } from "url";
+
+export const RENDER_QUANTUM_FRAMES = 128;
+
+const processors = new Map();
+// The node whose processor is being constructed, so the base class can find
+// its port the way the browser hands it over.
+let pendingNode = null;
+
+class AudioWorkletProcessor {
+  constructor() {
+    if (!pendingNode) {
+      throw new TypeError(
+        "AudioWorkletProcessor must be constructed through a harness node"
+      );
+    }
+    this.port = pendingNode.processorPort;
+  }
+}
+
+function registerProcessor(name, processorCtor) {
+  if (processors.has(name)) {
+    throw new Error(`A processor named "${name}" is already registered`);
+  }
+  processors.set(name, processorCtor);
+}
+
+function installGlobals(sampleRate, frame) {
+  globalThis.AudioWorkletProcessor = AudioWorkletProcessor;
+  globalThis.registerProcessor = registerProcessor;
+  globalThis.sampleRate = sampleRate;
+  globalThis.currentFrame = frame;
+  globalThis.currentTime = frame / sampleRate;
+}
+
+// A pair of connected message ports that deliver synchronously, so tests can
+// read messages straight after rendering.
+function createPorts() {
+  const nodePort = { onmessage: null, messages: [] };
+  const processorPort = { onmessage: null };
+  nodePort.postMessage = (data) => {
+    if (processorPort.onmessage) processorPort.onmessage({ data });
+  };
+  processorPort.postMessage = (data) => {
+    nodePort.messages.push(data);
+    if (nodePort.onmessage) nodePort.onmessage({ data });
+  };
+  return { nodePort, processorPort };
+}
+
+function clamp(value, { minValue = -3.4028235e38, maxValue = 3.4028235e38 }) {
+  return Math.min(Math.max(value, minValue), maxValue);
+}
+
+class HarnessParam {
+  constructor(descriptor, initialValue) {
+    this.descriptor = descriptor;
+    this.automationRate = descriptor.automationRate || "a-rate";
+    this.value =
+      initialValue !== undefined ? initialValue : descriptor.defaultValue || 0;
+  }
+
+  // Builds the values a processor sees for one render quantum, from either a
+  // constant or a full-length automation curve.
+  quantumValues(automation, offset) {
+    if (automation === undefined || typeof automation === "number") {
+      const value = automation === undefined ? this.value : automation;
+      return new Float32Array([clamp(value, this.descriptor)]);
+    }
+    if (this.automationRate === "k-rate") {
+      const value = automation[Math.min(offset, automation.length - 1)];
+      return new Float32Array([clamp(value, this.descriptor)]);
+    }
+    const values = new Float32Array(RENDER_QUANTUM_FRAMES);
+    for (let i = 0; i < RENDER_QUANTUM_FRAMES; i++) {
+      const value = automation[Math.min(offset + i, automation.length - 1)];
+      values[i] = clamp(value, this.descriptor);
+    }
+    return values;
+  }
+}
+
+class HarnessNode {
+  constructor(scope, name, options = {}) {
+    const processorCtor = processors.get(name);
+    if (!processorCtor) {
+      throw new Error(`No processor named "${name}" has been registered`);
+    }
+    const {
+      numberOfInputs = 1,
+      numberOfOutputs = 1,
+      outputChannelCount,
+      parameterData = {},
+    } = options;
+
+    this.scope = scope;
+    this.numberOfInputs = numberOfInputs;
+    this.numberOfOutputs = numberOfOutputs;
+    this.outputChannelCount = outputChannelCount;
+    this.active = true;
+
+    const descriptors = processorCtor.parameterDescriptors || [];
+    this.parameters = new Map(
+      descriptors.map((descriptor) => [
+        descriptor.name,
+        new HarnessParam(descriptor, parameterData[descriptor.name]),
+      ])
+    );
+
+    const { nodePort, processorPort } = createPorts();
+    this.port = nodePort;
+    this.processorPort = processorPort;
+
+    installGlobals(scope.sampleRate, scope.currentFrame);
+    pendingNode = this;
+    try {
+      this.processor = new processorCtor({
+        numberOfInputs,
+        numberOfOutputs,
+        outputChannelCount,
+        parameterData,
+        processorOptions: options.processorOptions || {},
+      });
+    } finally {
+      pendingNode = null;
+    }
+  }
+
+  outputChannels(index, inputs) {
+    if (this.outputChannelCount) return this.outputChannelCount[index];
+    // Like the browser, a single-input single-output node follows its input.
+    if (this.numberOfInputs === 1 && this.numberOfOutputs === 1) {
+      return Math.max(1, inputs[0] ? inputs[0].length : 0);
+    }
+    return 1;
+  }
+
+  /**
+   * Renders signals through the processor.
+   *
+   * @param {Array<Array<Float32Array>|null>} inputs - one entry per input, each
+   * a list of full-length channel signals, or null for a disconnected input
+   * @param {Object} options
+   * @param {number} options.length - frames to render; defaults to the longest
+   * input rounded up to a whole render quantum
+   * @param {Object<string, number|Float32Array>} options.parameters - a
+   * constant or full-length automation curve per AudioParam
+   * @return {Array<Array<Float32Array>>} the rendered signal per output and channel
+   */
+  render(inputs = [], { length, parameters = {} } = {}) {
+    const longest = Math.max(
+      0,
+      ...inputs.flatMap((channels) => (channels || []).map((c) => c.length))
+    );
+    const frames =
+      length !== undefined
+        ? length
+        : Math.ceil(longest / RENDER_QUANTUM_FRAMES) * RENDER_QUANTUM_FRAMES;
+
+    const rendered = [];
+    for (let o = 0; o < this.numberOfOutputs; o++) {
+      const channels = this.outputChannels(o, inputs);
+      rendered.push(
+        Array.from({ length: channels }, () => new Float32Array(frames))
+      );
+    }
+
+    for (let offset = 0; offset < frames; offset += RENDER_QUANTUM_FRAMES) {
+      const quantumInputs = [];
+      for (let i = 0; i < this.numberOfInputs; i++) {
+        const channels = inputs[i] || [];
+        quantumInputs.push(
+          channels.map((signal) => {
+            const quantum = new Float32Array(RENDER_QUANTUM_FRAMES);
+            quantum.set(
+              signal.subarray(offset, offset + RENDER_QUANTUM_FRAMES)
+            );
+            return quantum;
+          })
+        );
+      }
+      const quantumOutputs = rendered.map((channels) =>
+        channels.map(() => new Float32Array(RENDER_QUANTUM_FRAMES))
+      );
+      const quantumParameters = {};
+      for (const [name, param] of this.parameters) {
+        quantumParameters[name] = param.quantumValues(parameters[name], offset);
+      }
+
+      if (this.active) {
+        installGlobals(this.scope.sampleRate, this.scope.currentFrame + offset);
+        this.active = Boolean(
+          this.processor.process(
+            quantumInputs,
+            quantumOutputs,
+            quantumParameters
+          )
+        );
+      }
+
+      quantumOutputs.forEach((channels, o) =>
+        channels.forEach((quantum, c) => {
+          const target = rendered[o][c];
+          target.set(
+            quantum.subarray(
+              0,
+              Math.min(RENDER_QUANTUM_FRAMES, frames - offset)
+            ),
+            offset
+          );
+        })
+      );
+    }
+
+    this.scope.currentFrame += frames;
+    return rendered;
+  }
+}
+
+/**
+ * Creates an emulated AudioWorkletGlobalScope.
+ *
+ * Processors register into a single registry for the Node process, since a
+ * module is only evaluated once however many scopes import it.
+ *
+ * @param {Object} options
+ * @param {number} options.sampleRate - the `sampleRate` global (default 48000)
+ */
+export function createAudioWorkletGlobalScope({ sampleRate = 48000 } = {}) {
+  const scope = {
+    sampleRate,
+    currentFrame: 0,
+    // Takes a file URL, or a path relative to the working directory.
+    async addModule(moduleUrl) {
+      const href =
+        moduleUrl instanceof URL
+          ? moduleUrl.href
+          : moduleUrl.startsWith("file:")
+          ? moduleUrl
+          : pathToFileURL(resolve(moduleUrl)).href;
+      installGlobals(sampleRate, scope.currentFrame);
+      await import(href);
+    },
+    createNode(name, options) {
+      return new HarnessNode(scope, name, options);
+    },
+  };
+  return scope;
+}
@@ -0,0 +1,171 @@
+// Band-pass coefficients (RBJ cookbook, constant 0dB peak gain) for a band
+// centred on `frequency` with the given `q`.
+function bandPass(frequency, q) {
+  const w0 = (2 * Math.PI * frequency) / sampleRate;
+  const alpha = Math.sin(w0) / (2 * q);
+  const a0 = 1 + alpha;
+  return {
+    b0: alpha / a0,
+    b2: -alpha / a0,
+    a1: (-2 * Math.cos(w0)) / a0,
+    a2: (1 - alpha) / a0,
+  };
+}
+
+// Two cascaded biquads sharing the same coefficients, for a steeper skirt.
+function createFilter() {
+  return { x1: 0, x2: 0, y1: 0, y2: 0, u1: 0, u2: 0, z1: 0, z2: 0 };
+}
+
+function filterSample(c, f, x) {
+  const y = c.b0 * x + c.b2 * f.x2 - c.a1 * f.y1 - c.a2 * f.y2;
+  f.x2 = f.x1;
+  f.x1 = x;
+  f.y2 = f.y1;
+  f.y1 = y;
+  const z = c.b0 * y + c.b2 * f.u2 - c.a1 * f.z1 - c.a2 * f.z2;
+  f.u2 = f.u1;
+  f.u1 = y;
+  f.z2 = f.z1;
+  f.z1 = z;
+  return z;
+}
+
+function bandCount(bands) {
+  return Math.max(1, Math.round(bands));
+}
+
+/**
+ * A classic channel vocoder.
+ *
+ * Input 0 is the modulator (usually a voice) and input 1 is the carrier. Both
+ * are split into `bands` log-spaced band-pass filters between `minFrequency`
+ * and `maxFrequency`. The envelope of each modulator band, followed with the
+ * `attack` and `release` times, sets the level of the matching carrier band.
+ *
+ * The band count can be changed with a `{ type: "bands", bands }` message.
+ */
+class ChannelVocoderProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      {
+        name: "minFrequency",
+        defaultValue: 100,
+        minValue: 20,
+        maxValue: 20000,
+        automationRate: "k-rate",
+      },
+      {
+        name: "maxFrequency",
+        defaultValue: 8000,
+        minValue: 20,
+        maxValue: 20000,
+        automationRate: "k-rate",
+      },
+      {
+        name: "attack",
+        defaultValue: 0.005,
+        minValue: 0.0001,
+        maxValue: 1,
+        automationRate: "k-rate",
+      },
+      {
+        name: "release",
+        defaultValue: 0.05,
+        minValue: 0.0001,
+        maxValue: 2,
+        automationRate: "k-rate",
+      },
+      { name: "gain", defaultValue: 4, minValue: 0, maxValue: 100 },
+    ];
+  }
+
+  constructor(options) {
+    super();
+    const { bands = 16 } = (options && options.processorOptions) || {};
+    this.configure(bands);
+    this.port.onmessage = this.onmessage.bind(this);
+  }
+
+  onmessage(event) {
+    const { data } = event;
+    // Setting the same count again would reset the filters, and click.
+    if (data.type === "bands" && bandCount(data.bands) !== this.bands) {
+      this.configure(data.bands);
+    }
+  }
+
+  configure(bands) {
+    this.bands = bandCount(bands);
+    this.modulatorFilters = [];
+    this.carrierFilters = [];
+    this.envelopes = new Float32Array(this.bands);
+    for (let i = 0; i < this.bands; i++) {
+      this.modulatorFilters.push(createFilter());
+      this.carrierFilters.push(createFilter());
+    }
+    this.coefficients = [];
+    this.range = null;
+  }
+
+  updateCoefficients(minFrequency, maxFrequency) {
+    const low = Math.min(minFrequency, maxFrequency);
+    const high = Math.min(
+      Math.max(minFrequency, maxFrequency),
+      sampleRate / 2.2
+    );
+    if (this.range && this.range[0] === low && this.range[1] === high) return;
+    this.range = [low, high];
+
+    // Each band spans an equal ratio of the range, centred geometrically.
+    const ratio = Math.pow(high / low, 1 / this.bands);
+    const q = Math.sqrt(ratio) / (ratio - 1);
+    for (let i = 0; i < this.bands; i++) {
+      const center = low * Math.pow(ratio, i + 0.5);
+      this.coefficients[i] = bandPass(center, q);
+    }
+  }
+
+  process(inputs, outputs, parameters) {
+    const modulator = inputs[0][0];
+    const carrier = inputs[1] && inputs[1][0];
+    const output = outputs[0];
+    const outputChannel = output[0];
+
+    this.updateCoefficients(
+      parameters.minFrequency[0],
+      parameters.maxFrequency[0]
+    );
+    const attack = Math.exp(-1 / (parameters.attack[0] * sampleRate));
+    const release = Math.exp(-1 / (parameters.release[0] * sampleRate));
+    const gain = parameters.gain;
+    const isGainConstant = gain.length === 1;
+
+    for (let i = 0; i < outputChannel.length; ++i) {
+      const m = modulator ? modulator[i] : 0;
+      const c = carrier ? carrier[i] : 0;
+      let sum = 0;
+      for (let band = 0; band < this.bands; band++) {
+        const coefficients = this.coefficients[band];
+        const level = Math.abs(
+          filterSample(coefficients, this.modulatorFilters[band], m)
+        );
+        const previous = this.envelopes[band];
+        const coefficient = level > previous ? attack : release;
+        const envelope = coefficient * previous + (1 - coefficient) * level;
+        this.envelopes[band] = envelope;
+        sum +=
+          envelope * filterSample(coefficients, this.carrierFilters[band], c);
+      }
+      outputChannel[i] = sum * (isGainConstant ? gain[0] : gain[i]);
+    }
+
+    for (let channel = 1; channel < output.length; ++channel) {
+      output[channel].set(outputChannel);
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("channel-vocoder", ChannelVocoderProcessor);
@@ -0,0 +1,269 @@
+import {
+  GraphicalEq,
+  IIRFilter,
+  MultiDelay,
+  Reverb,
+  SingleDelay,
+} from "./dsp.js";
+
+// Longest delay, in seconds, unless processorOptions.maxDelay says otherwise.
+const DEFAULT_MAX_DELAY = 2;
+// The most bands a graphical-eq processor has parameters for.
+const MAX_EQ_BANDS = 32;
+// Frames per process() call, which the spec fixes.
+const RENDER_QUANTUM_FRAMES = 128;
+
+function kRate(name, defaultValue, minValue, maxValue) {
+  return { name, defaultValue, minValue, maxValue, automationRate: "k-rate" };
+}
+
+const delayInSamples = kRate("delayInSamples", 4410, 1, 192000 * 10);
+
+/**
+ * Runs one of the dsp.js effects on each input channel, calling its setters
+ * when the matching AudioParams change.
+ *
+ * Subclasses provide `createEffect(values)`, building an effect from the
+ * current parameter values, and a static `setters` map from each parameter
+ * name to the effect's setter.
+ */
+class ChannelEffectProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.options = (options && options.processorOptions) || {};
+    this.effects = [];
+    // A buffer per effect to run it on, since the effects work in place and
+    // the inputs are read-only.
+    this.buffers = [];
+    this.values = {};
+  }
+
+  get maxDelayInSamples() {
+    return Math.ceil((this.options.maxDelay || DEFAULT_MAX_DELAY) * sampleRate);
+  }
+
+  // The setters reset the delay pointers or recalculate filters, so they're
+  // only called when a value actually changes.
+  updateParameters(parameters) {
+    const { setters } = this.constructor;
+    for (const name of Object.keys(setters)) {
+      const value = parameters[name][0];
+      if (value === this.values[name]) continue;
+      this.values[name] = value;
+      this.effects.forEach((effect) => setters[name](effect, value, this));
+    }
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    this.updateParameters(parameters);
+    while (this.effects.length < input.length) {
+      this.effects.push(this.createEffect(this.values));
+      this.buffers.push(new Float32Array(RENDER_QUANTUM_FRAMES));
+    }
+    input.forEach((channel, i) => {
+      const buffer = this.buffers[i];
+      buffer.set(channel);
+      output[i].set(this.effects[i].process(buffer) || buffer);
+    });
+    return true;
+  }
+}
+
+/**
+ * SingleDelay: the input delayed by `delayInSamples`, at `delayVolume`, with
+ * no feedback and none of the input.
+ */
+class SingleDelayProcessor extends ChannelEffectProcessor {
+  static get parameterDescriptors() {
+    return [delayInSamples, kRate("delayVolume", 1, 0, 2)];
+  }
+
+  createEffect({ delayInSamples, delayVolume }) {
+    return new SingleDelay(
+      this.maxDelayInSamples,
+      Math.min(delayInSamples, this.maxDelayInSamples - 2),
+      delayVolume
+    );
+  }
+}
+SingleDelayProcessor.setters = {
+  delayInSamples: (delay, value, processor) =>
+    delay.setDelayInSamples(
+      Math.min(Math.round(value), processor.maxDelayInSamples - 2)
+    ),
+  delayVolume: (delay, value) => delay.setDelayVolume(value),
+};
+
+/**
+ * MultiDelay: the input plus a feedback delay of `delayInSamples`, fed back
+ * at `delayVolume`, all at `masterVolume`.
+ */
+class MultiDelayProcessor extends ChannelEffectProcessor {
+  static get parameterDescriptors() {
+    return [
+      delayInSamples,
+      kRate("masterVolume", 1, 0, 2),
+      kRate("delayVolume", 0.5, 0, 0.99),
+    ];
+  }
+
+  createEffect({ delayInSamples, masterVolume, delayVolume }) {
+    return new MultiDelay(
+      this.maxDelayInSamples,
+      Math.min(delayInSamples, this.maxDelayInSamples - 2),
+      masterVolume,
+      delayVolume
+    );
+  }
+}
+MultiDelayProcessor.setters = {
+  delayInSamples: SingleDelayProcessor.setters.delayInSamples,
+  masterVolume: (delay, value) => delay.setMasterVolume(value),
+  delayVolume: (delay, value) => delay.setDelayVolume(value),
+};
+
+/**
+ * IIRFilter: a resonant 12dB/octave lowpass. `resonance` is about the gain at
+ * the cutoff, and bottoms out where the filter would go unstable.
+ */
+class IIRFilterProcessor extends ChannelEffectProcessor {
+  static get parameterDescriptors() {
+    return [kRate("cutoff", 2000, 10, 20000), kRate("resonance", 1, 0.7, 20)];
+  }
+
+  createEffect({ cutoff, resonance }) {
+    return new IIRFilter(cutoff, resonance, sampleRate);
+  }
+}
+IIRFilterProcessor.setters = {
+  cutoff: (filter, value) => filter.set(value, filter.resonance),
+  resonance: (filter, value) => filter.set(filter.cutoff, value),
+};
+
+/**
+ * GraphicalEq: `bandsPerOctave` peaking bands from `minFrequency` to
+ * `maxFrequency` (processor options, fixed for the node's life), with their
+ * gains in dB in the `gain0`, `gain1`... parameters.
+ */
+class GraphicalEqProcessor extends ChannelEffectProcessor {
+  static get parameterDescriptors() {
+    return Array.from({ length: MAX_EQ_BANDS }, (_, i) =>
+      kRate(`gain${i}`, 0, -40, 40)
+    );
+  }
+
+  createEffect(values) {
+    const {
+      minFrequency = 40,
+      maxFrequency = 16000,
+      bandsPerOctave = 1,
+    } = this.options;
+    const eq = new GraphicalEq(
+      sampleRate,
+      minFrequency,
+      maxFrequency,
+      bandsPerOctave
+    );
+    eq.filters.forEach((_, i) => {
+      if (values[`gain${i}`]) eq.setBandGain(i, values[`gain${i}`]);
+    });
+    return eq;
+  }
+}
+GraphicalEqProcessor.setters = Object.fromEntries(
+  Array.from({ length: MAX_EQ_BANDS }, (_, i) => [
+    `gain${i}`,
+    (eq, value) => {
+      if (i < eq.filters.length) eq.setBandGain(i, value);
+    },
+  ])
+);
+
+/**
+ * Reverb: the dsp.js comb and allpass reverb. Always stereo out; a mono input
+ * feeds both sides.
+ */
+class ReverbProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      kRate("delayInSamples", 882, 1, 192000),
+      kRate("masterVolume", 1, 0, 2),
+      kRate("mixVolume", 0.5, 0, 2),
+      kRate("delayVolume", 0.5, 0, 0.99),
+      kRate("dampFrequency", 6000, 10, 20000),
+    ];
+  }
+
+  constructor(options) {
+    super();
+    const { maxDelay = DEFAULT_MAX_DELAY } =
+      (options && options.processorOptions) || {};
+    this.maxDelayInSamples = Math.ceil(maxDelay * sampleRate);
+    this.reverb = null;
+    this.values = {};
+    this.interleaved = new Float32Array(RENDER_QUANTUM_FRAMES * 2);
+  }
+
+  process(inputs, outputs, parameters) {
+    const [left, right = left] = inputs[0];
+    const output = outputs[0];
+    const value = (name) => parameters[name][0];
+
+    if (!this.reverb) {
+      this.reverb = new Reverb(
+        this.maxDelayInSamples,
+        Math.min(value("delayInSamples"), this.maxDelayInSamples / 2 - 2),
+        value("masterVolume"),
+        value("mixVolume"),
+        value("delayVolume"),
+        value("dampFrequency"),
+        sampleRate
+      );
+      for (const name of Object.keys(ReverbProcessor.setters)) {
+        this.values[name] = value(name);
+      }
+    }
+    for (const [name, set] of Object.entries(ReverbProcessor.setters)) {
+      if (value(name) === this.values[name]) continue;
+      this.values[name] = value(name);
+      set(this.reverb, value(name), this);
+    }
+
+    const frames = output[0].length;
+    const { interleaved } = this;
+    if (left) {
+      for (let i = 0; i < frames; i++) {
+        interleaved[2 * i] = left[i];
+        interleaved[2 * i + 1] = right[i];
+      }
+    } else {
+      interleaved.fill(0);
+    }
+    const result = this.reverb.process(interleaved);
+    for (let i = 0; i < frames; i++) {
+      output[0][i] = result[2 * i];
+      if (output[1]) output[1][i] = result[2 * i + 1];
+    }
+    return true;
+  }
+}
+ReverbProcessor.setters = {
+  // The delays run on the interleaved buffer, so count samples of both
+  // channels, and the longest is 12/7 of the base one. Keep it in the buffers.
+  delayInSamples: (reverb, value, processor) =>
+    reverb.setDelayInSamples(
+      Math.min(Math.round(value), processor.maxDelayInSamples / 2 - 2)
+    ),
+  masterVolume: (reverb, value) => reverb.setMasterVolume(value),
+  mixVolume: (reverb, value) => reverb.setMixVolume(value),
+  delayVolume: (reverb, value) => reverb.setDelayVolume(value),
+  dampFrequency: (reverb, value) => reverb.setDampFrequency(value),
+};
+
+registerProcessor("single-delay", SingleDelayProcessor);
+registerProcessor("multi-delay", MultiDelayProcessor);
+registerProcessor("iir-filter", IIRFilterProcessor);
+registerProcessor("graphical-eq", GraphicalEqProcessor);
+registerProcessor("dsp-reverb", ReverbProcessor);
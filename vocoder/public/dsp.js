@@ -0,0 +1,645 @@
+/*
+ * The delay, reverb, filter and equaliser classes from dsp.js (by Corban Brook,
+ * Almer Thie and Ricard Marxer), as a module the worklets in
+ * dsp-processors.js can import. They were moved here out of src/jungle.js,
+ * so this is their only copy, and src/equalizer.ts imports Biquad and
+ * GraphicalEq from here too. DSP.freqz, which it plots their responses with,
+ * is still in jungle.js.
+ *
+ * They're the same algorithms, with the bugs that kept them from running
+ * fixed: typed arrays created without `new`, Reverb deinterleaving with the
+ * wrong arguments and assuming 44.1kHz, Reverb inverting the wrong delays
+ * (`2 % i` for `i % 2`), the shelving Biquads raising A to a power with
+ * `^`, and GraphicalEq refusing a band gain of 0dB.
+ * Envelopes and the frequency response plots are left out.
+ */
+
+export const DSP = {
+  LEFT: 0,
+  RIGHT: 1,
+
+  // IIRFilter2 types
+  LOWPASS: 0,
+  HIGHPASS: 1,
+  BANDPASS: 2,
+  NOTCH: 3,
+
+  // Biquad filter types
+  LPF: 0,
+  HPF: 1,
+  BPF_CONSTANT_SKIRT: 2,
+  BPF_CONSTANT_PEAK: 3,
+  // NOTCH is 4 for a Biquad, 3 above is for IIRFilter2
+  APF: 5,
+  PEAKING_EQ: 6,
+  LOW_SHELF: 7,
+  HIGH_SHELF: 8,
+
+  // Biquad parameter types
+  Q: 1,
+  BW: 2,
+  S: 3,
+
+  TWO_PI: 2 * Math.PI,
+};
+
+const BIQUAD_NOTCH = 4;
+
+function sinh(arg) {
+  return (Math.exp(arg) - Math.exp(-arg)) / 2;
+}
+
+/**
+ * Mixes two buffers, optionally negating the second and dividing it by
+ * `volumeCorrection`.
+ */
+function mixSampleBuffers(
+  sampleBuffer1,
+  sampleBuffer2,
+  negate,
+  volumeCorrection
+) {
+  const outputSamples = new Float32Array(sampleBuffer1);
+  for (let i = 0; i < sampleBuffer1.length; i++) {
+    outputSamples[i] +=
+      (negate ? -sampleBuffer2[i] : sampleBuffer2[i]) / volumeCorrection;
+  }
+  return outputSamples;
+}
+
+function interleave(left, right) {
+  const stereoInterleaved = new Float32Array(left.length * 2);
+  for (let i = 0; i < left.length; i++) {
+    stereoInterleaved[2 * i] = left[i];
+    stereoInterleaved[2 * i + 1] = right[i];
+  }
+  return stereoInterleaved;
+}
+
+function deinterleave(buffer) {
+  const left = new Float32Array(buffer.length / 2);
+  const right = new Float32Array(buffer.length / 2);
+  for (let i = 0; i < left.length; i++) {
+    left[i] = buffer[2 * i];
+    right[i] = buffer[2 * i + 1];
+  }
+  return [left, right];
+}
+
+/**
+ * A resonant 12dB/octave lowpass. Filters `buffer` in place.
+ *
+ * `resonance` is roughly the gain at the cutoff; much below 0.6 the filter
+ * blows up.
+ */
+export class IIRFilter {
+  constructor(cutoff, resonance, sampleRate) {
+    this.sampleRate = sampleRate;
+    this.vibraPos = 0;
+    this.vibraSpeed = 0;
+    this.set(cutoff, resonance);
+  }
+
+  set(cutoff, resonance) {
+    this.w = (2.0 * Math.PI * cutoff) / this.sampleRate;
+    this.q =
+      1.0 - this.w / (2.0 * (resonance + 0.5 / (1.0 + this.w)) + this.w - 2.0);
+    this.r = this.q * this.q;
+    this.c = this.r + 1.0 - 2.0 * Math.cos(this.w) * this.q;
+    this.cutoff = cutoff;
+    this.resonance = resonance;
+  }
+
+  process(buffer) {
+    for (let i = 0; i < buffer.length; i++) {
+      this.vibraSpeed += (buffer[i] - this.vibraPos) * this.c;
+      this.vibraPos += this.vibraSpeed;
+      this.vibraSpeed *= this.r;
+      buffer[i] = this.vibraPos;
+    }
+  }
+}
+
+/**
+ * A double-sampled state variable filter: DSP.LOWPASS, HIGHPASS, BANDPASS
+ * or NOTCH. Filters `buffer` in place.
+ */
+export class IIRFilter2 {
+  constructor(type, cutoff, resonance, sampleRate) {
+    this.type = type;
+    this.sampleRate = sampleRate;
+    // lowpass, highpass, bandpass and notch outputs
+    this.f = new Float32Array(4);
+    this.set(cutoff, resonance);
+  }
+
+  set(cutoff, resonance) {
+    this.cutoff = cutoff;
+    this.resonance = resonance;
+    this.freq =
+      2 * Math.sin(Math.PI * Math.min(0.25, cutoff / (this.sampleRate * 2)));
+    this.damp = Math.min(
+      2 * (1 - Math.pow(resonance, 0.25)),
+      Math.min(2, 2 / this.freq - this.freq * 0.5)
+    );
+  }
+
+  process(buffer) {
+    const f = this.f;
+    for (let i = 0; i < buffer.length; i++) {
+      const input = buffer[i];
+
+      f[3] = input - this.damp * f[2];
+      f[0] = f[0] + this.freq * f[2];
+      f[1] = f[3] - f[0];
+      f[2] = this.freq * f[1] + f[2];
+      let output = 0.5 * f[this.type];
+
+      f[3] = input - this.damp * f[2];
+      f[0] = f[0] + this.freq * f[2];
+      f[1] = f[3] - f[0];
+      f[2] = this.freq * f[1] + f[2];
+      output += 0.5 * f[this.type];
+
+      buffer[i] = output;
+    }
+  }
+}
+
+/**
+ * A biquad filter, from the Audio EQ Cookbook
+ * (http://www.musicdsp.org/files/Audio-EQ-Cookbook.txt).
+ */
+export class Biquad {
+  constructor(type, sampleRate) {
+    this.Fs = sampleRate;
+    this.type = type;
+    this.parameterType = DSP.Q;
+
+    this.x_1 = 0;
+    this.x_2 = 0;
+    this.y_1 = 0;
+    this.y_2 = 0;
+
+    this.f0 = 3000;
+    this.dBgain = 12;
+    this.Q = 1;
+    this.BW = -3;
+    this.S = 1;
+
+    this.recalculateCoefficients();
+  }
+
+  setQ(q) {
+    this.parameterType = DSP.Q;
+    this.Q = Math.max(Math.min(q, 115.0), 0.001);
+    this.recalculateCoefficients();
+  }
+
+  setBW(bw) {
+    this.parameterType = DSP.BW;
+    this.BW = bw;
+    this.recalculateCoefficients();
+  }
+
+  setS(s) {
+    this.parameterType = DSP.S;
+    this.S = Math.max(Math.min(s, 5.0), 0.0001);
+    this.recalculateCoefficients();
+  }
+
+  setF0(freq) {
+    this.f0 = freq;
+    this.recalculateCoefficients();
+  }
+
+  setDbGain(g) {
+    this.dBgain = g;
+    this.recalculateCoefficients();
+  }
+
+  coefficients() {
+    return { b: [this.b0, this.b1, this.b2], a: [this.a0, this.a1, this.a2] };
+  }
+
+  recalculateCoefficients() {
+    const shelving =
+      this.type === DSP.PEAKING_EQ ||
+      this.type === DSP.LOW_SHELF ||
+      this.type === DSP.HIGH_SHELF;
+    const A = shelving
+      ? Math.pow(10, this.dBgain / 40)
+      : Math.sqrt(Math.pow(10, this.dBgain / 20));
+
+    const w0 = (DSP.TWO_PI * this.f0) / this.Fs;
+    const cosw0 = Math.cos(w0);
+    const sinw0 = Math.sin(w0);
+
+    let alpha = 0;
+    switch (this.parameterType) {
+      case DSP.Q:
+        alpha = sinw0 / (2 * this.Q);
+        break;
+      case DSP.BW:
+        alpha = sinw0 * sinh(((Math.LN2 / 2) * this.BW * w0) / sinw0);
+        break;
+      case DSP.S:
+        alpha = (sinw0 / 2) * Math.sqrt((A + 1 / A) * (1 / this.S - 1) + 2);
+        break;
+    }
+
+    let coeff;
+    switch (this.type) {
+      case DSP.LPF:
+        this.b0 = (1 - cosw0) / 2;
+        this.b1 = 1 - cosw0;
+        this.b2 = (1 - cosw0) / 2;
+        this.a0 = 1 + alpha;
+        this.a1 = -2 * cosw0;
+        this.a2 = 1 - alpha;
+        break;
+      case DSP.HPF:
+        this.b0 = (1 + cosw0) / 2;
+        this.b1 = -(1 + cosw0);
+        this.b2 = (1 + cosw0) / 2;
+        this.a0 = 1 + alpha;
+        this.a1 = -2 * cosw0;
+        this.a2 = 1 - alpha;
+        break;
+      case DSP.BPF_CONSTANT_SKIRT:
+        this.b0 = sinw0 / 2;
+        this.b1 = 0;
+        this.b2 = -sinw0 / 2;
+        this.a0 = 1 + alpha;
+        this.a1 = -2 * cosw0;
+        this.a2 = 1 - alpha;
+        break;
+      case DSP.BPF_CONSTANT_PEAK:
+        this.b0 = alpha;
+        this.b1 = 0;
+        this.b2 = -alpha;
+        this.a0 = 1 + alpha;
+        this.a1 = -2 * cosw0;
+        this.a2 = 1 - alpha;
+        break;
+      case BIQUAD_NOTCH:
+        this.b0 = 1;
+        this.b1 = -2 * cosw0;
+        this.b2 = 1;
+        this.a0 = 1 + alpha;
+        this.a1 = -2 * cosw0;
+        this.a2 = 1 - alpha;
+        break;
+      case DSP.APF:
+        this.b0 = 1 - alpha;
+        this.b1 = -2 * cosw0;
+        this.b2 = 1 + alpha;
+        this.a0 = 1 + alpha;
+        this.a1 = -2 * cosw0;
+        this.a2 = 1 - alpha;
+        break;
+      case DSP.PEAKING_EQ:
+        this.b0 = 1 + alpha * A;
+        this.b1 = -2 * cosw0;
+        this.b2 = 1 - alpha * A;
+        this.a0 = 1 + alpha / A;
+        this.a1 = -2 * cosw0;
+        this.a2 = 1 - alpha / A;
+        break;
+      case DSP.LOW_SHELF:
+        coeff = sinw0 * Math.sqrt((A * A + 1) * (1 / this.S - 1) + 2 * A);
+        this.b0 = A * (A + 1 - (A - 1) * cosw0 + coeff);
+        this.b1 = 2 * A * (A - 1 - (A + 1) * cosw0);
+        this.b2 = A * (A + 1 - (A - 1) * cosw0 - coeff);
+        this.a0 = A + 1 + (A - 1) * cosw0 + coeff;
+        this.a1 = -2 * (A - 1 + (A + 1) * cosw0);
+        this.a2 = A + 1 + (A - 1) * cosw0 - coeff;
+        break;
+      case DSP.HIGH_SHELF:
+        coeff = sinw0 * Math.sqrt((A * A + 1) * (1 / this.S - 1) + 2 * A);
+        this.b0 = A * (A + 1 + (A - 1) * cosw0 + coeff);
+        this.b1 = -2 * A * (A - 1 + (A + 1) * cosw0);
+        this.b2 = A * (A + 1 + (A - 1) * cosw0 - coeff);
+        this.a0 = A + 1 - (A - 1) * cosw0 + coeff;
+        this.a1 = 2 * (A - 1 - (A + 1) * cosw0);
+        this.a2 = A + 1 - (A - 1) * cosw0 - coeff;
+        break;
+    }
+
+    this.b0a0 = this.b0 / this.a0;
+    this.b1a0 = this.b1 / this.a0;
+    this.b2a0 = this.b2 / this.a0;
+    this.a1a0 = this.a1 / this.a0;
+    this.a2a0 = this.a2 / this.a0;
+  }
+
+  // Filters `buffer` in place.
+  process(buffer) {
+    for (let i = 0; i < buffer.length; i++) {
+      const input = buffer[i];
+      const output =
+        this.b0a0 * input +
+        this.b1a0 * this.x_1 +
+        this.b2a0 * this.x_2 -
+        this.a1a0 * this.y_1 -
+        this.a2a0 * this.y_2;
+      this.y_2 = this.y_1;
+      this.y_1 = output;
+      this.x_2 = this.x_1;
+      this.x_1 = input;
+      buffer[i] = output;
+    }
+    return buffer;
+  }
+}
+
+/**
+ * A graphic equaliser: a peaking Biquad per band, `bandsPerOctave` bands
+ * from `minFreq` up to `maxFreq`.
+ */
+export class GraphicalEq {
+  constructor(
+    sampleRate,
+    minFreq = 40.0,
+    maxFreq = 16000.0,
+    bandsPerOctave = 1.0
+  ) {
+    this.FS = sampleRate;
+    this.minFreq = minFreq;
+    this.maxFreq = maxFreq;
+    this.bandsPerOctave = bandsPerOctave;
+    this.filters = [];
+    this.recalculateFilters();
+  }
+
+  recalculateFilters() {
+    const bandCount = Math.round(
+      (Math.log(this.maxFreq / this.minFreq) * this.bandsPerOctave) / Math.LN2
+    );
+    this.filters.length = 0;
+    for (let i = 0; i < bandCount; i++) {
+      const filter = new Biquad(DSP.PEAKING_EQ, this.FS);
+      filter.setDbGain(0);
+      filter.setBW(1 / this.bandsPerOctave);
+      filter.setF0(this.minFreq * Math.pow(2, i / this.bandsPerOctave));
+      this.filters[i] = filter;
+    }
+  }
+
+  setMinimumFrequency(freq) {
+    this.minFreq = freq;
+    this.recalculateFilters();
+  }
+
+  setMaximumFrequency(freq) {
+    this.maxFreq = freq;
+    this.recalculateFilters();
+  }
+
+  setBandsPerOctave(bands) {
+    this.bandsPerOctave = bands;
+    this.recalculateFilters();
+  }
+
+  setBandGain(bandIndex, gain) {
+    if (bandIndex < 0 || bandIndex > this.filters.length - 1) {
+      throw new RangeError(
+        "The band index of the graphical equalizer is out of bounds."
+      );
+    }
+    this.filters[bandIndex].setDbGain(gain);
+  }
+
+  // Filters `buffer` in place, one band after another.
+  process(buffer) {
+    this.filters.forEach((filter) => filter.process(buffer));
+    return buffer;
+  }
+}
+
+/**
+ * A delay that feeds its delayed signal back into its circular buffer, also
+ * known as a comb filter. Returns the input with the delay mixed in.
+ */
+export class MultiDelay {
+  constructor(
+    maxDelayInSamplesSize,
+    delayInSamples,
+    masterVolume,
+    delayVolume
+  ) {
+    this.delayBufferSamples = new Float32Array(maxDelayInSamplesSize);
+    this.delayInputPointer = delayInSamples;
+    this.delayOutputPointer = 0;
+
+    this.delayInSamples = delayInSamples;
+    this.masterVolume = masterVolume;
+    this.delayVolume = delayVolume;
+  }
+
+  setDelayInSamples(delayInSamples) {
+    this.delayInSamples = delayInSamples;
+    this.delayInputPointer = this.delayOutputPointer + delayInSamples;
+    if (this.delayInputPointer >= this.delayBufferSamples.length - 1) {
+      this.delayInputPointer =
+        this.delayInputPointer - this.delayBufferSamples.length;
+    }
+  }
+
+  setMasterVolume(masterVolume) {
+    this.masterVolume = masterVolume;
+  }
+
+  setDelayVolume(delayVolume) {
+    this.delayVolume = delayVolume;
+  }
+
+  process(samples) {
+    const outputSamples = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      const delaySample = this.delayBufferSamples[this.delayOutputPointer];
+      const sample = delaySample * this.delayVolume + samples[i];
+      this.delayBufferSamples[this.delayInputPointer] = sample;
+      outputSamples[i] = sample * this.masterVolume;
+
+      this.delayInputPointer++;
+      if (this.delayInputPointer >= this.delayBufferSamples.length - 1) {
+        this.delayInputPointer = 0;
+      }
+      this.delayOutputPointer++;
+      if (this.delayOutputPointer >= this.delayBufferSamples.length - 1) {
+        this.delayOutputPointer = 0;
+      }
+    }
+    return outputSamples;
+  }
+}
+
+/**
+ * A delay without feedback that returns only the delayed signal.
+ */
+export class SingleDelay {
+  constructor(maxDelayInSamplesSize, delayInSamples, delayVolume) {
+    this.delayBufferSamples = new Float32Array(maxDelayInSamplesSize);
+    this.delayInputPointer = delayInSamples;
+    this.delayOutputPointer = 0;
+
+    this.delayInSamples = delayInSamples;
+    this.delayVolume = delayVolume;
+  }
+
+  setDelayInSamples(delayInSamples) {
+    this.delayInSamples = delayInSamples;
+    this.delayInputPointer = this.delayOutputPointer + delayInSamples;
+    if (this.delayInputPointer >= this.delayBufferSamples.length - 1) {
+      this.delayInputPointer =
+        this.delayInputPointer - this.delayBufferSamples.length;
+    }
+  }
+
+  setDelayVolume(delayVolume) {
+    this.delayVolume = delayVolume;
+  }
+
+  process(samples) {
+    const outputSamples = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      this.delayBufferSamples[this.delayInputPointer] = samples[i];
+      outputSamples[i] =
+        this.delayBufferSamples[this.delayOutputPointer] * this.delayVolume;
+
+      this.delayInputPointer++;
+      if (this.delayInputPointer >= this.delayBufferSamples.length - 1) {
+        this.delayInputPointer = 0;
+      }
+      this.delayOutputPointer++;
+      if (this.delayOutputPointer >= this.delayBufferSamples.length - 1) {
+        this.delayOutputPointer = 0;
+      }
+    }
+    return outputSamples;
+  }
+}
+
+const NR_OF_MULTIDELAYS = 6;
+const NR_OF_SINGLEDELAYS = 6;
+
+/**
+ * A reverb made of 6 MultiDelays in parallel, then 6 SingleDelays, on an
+ * interleaved stereo buffer, damped by an IIRFilter2 lowpass per channel.
+ */
+export class Reverb {
+  constructor(
+    maxDelayInSamplesSize,
+    delayInSamples,
+    masterVolume,
+    mixVolume,
+    delayVolume,
+    dampFrequency,
+    sampleRate = 44100
+  ) {
+    this.delayInSamples = delayInSamples;
+    this.masterVolume = masterVolume;
+    this.mixVolume = mixVolume;
+    this.delayVolume = delayVolume;
+    this.dampFrequency = dampFrequency;
+
+    this.LOWPASSL = new IIRFilter2(DSP.LOWPASS, dampFrequency, 0, sampleRate);
+    this.LOWPASSR = new IIRFilter2(DSP.LOWPASS, dampFrequency, 0, sampleRate);
+
+    this.singleDelays = [];
+    for (let i = 0; i < NR_OF_SINGLEDELAYS; i++) {
+      this.singleDelays[i] = new SingleDelay(
+        maxDelayInSamplesSize,
+        Math.round(this.delayInSamples * (1.0 + i / 7.0)),
+        this.delayVolume
+      );
+    }
+
+    this.multiDelays = [];
+    for (let i = 0; i < NR_OF_MULTIDELAYS; i++) {
+      this.multiDelays[i] = new MultiDelay(
+        maxDelayInSamplesSize,
+        Math.round(this.delayInSamples * (1.0 + i / 10.0)),
+        this.masterVolume,
+        this.delayVolume
+      );
+    }
+  }
+
+  setDelayInSamples(delayInSamples) {
+    this.delayInSamples = delayInSamples;
+    this.singleDelays.forEach((delay, i) =>
+      delay.setDelayInSamples(Math.round(delayInSamples * (1.0 + i / 7.0)))
+    );
+    this.multiDelays.forEach((delay, i) =>
+      delay.setDelayInSamples(Math.round(delayInSamples * (1.0 + i / 10.0)))
+    );
+  }
+
+  setMasterVolume(masterVolume) {
+    this.masterVolume = masterVolume;
+  }
+
+  setMixVolume(mixVolume) {
+    this.mixVolume = mixVolume;
+  }
+
+  setDelayVolume(delayVolume) {
+    this.delayVolume = delayVolume;
+    this.singleDelays.forEach((delay) => delay.setDelayVolume(delayVolume));
+    this.multiDelays.forEach((delay) => delay.setDelayVolume(delayVolume));
+  }
+
+  setDampFrequency(dampFrequency) {
+    this.dampFrequency = dampFrequency;
+    this.LOWPASSL.set(dampFrequency, 0);
+    this.LOWPASSR.set(dampFrequency, 0);
+  }
+
+  // Returns a new interleaved buffer with the reverb added to the input.
+  process(interleavedSamples) {
+    // Low pass the input to mimic damping.
+    const [left, right] = deinterleave(interleavedSamples);
+    this.LOWPASSL.process(left);
+    this.LOWPASSR.process(right);
+    const filteredSamples = interleave(left, right);
+
+    // MultiDelays in parallel, inverting every even one.
+    let outputSamples = new Float32Array(interleavedSamples.length);
+    for (let i = 0; i < NR_OF_MULTIDELAYS; i++) {
+      outputSamples = mixSampleBuffers(
+        outputSamples,
+        this.multiDelays[i].process(filteredSamples),
+        i % 2 === 0,
+        NR_OF_MULTIDELAYS
+      );
+    }
+
+    // SingleDelays in series, inverting every even one.
+    let singleDelaySamples = new Float32Array(outputSamples.length);
+    for (let i = 0; i < NR_OF_SINGLEDELAYS; i++) {
+      singleDelaySamples = mixSampleBuffers(
+        singleDelaySamples,
+        this.singleDelays[i].process(outputSamples),
+        i % 2 === 0,
+        1
+      );
+    }
+
+    for (let i = 0; i < singleDelaySamples.length; i++) {
+      singleDelaySamples[i] *= this.mixVolume;
+    }
+
+    outputSamples = mixSampleBuffers(
+      singleDelaySamples,
+      interleavedSamples,
+      0,
+      1
+    );
+    for (let i = 0; i < outputSamples.length; i++) {
+      outputSamples[i] *= this.masterVolume;
+    }
+    return outputSamples;
+  }
+}
@@ -0,0 +1,195 @@
+import { fft } from "./fft.js";
+
+// Number of cepstral coefficients kept when smoothing the log spectrum into
+// a spectral envelope. Lower values give a smoother envelope.
+const DEFAULT_LIFTER = 30;
+// Keep the envelope correction from boosting a bin by more than ~24dB.
+const MAX_GAIN = 16;
+
+/**
+ * Shifts the formants of a voice without changing its pitch.
+ *
+ * Each STFT frame's spectral envelope is estimated with the real cepstrum,
+ * warped along the frequency axis by the `formant` factor, and re-applied to
+ * the excitation (the spectrum with its original envelope divided out).
+ * Frames are overlap-added with a Hann window, so the processor has a fixed
+ * latency of `fftSize` samples.
+ */
+class FormantShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      {
+        name: "formant",
+        defaultValue: 1,
+        minValue: 0.05,
+        maxValue: 2,
+        automationRate: "k-rate",
+      },
+    ];
+  }
+
+  constructor(options) {
+    super();
+    const {
+      fftSize = 1024,
+      overlap = 4,
+      lifter = DEFAULT_LIFTER,
+    } = (options && options.processorOptions) || {};
+
+    this.size = fftSize;
+    // With less overlap than this, the Hann windows' overlap-add would drop
+    // to nothing between frames.
+    this.hop = fftSize / Math.max(overlap, 2);
+    // Samples of the previous frame kept at the front of the input FIFO.
+    this.fifoOffset = fftSize - this.hop;
+    this.lifter = lifter;
+    this.ft = fft(fftSize);
+
+    this.window = new Float32Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      this.window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / fftSize));
+    }
+    // The overlapping frames' squared windows, divided out sample by sample
+    // as in phase-vocoder.js, so the overlap-add has unity gain.
+    this.overlapGains = new Float32Array(this.hop);
+    for (let i = 0; i < this.hop; i++) {
+      let sum = 0;
+      for (let j = i; j < fftSize; j += this.hop) {
+        sum += this.window[j] * this.window[j];
+      }
+      this.overlapGains[i] = 1 / sum;
+    }
+
+    this.frame = {
+      real: new Float32Array(fftSize),
+      imag: new Float32Array(fftSize),
+    };
+    this.spectrum = {
+      real: new Float32Array(fftSize),
+      imag: new Float32Array(fftSize),
+    };
+    this.cepstrum = {
+      real: new Float32Array(fftSize),
+      imag: new Float32Array(fftSize),
+    };
+    this.envelope = {
+      real: new Float32Array(fftSize),
+      imag: new Float32Array(fftSize),
+    };
+    this.logMagnitude = new Float32Array(fftSize);
+    this.gains = new Float32Array(fftSize / 2 + 1);
+    this.zeros = new Float32Array(fftSize);
+
+    this.channels = [];
+
+    this.port.postMessage({ type: "latency", samples: fftSize });
+  }
+
+  channelState(channel) {
+    if (!this.channels[channel]) {
+      this.channels[channel] = {
+        inputFifo: new Float32Array(this.size),
+        outputFifo: new Float32Array(this.size),
+        accumulator: new Float32Array(this.size),
+        rover: this.fifoOffset,
+      };
+    }
+    return this.channels[channel];
+  }
+
+  // Replaces the spectral envelope of `this.spectrum` with one warped by `factor`.
+  shiftFormants(factor) {
+    const { size, lifter, spectrum, cepstrum, envelope, logMagnitude, gains } =
+      this;
+    const half = size / 2;
+
+    for (let k = 0; k < size; k++) {
+      const re = spectrum.real[k];
+      const im = spectrum.imag[k];
+      logMagnitude[k] = Math.log(Math.sqrt(re * re + im * im) + 1e-9);
+    }
+
+    // Real cepstrum, liftered to keep only the slowly varying envelope.
+    this.ft.inverse({ real: logMagnitude, imag: this.zeros }, cepstrum);
+    for (let n = lifter; n <= size - lifter; n++) {
+      cepstrum.real[n] = 0;
+    }
+    cepstrum.imag.fill(0);
+    this.ft.forward(cepstrum, envelope);
+    const logEnvelope = envelope.real;
+
+    for (let k = 0; k <= half; k++) {
+      const source = k / factor;
+      let warped;
+      if (source >= half) {
+        warped = logEnvelope[half];
+      } else {
+        const index = Math.floor(source);
+        const fraction = source - index;
+        warped =
+          logEnvelope[index] +
+          fraction * (logEnvelope[index + 1] - logEnvelope[index]);
+      }
+      gains[k] = Math.min(Math.exp(warped - logEnvelope[k]), MAX_GAIN);
+    }
+
+    for (let k = 0; k <= half; k++) {
+      const gain = gains[k];
+      spectrum.real[k] *= gain;
+      spectrum.imag[k] *= gain;
+      if (k > 0 && k < half) {
+        spectrum.real[size - k] *= gain;
+        spectrum.imag[size - k] *= gain;
+      }
+    }
+  }
+
+  processFrame(state, factor) {
+    const { size, hop, window, frame, spectrum } = this;
+
+    for (let i = 0; i < size; i++) {
+      frame.real[i] = state.inputFifo[i] * window[i];
+      frame.imag[i] = 0;
+    }
+    this.ft.forward(frame, spectrum);
+    if (factor !== 1) this.shiftFormants(factor);
+    this.ft.inverse(spectrum, frame);
+
+    const { accumulator, outputFifo, inputFifo } = state;
+    for (let i = 0; i < size; i++) {
+      accumulator[i] += frame.real[i] * window[i];
+    }
+    for (let i = 0; i < hop; i++) {
+      outputFifo[i] = accumulator[i] * this.overlapGains[i];
+    }
+    accumulator.copyWithin(0, hop);
+    accumulator.fill(0, size - hop);
+    inputFifo.copyWithin(0, hop);
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const factor = parameters.formant[0];
+
+    for (let channel = 0; channel < output.length; ++channel) {
+      const inputChannel = input[channel];
+      const outputChannel = output[channel];
+      const state = this.channelState(channel);
+
+      for (let i = 0; i < outputChannel.length; ++i) {
+        state.inputFifo[state.rover] = inputChannel ? inputChannel[i] : 0;
+        outputChannel[i] = state.outputFifo[state.rover - this.fifoOffset];
+        state.rover++;
+        if (state.rover >= this.size) {
+          state.rover = this.fifoOffset;
+          this.processFrame(state, factor);
+        }
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("formant-shifter", FormantShifterProcessor);
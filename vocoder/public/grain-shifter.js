@@ -0,0 +1,90 @@
+/**
+ * A circular buffer of past input, read back at fractional delays.
+ */
+export class DelayLine {
+  constructor(size) {
+    this.size = size;
+    this.buffer = new Float32Array(size);
+    this.write = 0;
+  }
+
+  push(sample) {
+    this.buffer[this.write] = sample;
+    this.write = (this.write + 1) % this.size;
+  }
+
+  // The input `delay` samples before the latest one, interpolated linearly.
+  read(delay) {
+    const position = this.write - 1 - delay + this.size;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const a = this.buffer[index % this.size];
+    const b = this.buffer[(index + 1) % this.size];
+    return a + (b - a) * fraction;
+  }
+}
+
+/**
+ * Shifts pitch with two read heads on a DelayLine, no more than `maxDelay`
+ * samples behind it, each playing a Hann-windowed grain `grainSize` samples
+ * long at `ratio` times the speed, and starting over as it fades out, half a
+ * grain after the other.
+ *
+ * Given the input's period, a head starts over a whole number of periods
+ * from the other, so their crossfade doesn't comb filter. With a ratio of 1
+ * the input just comes through a little late.
+ */
+export class GrainShifter {
+  constructor(grainSize, maxDelay) {
+    this.grainSize = grainSize;
+    this.maxDelay = maxDelay;
+    this.heads = [
+      { delay: 1, grain: 0 },
+      { delay: 1, grain: 0.5 },
+    ];
+  }
+
+  // Both heads reading `line`, `offset` samples further back than they are.
+  read(line, offset = 0) {
+    const { heads, maxDelay } = this;
+    let value = 0;
+    for (let h = 0; h < heads.length; h++) {
+      const gain = Math.sin(Math.PI * heads[h].grain) ** 2;
+      value += gain * line.read(Math.min(heads[h].delay + offset, maxDelay));
+    }
+    return value;
+  }
+
+  // Where a head starts its next grain: late enough that the delay doesn't
+  // run out over the grain when shifting up, and lined up with the other.
+  restartDelay(ratio, period, other) {
+    const start = 1 + Math.max(0, (ratio - 1) * this.grainSize);
+    if (!period) return start;
+    const periods = Math.ceil((start - other.delay) / period);
+    return other.delay + periods * period;
+  }
+
+  // Moves the heads on by a sample. `period` is the input's in samples, or 0
+  // if it's unpitched or unknown.
+  advance(ratio, period) {
+    const { heads, maxDelay } = this;
+    const grainStep = 1 / this.grainSize;
+    for (const head of heads) {
+      head.delay = Math.min(Math.max(head.delay + 1 - ratio, 1), maxDelay);
+      head.grain += grainStep;
+    }
+    // Only once both have moved, so a head lines up with where the other is
+    // now rather than a sample ago.
+    for (let h = 0; h < heads.length; h++) {
+      const head = heads[h];
+      if (head.grain >= 1) {
+        head.grain -= 1;
+        const other = heads[1 - h];
+        head.delay = Math.min(
+          this.restartDelay(ratio, period, other),
+          maxDelay
+        );
+      }
+    }
+  }
+}
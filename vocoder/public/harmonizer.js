@@ -0,0 +1,161 @@
+import { DelayLine, GrainShifter } from "./grain-shifter.js";
+import { Yin } from "./yin.js";
+
+// The most voices a harmonizer has parameters for.
+const MAX_VOICES = 8;
+// The furthest a voice can be shifted, in semitones, detune included.
+const MAX_INTERVAL = 24;
+// The longest a voice can be held back, in milliseconds.
+const MAX_DELAY = 100;
+// Readings less sure than this leave the read heads unaligned.
+const MIN_CONFIDENCE = 0.8;
+// Voices quieter than this aren't worked out at all.
+const SILENT_GAIN = 1e-4;
+
+function kRate(name, defaultValue, minValue, maxValue) {
+  return { name, defaultValue, minValue, maxValue, automationRate: "k-rate" };
+}
+
+/**
+ * A harmonizer: up to MAX_VOICES pitch-shifted copies of the input, each
+ * panned and mixed with the dry voice. Voices at small detunes and delays
+ * make a chorus of the one voice.
+ *
+ * Each voice is a GrainShifter on a shared delay line of the input, mixed
+ * down to mono. The input's period is tracked with Yin, so every voice's read
+ * heads line up with it.
+ *
+ * AudioParams, all k-rate:
+ * - dry: gain of the unshifted input, which keeps its own channels
+ * - interval0, interval1...: each voice's shift, in semitones
+ * - detune0...: added to the interval, in cents
+ * - gain0...: each voice's gain. Voices at 0, as they all start, are off.
+ * - pan0...: from -1 (left) to 1 (right), equal power. Ignored with a mono
+ *   output.
+ * - delay0...: how much later than the others a voice comes in, in ms
+ *
+ * processorOptions:
+ * - frameSize, minFrequency, maxFrequency, threshold: passed to Yin
+ * - hop: samples between pitch readings (default 256)
+ * - grainSize: samples in each read head's grain (default 1024)
+ */
+class HarmonizerProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    const voices = Array.from({ length: MAX_VOICES }, (_, i) => [
+      kRate(`interval${i}`, 0, -MAX_INTERVAL, MAX_INTERVAL),
+      kRate(`detune${i}`, 0, -100, 100),
+      kRate(`gain${i}`, 0, 0, 2),
+      kRate(`pan${i}`, 0, -1, 1),
+      kRate(`delay${i}`, 0, 0, MAX_DELAY),
+    ]);
+    return [kRate("dry", 1, 0, 2), ...voices.flat()];
+  }
+
+  constructor(options) {
+    super();
+    const processorOptions = (options && options.processorOptions) || {};
+    const {
+      frameSize = 2048,
+      hop = 256,
+      grainSize = 1024,
+      minFrequency = 50,
+    } = processorOptions;
+
+    this.size = frameSize;
+    this.hop = Math.min(hop, frameSize);
+    this.yin = new Yin(sampleRate, { ...processorOptions, frameSize });
+    this.fifo = new Float32Array(frameSize);
+    this.filled = 0;
+    // The latest reading's period in samples, or 0 while it's unpitched.
+    this.period = 0;
+
+    // Room for a grain shifted up as far as it goes, a period to line the
+    // heads up, and the longest delay.
+    const maxRatio = Math.pow(2, (MAX_INTERVAL + 1) / 12);
+    const maxDelay =
+      Math.ceil((maxRatio - 1) * grainSize) +
+      Math.ceil(sampleRate / minFrequency) +
+      Math.ceil((sampleRate * MAX_DELAY) / 1000);
+    this.line = new DelayLine(maxDelay + 2);
+    this.voices = Array.from({ length: MAX_VOICES }, () => ({
+      shifter: new GrainShifter(grainSize, maxDelay),
+      ratio: 1,
+      offset: 0,
+      // Left and right.
+      gains: new Float32Array(2),
+      value: 0,
+    }));
+    this.active = [];
+  }
+
+  analyse() {
+    const { frequency, confidence } = this.yin.detect(this.fifo);
+    this.period =
+      frequency > 0 && confidence >= MIN_CONFIDENCE
+        ? sampleRate / frequency
+        : 0;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (input.length === 0) return true;
+    const length = input[0].length;
+    const dry = parameters.dry[0];
+
+    const { active } = this;
+    active.length = 0;
+    for (let v = 0; v < MAX_VOICES; v++) {
+      const gain = parameters[`gain${v}`][0];
+      if (gain < SILENT_GAIN) continue;
+      const semitones =
+        parameters[`interval${v}`][0] + parameters[`detune${v}`][0] / 100;
+      const angle = ((parameters[`pan${v}`][0] + 1) * Math.PI) / 4;
+      const voice = this.voices[v];
+      voice.ratio = Math.pow(2, semitones / 12);
+      voice.offset = (parameters[`delay${v}`][0] * sampleRate) / 1000;
+      if (output.length === 1) {
+        voice.gains.fill(gain);
+      } else {
+        voice.gains[0] = gain * Math.cos(angle);
+        voice.gains[1] = gain * Math.sin(angle);
+      }
+      active.push(voice);
+    }
+
+    for (let i = 0; i < length; i++) {
+      let sample = 0;
+      for (let channel = 0; channel < input.length; channel++) {
+        sample += input[channel][i];
+      }
+      sample /= input.length;
+      this.line.push(sample);
+      this.fifo[this.filled++] = sample;
+      if (this.filled === this.size) {
+        // The period only lines the voices up, so with none there's no need.
+        if (active.length) this.analyse();
+        this.fifo.copyWithin(0, this.hop);
+        this.filled -= this.hop;
+      }
+
+      for (let v = 0; v < active.length; v++) {
+        const voice = active[v];
+        voice.value = voice.shifter.read(this.line, voice.offset);
+        voice.shifter.advance(voice.ratio, this.period);
+      }
+
+      for (let channel = 0; channel < output.length; channel++) {
+        let value = dry * input[Math.min(channel, input.length - 1)][i];
+        const side = Math.min(channel, 1);
+        for (let v = 0; v < active.length; v++) {
+          value += active[v].gains[side] * active[v].value;
+        }
+        output[channel][i] = value;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("harmonizer", HarmonizerProcessor);
@@ -0,0 +1,185 @@
+import { DelayLine, GrainShifter } from "./grain-shifter.js";
+import { frequencyToMidi, Yin } from "./yin.js";
+
+// Semitones above the key of the notes in each scale.
+const SCALES = {
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+};
+
+// Readings less sure than this, breaths and consonants mostly, leave the
+// voice alone.
+const MIN_CONFIDENCE = 0.8;
+// How far either side of its target a note is left alone with humanize at
+// 1, in semitones.
+const HUMANIZE_RANGE = 0.5;
+// The furthest the voice is ever moved up, in semitones. Snapping to a scale
+// never moves it more than 6, but a single note can be anywhere. A head
+// shifting up starts (ratio - 1) grains back, so this keeps it and a period
+// to line the heads up in the buffer. Shifting down needs at most a grain.
+const MAX_CORRECTION_UP = 24;
+// Past input kept for the read heads, in samples.
+const BUFFER_SIZE = 8192;
+
+function kRate(name, defaultValue, minValue, maxValue) {
+  return { name, defaultValue, minValue, maxValue, automationRate: "k-rate" };
+}
+
+// The nearest note to `midi` in `pitchClasses`, semitones above C, or `midi`
+// itself if there are none.
+function nearestInScale(midi, pitchClasses) {
+  let nearest = midi;
+  let nearestDistance = Infinity;
+  for (const pitchClass of pitchClasses) {
+    const note = pitchClass + 12 * Math.round((midi - pitchClass) / 12);
+    const distance = Math.abs(note - midi);
+    if (distance < nearestDistance) {
+      nearest = note;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Pitch correction: tracks the voice's fundamental with Yin and shifts it
+ * towards the nearest note of a scale, or onto a single note for a monotone.
+ *
+ * The scale is set with a message:
+ *
+ * `{ type: "scale", scale, key, notes, note }`
+ *
+ * where `scale` is "chromatic", "major", "minor", "custom" for the pitch
+ * classes in `notes` (0 is C, 11 is B), or "note" to hold everything on the
+ * MIDI note `note`. `key` is the pitch class major and minor scales start on.
+ *
+ * The shifting is done by a GrainShifter, whose read heads start over a whole
+ * number of the voice's periods apart. So with no correction the voice just
+ * comes through `grainSize` samples or less late.
+ *
+ * AudioParams:
+ * - retuneSpeed: time constant of the correction, in seconds. 0 snaps
+ *   straight to the note, for the hard-tuned sound.
+ * - humanize: from 0 to 1, how much of the wobble around a note is left in,
+ *   up to half a semitone either side, so vibrato survives.
+ *
+ * processorOptions:
+ * - frameSize, minFrequency, maxFrequency, threshold: passed to Yin
+ * - hop: samples between pitch readings (default 256)
+ * - grainSize: samples in each read head's grain (default 1024)
+ * - tuning: the frequency of A4 (default 440)
+ */
+class PitchCorrectProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [kRate("retuneSpeed", 0.02, 0, 2), kRate("humanize", 0, 0, 1)];
+  }
+
+  constructor(options) {
+    super();
+    const processorOptions = (options && options.processorOptions) || {};
+    const {
+      frameSize = 2048,
+      hop = 256,
+      grainSize = 1024,
+      tuning = 440,
+    } = processorOptions;
+
+    this.size = frameSize;
+    this.hop = Math.min(hop, frameSize);
+    this.tuning = tuning;
+    this.yin = new Yin(sampleRate, { ...processorOptions, frameSize });
+    this.fifo = new Float32Array(frameSize);
+    this.filled = 0;
+
+    this.pitchClasses = SCALES.chromatic;
+    this.note = null;
+    // The latest reading's period in samples, or 0 while it's unpitched.
+    this.period = 0;
+    // Where the correction is heading, and where it's got to, in semitones.
+    this.target = 0;
+    this.correction = 0;
+
+    // One line per channel, all read by the same heads.
+    this.lines = [];
+    this.shifter = new GrainShifter(grainSize, BUFFER_SIZE - 2);
+
+    this.port.onmessage = this.onmessage.bind(this);
+  }
+
+  onmessage(event) {
+    const { data } = event;
+    if (data.type !== "scale") return;
+    const { scale = "chromatic", key = 0, notes = [], note = 60 } = data;
+    this.note = scale === "note" ? note : null;
+    this.pitchClasses =
+      scale === "custom"
+        ? notes
+        : (SCALES[scale] || SCALES.chromatic).map((step) => (step + key) % 12);
+  }
+
+  line(channel) {
+    if (!this.lines[channel]) {
+      this.lines[channel] = new DelayLine(BUFFER_SIZE);
+    }
+    return this.lines[channel];
+  }
+
+  analyse(humanize) {
+    const { frequency, confidence } = this.yin.detect(this.fifo);
+    if (frequency <= 0 || confidence < MIN_CONFIDENCE) {
+      this.period = 0;
+      this.target = 0;
+      return;
+    }
+    this.period = sampleRate / frequency;
+    const midi = frequencyToMidi(frequency, this.tuning);
+    const goal =
+      this.note !== null ? this.note : nearestInScale(midi, this.pitchClasses);
+    const deviation = goal - midi;
+    const leeway = humanize * HUMANIZE_RANGE;
+    const correction =
+      Math.sign(deviation) * Math.max(0, Math.abs(deviation) - leeway);
+    this.target = Math.min(correction, MAX_CORRECTION_UP);
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (input.length === 0) return true;
+    const length = input[0].length;
+    const retuneSpeed = parameters.retuneSpeed[0];
+    const humanize = parameters.humanize[0];
+
+    // The correction eases towards its target once a quantum.
+    const step =
+      retuneSpeed > 0 ? 1 - Math.exp(-length / (retuneSpeed * sampleRate)) : 1;
+    this.correction += (this.target - this.correction) * step;
+    const ratio = Math.pow(2, this.correction / 12);
+    const { shifter } = this;
+
+    for (let i = 0; i < length; i++) {
+      let sample = 0;
+      for (let channel = 0; channel < input.length; channel++) {
+        sample += input[channel][i];
+        this.line(channel).push(input[channel][i]);
+      }
+      this.fifo[this.filled++] = sample / input.length;
+      if (this.filled === this.size) {
+        this.analyse(humanize);
+        this.fifo.copyWithin(0, this.hop);
+        this.filled -= this.hop;
+      }
+
+      for (let channel = 0; channel < output.length; channel++) {
+        const line = this.line(Math.min(channel, input.length - 1));
+        output[channel][i] = shifter.read(line);
+      }
+      shifter.advance(ratio, this.period);
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("pitch-correct", PitchCorrectProcessor);
@@ -0,0 +1,71 @@
+import { nearestNote, Yin } from "./yin.js";
+
+/**
+ * Tracks the fundamental of its input with the YIN algorithm, and posts a
+ * reading to its port every `hop` samples:
+ *
+ * `{ type: "pitch", time, frequency, confidence, note, name, cents }`
+ *
+ * `frequency` is in Hz and `confidence` runs from 0 to 1, one minus YIN's
+ * normalised difference at the chosen period. When the input is silent both
+ * are 0 and the note fields are null. Channels are mixed down first.
+ *
+ * processorOptions:
+ * - frameSize, minFrequency, maxFrequency, threshold: passed to Yin
+ * - hop: samples between readings (default 1024)
+ * - tuning: the frequency of A4 (default 440)
+ */
+class PitchTracker extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const processorOptions = (options && options.processorOptions) || {};
+    const { frameSize = 2048, hop = 1024, tuning = 440 } = processorOptions;
+
+    this.size = frameSize;
+    this.hop = Math.min(hop, frameSize);
+    this.tuning = tuning;
+    this.yin = new Yin(sampleRate, { ...processorOptions, frameSize });
+    this.fifo = new Float32Array(frameSize);
+    this.filled = 0;
+  }
+
+  analyse() {
+    const { frequency, confidence } = this.yin.detect(this.fifo);
+    const reading = {
+      type: "pitch",
+      time: currentTime,
+      frequency,
+      confidence,
+      note: null,
+      name: null,
+      cents: null,
+    };
+    if (frequency > 0) {
+      Object.assign(reading, nearestNote(frequency, this.tuning));
+    }
+    this.port.postMessage(reading);
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (input.length === 0) return true;
+    const length = input[0].length;
+
+    for (let i = 0; i < length; i++) {
+      let sample = 0;
+      for (let channel = 0; channel < input.length; channel++) {
+        sample += input[channel][i];
+      }
+      this.fifo[this.filled++] = sample / input.length;
+      if (this.filled === this.size) {
+        this.analyse();
+        this.fifo.copyWithin(0, this.hop);
+        this.filled -= this.hop;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("pitch-tracker", PitchTracker);
@@ -0,0 +1,197 @@
+import { fft } from "./fft.js";
+
+const NOTE_NAMES = [
+  "C",
+  "C#",
+  "D",
+  "D#",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "G#",
+  "A",
+  "A#",
+  "B",
+];
+
+// Frames quieter than this, in RMS, aren't analysed. About -60dBFS.
+const SILENCE = 0.001;
+
+// Fractional MIDI note number of `frequency`, with A4 at `tuning` Hz.
+export function frequencyToMidi(frequency, tuning = 440) {
+  return 69 + 12 * Math.log2(frequency / tuning);
+}
+
+export function midiToFrequency(midi, tuning = 440) {
+  return tuning * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * The nearest equal-tempered note to `frequency`, as a MIDI note number and a
+ * name like "A4", and how far `frequency` is from it in cents.
+ */
+export function nearestNote(frequency, tuning = 440) {
+  const midi = frequencyToMidi(frequency, tuning);
+  const note = Math.round(midi);
+  return {
+    note,
+    name: NOTE_NAMES[note % 12] + (Math.floor(note / 12) - 1),
+    cents: 100 * (midi - note),
+  };
+}
+
+/**
+ * Finds the fundamental of a frame with the YIN algorithm.
+ *
+ * The autocorrelation at the heart of YIN's difference function is worked out
+ * with the same FFT as phase-vocoder.js, rather than lag by lag.
+ *
+ * Options:
+ * - frameSize: the frame `detect` is given, a power of two (default 2048).
+ *   Half of it is YIN's integration window, and also the longest period it
+ *   can find.
+ * - minFrequency, maxFrequency: the range searched, in Hz (default 50-1000)
+ * - threshold: YIN's absolute threshold (default 0.15)
+ */
+export class Yin {
+  constructor(
+    sampleRate,
+    {
+      frameSize = 2048,
+      minFrequency = 50,
+      maxFrequency = 1000,
+      threshold = 0.15,
+    } = {}
+  ) {
+    this.sampleRate = sampleRate;
+    this.size = frameSize;
+    this.window = frameSize / 2;
+    this.minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+    this.maxLag = Math.min(
+      this.window - 1,
+      Math.ceil(sampleRate / minFrequency)
+    );
+    this.threshold = threshold;
+    this.ft = fft(frameSize);
+
+    this.frame = {
+      real: new Float32Array(frameSize),
+      imag: new Float32Array(frameSize),
+    };
+    this.spectrum = {
+      real: new Float32Array(frameSize),
+      imag: new Float32Array(frameSize),
+    };
+    this.head = {
+      real: new Float32Array(frameSize),
+      imag: new Float32Array(frameSize),
+    };
+    this.headSpectrum = {
+      real: new Float32Array(frameSize),
+      imag: new Float32Array(frameSize),
+    };
+    this.correlation = {
+      real: new Float32Array(frameSize),
+      imag: new Float32Array(frameSize),
+    };
+    // YIN's cumulative mean normalised difference, by lag.
+    this.difference = new Float32Array(this.window);
+    // Reused by detect, so it doesn't allocate on the audio thread.
+    this.result = { frequency: 0, confidence: 0 };
+  }
+
+  // r[lag], the sum of x[j] * x[j + lag] over the integration window, for
+  // every lag at once: the first window's spectrum, conjugated, times the
+  // whole frame's. The frame is twice the window, so nothing wraps round
+  // for the lags that are searched.
+  autocorrelate(samples) {
+    const { size, window, frame, spectrum, head, headSpectrum } = this;
+    frame.real.set(samples);
+    frame.imag.fill(0);
+    head.real.set(samples.subarray(0, window));
+    head.real.fill(0, window);
+    head.imag.fill(0);
+    this.ft.forward(frame, spectrum);
+    this.ft.forward(head, headSpectrum);
+    for (let k = 0; k < size; k++) {
+      const re = spectrum.real[k];
+      const im = spectrum.imag[k];
+      const headRe = headSpectrum.real[k];
+      const headIm = headSpectrum.imag[k];
+      frame.real[k] = re * headRe + im * headIm;
+      frame.imag[k] = im * headRe - re * headIm;
+    }
+    this.ft.inverse(frame, this.correlation);
+    return this.correlation.real;
+  }
+
+  // Fills in `difference` up to maxLag, returning false if the frame is too
+  // quiet to bother.
+  differenceFunction(samples) {
+    const { window, maxLag, difference } = this;
+    let energy = 0;
+    for (let j = 0; j < window; j++) energy += samples[j] * samples[j];
+    if (Math.sqrt(energy / window) < SILENCE) return false;
+
+    const r = this.autocorrelate(samples);
+    // The energy of the window `lag` samples on, slid along one at a time.
+    let shifted = energy;
+    let sum = 0;
+    difference[0] = 1;
+    for (let lag = 1; lag <= maxLag; lag++) {
+      shifted += samples[lag + window - 1] ** 2 - samples[lag - 1] ** 2;
+      const d = Math.max(0, energy + shifted - 2 * r[lag]);
+      sum += d;
+      difference[lag] = sum > 0 ? (d * lag) / sum : 1;
+    }
+    return true;
+  }
+
+  // The first dip under the threshold, followed down to its bottom, or the
+  // deepest dip if none gets that low.
+  bestLag() {
+    const { minLag, maxLag, threshold, difference } = this;
+    let best = minLag;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      if (difference[lag] < threshold) {
+        while (lag + 1 <= maxLag && difference[lag + 1] < difference[lag]) {
+          lag++;
+        }
+        return lag;
+      }
+      if (difference[lag] < difference[best]) best = lag;
+    }
+    return best;
+  }
+
+  // Fits a parabola through the lag and its neighbours to find the period
+  // between samples.
+  refine(lag) {
+    const { difference } = this;
+    if (lag <= this.minLag || lag >= this.maxLag) return lag;
+    const before = difference[lag - 1];
+    const at = difference[lag];
+    const after = difference[lag + 1];
+    const curvature = before - 2 * at + after;
+    return curvature > 0 ? lag + (before - after) / (2 * curvature) : lag;
+  }
+
+  /**
+   * The fundamental of `samples`, frameSize of them, in Hz, and how sure
+   * that is from 0 to 1: one minus YIN's normalised difference at the chosen
+   * period. Both are 0 if the frame's silent. The result is reused by the
+   * next call.
+   */
+  detect(samples) {
+    const { result } = this;
+    result.frequency = 0;
+    result.confidence = 0;
+    if (this.differenceFunction(samples)) {
+      const lag = this.bestLag();
+      result.frequency = this.sampleRate / this.refine(lag);
+      result.confidence = Math.min(Math.max(1 - this.difference[lag], 0), 1);
+    }
+    return result;
+  }
+}
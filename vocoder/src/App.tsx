@@ -1,25 +1,52 @@
-import React, { useReducer } from "react";
-import "./jungle";
+import React, {
+  useCallback,
+  useContext,
+  useReducer,
+  useRef,
+  useState,
+} from "react";
+import ReactAudioContext, { AContext } from "./audioHooks/useAudioContext";
+import useMicrophone from "./audioHooks/useMicrophone";
+import useVocoder from "./audioHooks/useVocoder";
+import useDeviceSelection from "./audioHooks/useDeviceSelection";
+import useAudioOutput from "./audioHooks/useAudioOutput";
+import useImpulseLibrary from "./audioHooks/useImpulseLibrary";
+import useEqEditor from "./audioHooks/useEqEditor";
+import DeviceSelect from "./DeviceSelect";
+import MicrophoneBanner from "./MicrophoneBanner";
+import OfflineRender from "./OfflineRender";
+import RecorderControls from "./RecorderControls";
+import PresetPicker from "./PresetPicker";
+import ImpulsePicker from "./ImpulsePicker";
+import PitchDisplay from "./PitchDisplay";
+import PitchCorrectControls from "./PitchCorrectControls";
+import CarrierControls from "./CarrierControls";
+import HarmonyControls from "./HarmonyControls";
+import Spectrum, { SpectrumMode, spectrumModes } from "./Spectrum";
+import { PresetConfig } from "./presets";
+import { CrossfadeLaw, crossfadeLaws } from "./crossfade";
+import { ChannelVocoderConfig } from "./channelVocoder";
+import { defaultEqBands, EqBand } from "./equalizer";
+import { HarmonyVoice } from "./harmonizer";
+import { PitchCorrection, PitchMode, pitchModes } from "./pitchCorrection";
+import { defaultVocoderConfig, VocoderConfig } from "./vocoderGraph";
 import "./App.css";
 
-interface VocoderConfig {
-  bypass: boolean;
-  pitch: number;
-  formant: number;
-  reverb: number;
-  effect: number;
-  volume: number;
-  robot: boolean;
-}
-
 type VocoderActions =
   | { type: "setBypass"; bypass: boolean }
   | { type: "setPitch"; pitch: number }
+  | { type: "setPitchMode"; pitchMode: PitchMode }
+  | { type: "setPitchCorrection"; pitchCorrection: PitchCorrection }
+  | { type: "setChannelVocoder"; channelVocoder: ChannelVocoderConfig }
   | { type: "setFormant"; formant: number }
   | { type: "setReverb"; reverb: number }
   | { type: "setEffect"; effect: number }
   | { type: "setVolume"; volume: number }
-  | { type: "setRobot"; robot: boolean };
+  | { type: "setRobot"; robot: boolean }
+  | { type: "setHarmony"; harmony: HarmonyVoice[] }
+  | { type: "setCrossfade"; crossfade: CrossfadeLaw }
+  | { type: "setEq"; eq: EqBand[] }
+  | { type: "applyPreset"; config: PresetConfig };
 
 function vocoderReducer(
   state: VocoderConfig,
@@ -28,6 +55,12 @@ function vocoderReducer(
   switch (action.type) {
     case "setPitch":
       return { ...state, pitch: action.pitch };
+    case "setPitchMode":
+      return { ...state, pitchMode: action.pitchMode };
+    case "setPitchCorrection":
+      return { ...state, pitchCorrection: action.pitchCorrection };
+    case "setChannelVocoder":
+      return { ...state, channelVocoder: action.channelVocoder };
     case "setBypass":
       return { ...state, bypass: action.bypass };
     case "setFormant":
@@ -40,26 +73,112 @@ function vocoderReducer(
       return { ...state, volume: action.volume };
     case "setRobot":
       return { ...state, robot: action.robot };
+    case "setHarmony":
+      return { ...state, harmony: action.harmony };
+    case "setCrossfade":
+      return { ...state, crossfade: action.crossfade };
+    case "setEq":
+      return { ...state, eq: action.eq };
+    case "applyPreset":
+      return { ...state, ...action.config };
   }
   return state;
 }
-function App() {
-  const [config, dispatch] = useReducer(vocoderReducer, {
-    bypass: false,
-    pitch: 0,
-    formant: 0,
-    reverb: 0,
-    effect: 1,
-    volume: 1,
-    robot: false,
+function VocoderApp() {
+  const [config, dispatch] = useReducer(vocoderReducer, defaultVocoderConfig);
+  const input = useDeviceSelection("audioinput", "vocoder-input-device");
+  const microphone = useMicrophone({ deviceId: input.deviceId });
+  const output = useDeviceSelection("audiooutput", "vocoder-output-device");
+  const destination = useAudioOutput(output.deviceId);
+  const impulses = useImpulseLibrary();
+  const [carrierBuffer, setCarrierBuffer] = useState<AudioBuffer | null>(null);
+  const { graph, analyser } = useVocoder(microphone.node, config, {
+    impulse: impulses.impulse,
+    carrierBuffer,
+    destination,
   });
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const setEq = useCallback(
+    (eq: EqBand[]) => dispatch({ type: "setEq", eq }),
+    []
+  );
+  const drawEq = useEqEditor(
+    canvasRef,
+    config.eq,
+    setEq,
+    useContext(AContext).sampleRate
+  );
+  const [spectrumMode, setSpectrumMode] = useState<SpectrumMode>("bars");
 
   return (
     <div className="App bg-gray-900 text-white text-2xl flex flex-col justify-center items-center">
+      <MicrophoneBanner {...microphone} />
+      <div className="mb-4 text-base flex items-center gap-4">
+        <DeviceSelect
+          label="Input"
+          devices={input.devices}
+          value={input.preferred}
+          onChange={input.setDeviceId}
+        />
+        <DeviceSelect
+          label="Output"
+          devices={output.devices}
+          value={output.preferred}
+          onChange={output.setDeviceId}
+        />
+      </div>
+      <PresetPicker
+        config={config}
+        onApply={(config) => dispatch({ type: "applyPreset", config })}
+      />
+      <ImpulsePicker library={impulses} />
       <div className="grid gap-2 grid-cols-3 items-center">
         <datalist id="my-detents">
           <option value="0" />
         </datalist>
+        <datalist id="formant-detents">
+          <option value="1" />
+        </datalist>
+        <label htmlFor="pitch-mode">Pitch mode:</label>
+        <select
+          className="bg-gray-800"
+          id="pitch-mode"
+          value={config.pitchMode}
+          onChange={(e) =>
+            dispatch({
+              type: "setPitchMode",
+              pitchMode: e.currentTarget.value as PitchMode,
+            })
+          }
+        >
+          {pitchModes.map((mode) => (
+            <option key={mode} value={mode}>
+              {mode}
+            </option>
+          ))}
+        </select>
+        <span></span>
+        {config.pitchMode === "correct" && (
+          <div className="col-start-2 col-span-2">
+            <PitchCorrectControls
+              correction={config.pitchCorrection}
+              onChange={(pitchCorrection) =>
+                dispatch({ type: "setPitchCorrection", pitchCorrection })
+              }
+            />
+          </div>
+        )}
+        {config.pitchMode === "carrier" && (
+          <div className="col-start-2 col-span-2">
+            <CarrierControls
+              config={config.channelVocoder}
+              onChange={(channelVocoder) =>
+                dispatch({ type: "setChannelVocoder", channelVocoder })
+              }
+              onBufferChange={setCarrierBuffer}
+            />
+          </div>
+        )}
         <label htmlFor="pitch">Pitch:</label>
         <input
           className="rounded-lg overflow-hidden appearance-none bg-gray-400 w-128"
@@ -71,6 +190,8 @@ function App() {
           step="0.05"
           value={config.pitch}
           id="pitch"
+          // Only the shifter follows the slider.
+          disabled={config.pitchMode !== "shift"}
           onInput={(e) =>
             dispatch({
               type: "setPitch",
@@ -79,11 +200,13 @@ function App() {
           }
         />
         <span className="pitch">({config.pitch})</span>
+        <div className="col-start-2 col-span-2 mb-2">
+          <PitchDisplay input={microphone.node} output={graph.output} />
+        </div>
         <label htmlFor="formant">Formant:</label>
         <input
-          className="rounded-lg overflow-hidden appearance-none bg-gray-400  w-128"
-          disabled
-          list="my-detents"
+          className="rounded-lg overflow-hidden appearance-none bg-gray-400 w-128"
+          list="formant-detents"
           type="range"
           name="formant"
           min="0.05"
@@ -99,6 +222,13 @@ function App() {
           }
         />
         <span className="formant">({config.formant})</span>
+        <span className="self-start">Harmony:</span>
+        <div className="col-span-2 mb-2">
+          <HarmonyControls
+            voices={config.harmony}
+            onChange={(harmony) => dispatch({ type: "setHarmony", harmony })}
+          />
+        </div>
         <label htmlFor="reverb">Reverb:</label>
         <input
           className="rounded-lg overflow-hidden appearance-none bg-gray-400  w-128"
@@ -135,6 +265,25 @@ function App() {
           }
         />
         <span className="effect">({config.effect})</span>
+        <label htmlFor="crossfade">Crossfade:</label>
+        <select
+          className="bg-gray-800"
+          id="crossfade"
+          value={config.crossfade}
+          onChange={(e) =>
+            dispatch({
+              type: "setCrossfade",
+              crossfade: e.currentTarget.value as CrossfadeLaw,
+            })
+          }
+        >
+          {crossfadeLaws.map((law) => (
+            <option key={law} value={law}>
+              {law}
+            </option>
+          ))}
+        </select>
+        <span></span>
         <label htmlFor="volume">Volume:</label>
         <input
           className="rounded-lg overflow-hidden appearance-none bg-gray-400 w-128"
@@ -167,10 +316,68 @@ function App() {
           Bypass
           <div className="w-3 ml-2"></div>
         </button>
+        <button
+          onClick={() => dispatch({ type: "setRobot", robot: !config.robot })}
+          className="flex justify-center items-center col-start-2 text-center bg-blue-800 px-2 py-1 rounded hover:bg-blue-600 border-blue-700 border-2"
+        >
+          <div
+            className={`rounded-full ${
+              config.robot ? `bg-green-500` : ""
+            } h-3 w-3 mr-2 shadow-lg`}
+          ></div>
+          Robot
+          <div className="w-3 ml-2"></div>
+        </button>
+      </div>
+      <Spectrum
+        ref={canvasRef}
+        analyser={analyser}
+        mode={spectrumMode}
+        waveform={spectrumMode !== "waterfall"}
+        overlay={drawEq}
+        className="mt-8 border-white border-opacity-10 border-2 touch-none"
+      />
+      <div className="mt-2 text-base flex items-center gap-4">
+        <select
+          className="bg-gray-800"
+          aria-label="Spectrum"
+          value={spectrumMode}
+          onChange={(e) =>
+            setSpectrumMode(e.currentTarget.value as SpectrumMode)
+          }
+        >
+          {spectrumModes.map((mode) => (
+            <option key={mode} value={mode}>
+              {mode}
+            </option>
+          ))}
+        </select>
+        <span>
+          EQ: drag a band, scroll to widen it, double click to flatten
+        </span>
+        <button
+          className="bg-blue-800 px-2 py-1 rounded hover:bg-blue-600 border-blue-700 border-2"
+          onClick={() => setEq(defaultEqBands)}
+        >
+          Flat
+        </button>
       </div>
-      <canvas className="mt-8 border-white border-opacity-10 border-2"></canvas>
+      <RecorderControls source={graph.output} />
+      <OfflineRender
+        config={config}
+        impulse={impulses.impulse}
+        carrierBuffer={carrierBuffer}
+      />
     </div>
   );
 }
 
+function App() {
+  return (
+    <ReactAudioContext>
+      <VocoderApp />
+    </ReactAudioContext>
+  );
+}
+
 export default App;
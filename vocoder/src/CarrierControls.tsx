@@ -0,0 +1,143 @@
+import React, { useContext, useState } from "react";
+import { AContext } from "./audioHooks/useAudioContext";
+import {
+  CarrierType,
+  carrierTypes,
+  CarrierWaveform,
+  carrierWaveforms,
+  ChannelVocoderConfig,
+  MAX_CHANNEL_VOCODER_BANDS,
+} from "./channelVocoder";
+
+// The carrier frequency slider's range, A1 to A5.
+const MIN_SLIDER_FREQUENCY = 55;
+const MAX_SLIDER_FREQUENCY = 880;
+
+export default function CarrierControls({
+  config,
+  onChange,
+  onBufferChange,
+}: {
+  config: ChannelVocoderConfig;
+  onChange: (config: ChannelVocoderConfig) => void;
+  // Called with a "file" carrier's decoded audio.
+  onBufferChange: (buffer: AudioBuffer) => void;
+}) {
+  const audioContext = useContext(AContext);
+  const [fileName, setFileName] = useState("");
+  const [error, setError] = useState("");
+  const change = (changes: Partial<ChannelVocoderConfig>) =>
+    onChange({ ...config, ...changes });
+
+  async function load(file: File) {
+    setError("");
+    try {
+      onBufferChange(
+        await audioContext.decodeAudioData(await file.arrayBuffer())
+      );
+      setFileName(file.name);
+    } catch (err) {
+      console.error(err);
+      setError(`Couldn't decode ${file.name}`);
+    }
+  }
+
+  return (
+    <div className="text-base flex flex-col gap-2">
+      <div className="flex items-center gap-2">
+        <label htmlFor="carrier">Carrier:</label>
+        <select
+          id="carrier"
+          className="bg-gray-800"
+          value={config.carrier}
+          onChange={(e) =>
+            change({ carrier: e.currentTarget.value as CarrierType })
+          }
+        >
+          {carrierTypes.map((type) => (
+            <option key={type} value={type}>
+              {type}
+            </option>
+          ))}
+        </select>
+        {config.carrier === "oscillator" && (
+          <>
+            <select
+              className="bg-gray-800"
+              aria-label="Waveform"
+              value={config.waveform}
+              onChange={(e) =>
+                change({
+                  waveform: e.currentTarget.value as CarrierWaveform,
+                })
+              }
+            >
+              {carrierWaveforms.map((waveform) => (
+                <option key={waveform} value={waveform}>
+                  {waveform}
+                </option>
+              ))}
+            </select>
+            <input
+              className="rounded-lg overflow-hidden appearance-none bg-gray-400"
+              type="range"
+              aria-label="Carrier frequency"
+              min={MIN_SLIDER_FREQUENCY}
+              max={MAX_SLIDER_FREQUENCY}
+              step="1"
+              value={config.frequency}
+              onInput={(e) =>
+                change({ frequency: parseFloat(e.currentTarget.value) })
+              }
+            />
+            <span>({config.frequency}Hz)</span>
+          </>
+        )}
+        {config.carrier === "file" && (
+          <>
+            <input
+              type="file"
+              accept="audio/*"
+              aria-label="Carrier file"
+              onChange={(e) => {
+                const file = e.currentTarget.files?.[0];
+                e.currentTarget.value = "";
+                if (file) load(file);
+              }}
+            />
+            <span>{error ? "" : fileName}</span>
+            {error && <span className="text-red-400">{error}</span>}
+          </>
+        )}
+      </div>
+      <div className="flex items-center gap-2">
+        <label htmlFor="carrier-bands">Bands:</label>
+        <input
+          className="rounded-lg overflow-hidden appearance-none bg-gray-400"
+          type="range"
+          id="carrier-bands"
+          min="4"
+          max={MAX_CHANNEL_VOCODER_BANDS}
+          step="1"
+          value={config.bands}
+          onInput={(e) => change({ bands: parseInt(e.currentTarget.value) })}
+        />
+        <span>({config.bands})</span>
+        <label htmlFor="carrier-release">Release:</label>
+        <input
+          className="rounded-lg overflow-hidden appearance-none bg-gray-400"
+          type="range"
+          id="carrier-release"
+          min="0.005"
+          max="0.5"
+          step="0.005"
+          value={config.release}
+          onInput={(e) =>
+            change({ release: parseFloat(e.currentTarget.value) })
+          }
+        />
+        <span>({Math.round(config.release * 1000)}ms)</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from "react";
+
+export default function DeviceSelect({
+  label,
+  devices,
+  value,
+  onChange,
+}: {
+  label: string;
+  devices: MediaDeviceInfo[];
+  value: string;
+  onChange: (deviceId: string) => void;
+}) {
+  return (
+    <label className="flex items-center gap-2">
+      {label}:
+      <select
+        className="bg-gray-800 max-w-xs"
+        value={value}
+        onChange={(e) => onChange(e.currentTarget.value)}
+      >
+        <option value="">Default</option>
+        {devices
+          .filter((device) => device.deviceId && device.deviceId !== "default")
+          .map((device, i) => (
+            <option key={device.deviceId} value={device.deviceId}>
+              {device.label || `Device ${i + 1}`}
+            </option>
+          ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,116 @@
+import React from "react";
+import {
+  defaultHarmonyVoice,
+  HarmonyVoice,
+  MAX_HARMONY_DELAY,
+  MAX_HARMONY_DETUNE,
+  MAX_HARMONY_INTERVAL,
+  MAX_HARMONY_VOICES,
+} from "./harmonizer";
+
+// Each voice's sliders, in the order they're laid out.
+const sliders: {
+  name: keyof HarmonyVoice;
+  label: string;
+  min: number;
+  max: number;
+  step: number;
+  format: (value: number) => string;
+}[] = [
+  {
+    name: "interval",
+    label: "Interval",
+    min: -MAX_HARMONY_INTERVAL,
+    max: MAX_HARMONY_INTERVAL,
+    step: 1,
+    format: (value) => `${value > 0 ? "+" : ""}${value}st`,
+  },
+  {
+    name: "detune",
+    label: "Detune",
+    min: -MAX_HARMONY_DETUNE,
+    max: MAX_HARMONY_DETUNE,
+    step: 1,
+    format: (value) => `${value > 0 ? "+" : ""}${value}c`,
+  },
+  {
+    name: "gain",
+    label: "Gain",
+    min: 0,
+    max: 1,
+    step: 0.05,
+    format: (value) => `${value}`,
+  },
+  {
+    name: "pan",
+    label: "Pan",
+    min: -1,
+    max: 1,
+    step: 0.1,
+    format: (value) => `${value}`,
+  },
+  {
+    name: "delay",
+    label: "Delay",
+    min: 0,
+    max: MAX_HARMONY_DELAY,
+    step: 1,
+    format: (value) => `${value}ms`,
+  },
+];
+
+export default function HarmonyControls({
+  voices,
+  onChange,
+}: {
+  voices: HarmonyVoice[];
+  onChange: (voices: HarmonyVoice[]) => void;
+}) {
+  const change = (index: number, changes: Partial<HarmonyVoice>) =>
+    onChange(
+      voices.map((voice, i) => (i === index ? { ...voice, ...changes } : voice))
+    );
+
+  return (
+    <div className="text-base flex flex-col gap-2">
+      {voices.map((voice, index) => (
+        <div key={index} className="flex items-center gap-2">
+          {sliders.map(({ name, label, min, max, step, format }) => (
+            <React.Fragment key={name}>
+              <label htmlFor={`harmony-${name}-${index}`}>{label}:</label>
+              <input
+                className="rounded-lg overflow-hidden appearance-none bg-gray-400 w-16"
+                type="range"
+                id={`harmony-${name}-${index}`}
+                min={min}
+                max={max}
+                step={step}
+                value={voice[name]}
+                onInput={(e) =>
+                  change(index, { [name]: parseFloat(e.currentTarget.value) })
+                }
+              />
+              <span className="w-12">{format(voice[name])}</span>
+            </React.Fragment>
+          ))}
+          <button
+            className="bg-blue-800 px-2 rounded hover:bg-blue-600 border-blue-700 border-2"
+            aria-label={`Remove voice ${index + 1}`}
+            onClick={() => onChange(voices.filter((_, i) => i !== index))}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <div>
+        <button
+          className="bg-blue-800 px-2 py-1 rounded hover:bg-blue-600 border-blue-700 border-2 disabled:opacity-50"
+          disabled={voices.length >= MAX_HARMONY_VOICES}
+          onClick={() => onChange([...voices, defaultHarmonyVoice])}
+        >
+          Add voice
+        </button>
+      </div>
+    </div>
+  );
+}
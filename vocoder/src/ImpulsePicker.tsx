@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import useImpulseLibrary from "./audioHooks/useImpulseLibrary";
+import { builtInImpulses } from "./impulses";
+
+const buttonClassName =
+  "bg-blue-800 px-2 py-1 rounded hover:bg-blue-600 border-blue-700 border-2";
+
+export default function ImpulsePicker({
+  library,
+}: {
+  library: ReturnType<typeof useImpulseLibrary>;
+}) {
+  const [trim, setTrim] = useState(true);
+  const [normalize, setNormalize] = useState(true);
+  const uploaded = library.impulses.filter(
+    (impulse) => !builtInImpulses.some((builtIn) => builtIn.id === impulse.id)
+  );
+
+  return (
+    <div className="mb-4 text-base flex items-center gap-2">
+      <label htmlFor="impulse">Room:</label>
+      <select
+        id="impulse"
+        className="bg-gray-800"
+        value={library.selected}
+        onChange={(e) => library.select(e.currentTarget.value)}
+      >
+        <optgroup label="Built in">
+          {builtInImpulses.map((impulse) => (
+            <option key={impulse.id} value={impulse.id}>
+              {impulse.name}
+            </option>
+          ))}
+        </optgroup>
+        {uploaded.length > 0 && (
+          <optgroup label="Uploaded">
+            {uploaded.map((impulse) => (
+              <option key={impulse.id} value={impulse.id}>
+                {impulse.name}
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+      <label className={buttonClassName}>
+        Upload
+        <input
+          type="file"
+          accept="audio/*"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.currentTarget.files?.[0];
+            e.currentTarget.value = "";
+            if (file) library.upload(file, { trim, normalize });
+          }}
+        />
+      </label>
+      <label className="flex items-center gap-1">
+        <input
+          type="checkbox"
+          checked={trim}
+          onChange={(e) => setTrim(e.currentTarget.checked)}
+        />
+        Trim
+      </label>
+      <label
+        className="flex items-center gap-1"
+        title="Have the reverb scale the impulse to a standard level"
+      >
+        <input
+          type="checkbox"
+          checked={normalize}
+          onChange={(e) => setNormalize(e.currentTarget.checked)}
+        />
+        Auto level
+      </label>
+      {library.error && (
+        <span className="text-red-400">{library.error.message}</span>
+      )}
+    </div>
+  );
+}
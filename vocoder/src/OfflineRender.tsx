@@ -0,0 +1,54 @@
+import React, { useState } from "react";
+import { renderOffline } from "./renderOffline";
+import { LoadedImpulse } from "./audioHooks/useImpulseLibrary";
+import { VocoderConfig } from "./vocoderGraph";
+import { audioBufferToWav, downloadBlob } from "./wav";
+
+/**
+ * Renders a file with the live settings. `impulse` is the reverb's, so the
+ * render sounds like the live voice; until it's loaded the default is used.
+ * `carrierBuffer` is the live file carrier's, likewise.
+ */
+export default function OfflineRender({
+  config,
+  impulse,
+  carrierBuffer,
+}: {
+  config: VocoderConfig;
+  impulse?: LoadedImpulse | null;
+  carrierBuffer?: AudioBuffer | null;
+}) {
+  const [status, setStatus] = useState("");
+
+  async function render(file: File) {
+    setStatus("Rendering…");
+    try {
+      const buffer = await renderOffline(file, config, {
+        impulse: impulse || undefined,
+        carrierBuffer,
+      });
+      const name = file.name.replace(/\.[^.]*$/, "");
+      downloadBlob(audioBufferToWav(buffer), `${name}-vocoded.wav`);
+      setStatus("");
+    } catch (err) {
+      console.error(err);
+      setStatus(`Couldn't render ${file.name}`);
+    }
+  }
+
+  return (
+    <label className="mt-4 text-base flex items-center gap-2">
+      Render file:
+      <input
+        type="file"
+        accept="audio/*"
+        onChange={(e) => {
+          const file = e.currentTarget.files?.[0];
+          e.currentTarget.value = "";
+          if (file) render(file);
+        }}
+      />
+      <span>{status}</span>
+    </label>
+  );
+}
@@ -0,0 +1,128 @@
+import React from "react";
+import {
+  midiNoteName,
+  noteNames,
+  PitchCorrection,
+  PitchCorrectScale,
+  pitchCorrectScales,
+} from "./pitchCorrection";
+
+// The monotone's choice of notes, C2 to C5.
+const monotoneNotes = Array.from({ length: 37 }, (_, i) => 36 + i);
+// The retune slider stops short of the slowest setting, which hardly corrects
+// at all.
+const RETUNE_SLIDER_MAX = 0.5;
+
+export default function PitchCorrectControls({
+  correction,
+  onChange,
+}: {
+  correction: PitchCorrection;
+  onChange: (correction: PitchCorrection) => void;
+}) {
+  const change = (changes: Partial<PitchCorrection>) =>
+    onChange({ ...correction, ...changes });
+  const toggleNote = (pitchClass: number) =>
+    change({
+      notes: correction.notes.includes(pitchClass)
+        ? correction.notes.filter((note) => note !== pitchClass)
+        : [...correction.notes, pitchClass].sort((a, b) => a - b),
+    });
+
+  return (
+    <div className="text-base flex flex-col gap-2">
+      <div className="flex items-center gap-2">
+        <label htmlFor="correct-scale">Scale:</label>
+        <select
+          id="correct-scale"
+          className="bg-gray-800"
+          value={correction.scale}
+          onChange={(e) =>
+            change({ scale: e.currentTarget.value as PitchCorrectScale })
+          }
+        >
+          {pitchCorrectScales.map((scale) => (
+            <option key={scale} value={scale}>
+              {scale}
+            </option>
+          ))}
+        </select>
+        {(correction.scale === "major" || correction.scale === "minor") && (
+          <select
+            className="bg-gray-800"
+            aria-label="Key"
+            value={correction.key}
+            onChange={(e) => change({ key: parseInt(e.currentTarget.value) })}
+          >
+            {noteNames.map((name, pitchClass) => (
+              <option key={name} value={pitchClass}>
+                {name}
+              </option>
+            ))}
+          </select>
+        )}
+        {correction.scale === "note" && (
+          <select
+            className="bg-gray-800"
+            aria-label="Note"
+            value={correction.note}
+            onChange={(e) => change({ note: parseInt(e.currentTarget.value) })}
+          >
+            {monotoneNotes.map((note) => (
+              <option key={note} value={note}>
+                {midiNoteName(note)}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+      {correction.scale === "custom" && (
+        <div className="flex gap-1">
+          {noteNames.map((name, pitchClass) => (
+            <button
+              key={name}
+              className={`w-9 py-1 rounded border-2 border-blue-700 ${
+                correction.notes.includes(pitchClass)
+                  ? "bg-blue-600"
+                  : "bg-gray-800"
+              }`}
+              onClick={() => toggleNote(pitchClass)}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="flex items-center gap-2">
+        <label htmlFor="retune-speed">Retune:</label>
+        <input
+          className="rounded-lg overflow-hidden appearance-none bg-gray-400"
+          type="range"
+          id="retune-speed"
+          min="0"
+          max={RETUNE_SLIDER_MAX}
+          step="0.005"
+          value={correction.retuneSpeed}
+          onInput={(e) =>
+            change({ retuneSpeed: parseFloat(e.currentTarget.value) })
+          }
+        />
+        <span>({Math.round(correction.retuneSpeed * 1000)}ms)</span>
+        <label htmlFor="humanize">Humanize:</label>
+        <input
+          className="rounded-lg overflow-hidden appearance-none bg-gray-400"
+          type="range"
+          id="humanize"
+          min="0"
+          max="1"
+          step="0.05"
+          value={correction.humanize}
+          onInput={(e) =>
+            change({ humanize: parseFloat(e.currentTarget.value) })
+          }
+        />
+        <span>({correction.humanize})</span>
+      </div>
+    </div>
+  );
+}
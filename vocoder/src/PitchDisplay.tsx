@@ -0,0 +1,143 @@
+import React from "react";
+import { AContext } from "./audioHooks/useAudioContext";
+import usePitchTracker, { PitchReading } from "./audioHooks/usePitchTracker";
+
+// Readings less sure than this are shown as unpitched, and left out of the
+// trace.
+const MIN_CONFIDENCE = 0.8;
+// The trace's range: the tracker's default search range, on a log scale.
+const TRACE_MIN_FREQUENCY = 50;
+const TRACE_MAX_FREQUENCY = 1000;
+const TRACE_SECONDS = 5;
+// C2 to C5, for the trace's gridlines.
+const GRID_NOTES: [string, number][] = [
+  ["C2", 65.41],
+  ["C3", 130.81],
+  ["C4", 261.63],
+  ["C5", 523.25],
+];
+const INPUT_COLOR = "rgb(96, 165, 250)";
+const OUTPUT_COLOR = "rgb(251, 146, 60)";
+
+function formatPitch(pitch: PitchReading | null) {
+  if (!pitch || !pitch.name || pitch.confidence < MIN_CONFIDENCE) return "–";
+  const cents = Math.round(pitch.cents ?? 0);
+  const sign = cents < 0 ? "" : "+";
+  const frequency = pitch.frequency.toFixed(1);
+  return `${pitch.name} ${sign}${cents}¢ (${frequency}Hz)`;
+}
+
+function frequencyPosition(frequency: number) {
+  return (
+    Math.log(frequency / TRACE_MIN_FREQUENCY) /
+    Math.log(TRACE_MAX_FREQUENCY / TRACE_MIN_FREQUENCY)
+  );
+}
+
+/**
+ * The pitch of `input` and `output` as notes, and a trace of the last few
+ * seconds of both, so shifting can be heard and seen.
+ */
+export default function PitchDisplay({
+  input,
+  output,
+  // The same width as the sliders.
+  width = 512,
+  height = 120,
+}: {
+  input: AudioNode | null;
+  output: AudioNode | null;
+  width?: number;
+  height?: number;
+}) {
+  const audioContext = React.useContext(AContext);
+  const inputPitch = usePitchTracker(input);
+  const outputPitch = usePitchTracker(output);
+  const canvasRef = React.useRef<HTMLCanvasElement>(null);
+  const inputHistory = inputPitch.history;
+  const outputHistory = outputPitch.history;
+
+  React.useEffect(() => {
+    const canvas = canvasRef.current;
+    const drawContext = canvas?.getContext("2d");
+    if (!canvas || !drawContext) return;
+
+    const drawTrace = (
+      readings: PitchReading[],
+      color: string,
+      now: number,
+      { width, height }: { width: number; height: number }
+    ) => {
+      drawContext.strokeStyle = color;
+      drawContext.lineWidth = 2;
+      drawContext.beginPath();
+      // Unpitched readings break the line.
+      let drawing = false;
+      readings.forEach(({ time, frequency, confidence }) => {
+        if (confidence < MIN_CONFIDENCE || frequency <= 0) {
+          drawing = false;
+          return;
+        }
+        const x = width * (1 - (now - time) / TRACE_SECONDS);
+        const y = height * (1 - frequencyPosition(frequency));
+        if (drawing) drawContext.lineTo(x, y);
+        else drawContext.moveTo(x, y);
+        drawing = true;
+      });
+      drawContext.stroke();
+    };
+
+    let frame = 0;
+    const draw = () => {
+      frame = requestAnimationFrame(draw);
+      const ratio = window.devicePixelRatio || 1;
+      const size = { width: canvas.clientWidth, height: canvas.clientHeight };
+      if (canvas.width !== Math.round(size.width * ratio)) {
+        canvas.width = Math.round(size.width * ratio);
+      }
+      if (canvas.height !== Math.round(size.height * ratio)) {
+        canvas.height = Math.round(size.height * ratio);
+      }
+      drawContext.setTransform(ratio, 0, 0, ratio, 0, 0);
+      drawContext.clearRect(0, 0, size.width, size.height);
+
+      drawContext.strokeStyle = "rgba(255, 255, 255, 0.15)";
+      drawContext.fillStyle = "rgba(255, 255, 255, 0.5)";
+      drawContext.font = "10px sans-serif";
+      drawContext.lineWidth = 1;
+      GRID_NOTES.forEach(([name, frequency]) => {
+        const y =
+          Math.round(size.height * (1 - frequencyPosition(frequency))) + 0.5;
+        drawContext.beginPath();
+        drawContext.moveTo(0, y);
+        drawContext.lineTo(size.width, y);
+        drawContext.stroke();
+        drawContext.fillText(name, 2, y - 2);
+      });
+
+      const now = audioContext.currentTime;
+      drawTrace(inputHistory.current, INPUT_COLOR, now, size);
+      drawTrace(outputHistory.current, OUTPUT_COLOR, now, size);
+    };
+    draw();
+    return () => cancelAnimationFrame(frame);
+  }, [audioContext, inputHistory, outputHistory]);
+
+  return (
+    <div className="text-base flex flex-col gap-1">
+      <div className="flex gap-4">
+        <span style={{ color: INPUT_COLOR }}>
+          In: {formatPitch(inputPitch.pitch)}
+        </span>
+        <span style={{ color: OUTPUT_COLOR }}>
+          Out: {formatPitch(outputPitch.pitch)}
+        </span>
+      </div>
+      <canvas
+        ref={canvasRef}
+        className="border-white border-opacity-10 border-2"
+        style={{ width, height }}
+      ></canvas>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import {
+  builtInPresets,
+  exportPresets,
+  importPresets,
+  loadSavedPresets,
+  PresetConfig,
+  presetFromConfig,
+  savePresets,
+  VocoderPreset,
+} from "./presets";
+import { VocoderConfig } from "./vocoderGraph";
+import { downloadBlob } from "./wav";
+
+const buttonClassName =
+  "bg-blue-800 px-2 py-1 rounded hover:bg-blue-600 border-blue-700 border-2 disabled:opacity-50";
+
+export default function PresetPicker({
+  config,
+  onApply,
+}: {
+  config: VocoderConfig;
+  onApply: (config: PresetConfig) => void;
+}) {
+  const [saved, setSaved] = useState(loadSavedPresets);
+  const [selected, setSelected] = useState("");
+  const [error, setError] = useState("");
+
+  const presets = [...builtInPresets, ...saved];
+  const isSaved = saved.some((preset) => preset.name === selected);
+
+  function updateSaved(presets: VocoderPreset[]) {
+    setSaved(presets);
+    savePresets(presets);
+  }
+
+  function select(name: string) {
+    setSelected(name);
+    const preset = presets.find((preset) => preset.name === name);
+    if (preset) onApply(preset.config);
+  }
+
+  function save() {
+    const name = window.prompt("Preset name", selected)?.trim();
+    if (!name) return;
+    if (builtInPresets.some((preset) => preset.name === name)) {
+      setError(`"${name}" is a built-in preset`);
+      return;
+    }
+    updateSaved([
+      ...saved.filter((preset) => preset.name !== name),
+      presetFromConfig(name, config),
+    ]);
+    setSelected(name);
+    setError("");
+  }
+
+  function remove() {
+    updateSaved(saved.filter((preset) => preset.name !== selected));
+    setSelected("");
+  }
+
+  async function importFile(file: File) {
+    try {
+      const imported = importPresets(await file.text());
+      const names = new Set(imported.map((preset) => preset.name));
+      updateSaved([
+        ...saved.filter((preset) => !names.has(preset.name)),
+        ...imported.filter(
+          (preset) => !builtInPresets.some((p) => p.name === preset.name)
+        ),
+      ]);
+      setError("");
+    } catch (err) {
+      setError(err instanceof Error ? err.message : String(err));
+    }
+  }
+
+  return (
+    <div className="mb-4 text-base flex items-center gap-2">
+      <label htmlFor="preset">Preset:</label>
+      <select
+        id="preset"
+        className="bg-gray-800"
+        value={selected}
+        onChange={(e) => select(e.currentTarget.value)}
+      >
+        <option value="" disabled>
+          Choose…
+        </option>
+        <optgroup label="Built in">
+          {builtInPresets.map((preset) => (
+            <option key={preset.name}>{preset.name}</option>
+          ))}
+        </optgroup>
+        {saved.length > 0 && (
+          <optgroup label="Saved">
+            {saved.map((preset) => (
+              <option key={preset.name}>{preset.name}</option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+      <button className={buttonClassName} onClick={save}>
+        Save
+      </button>
+      <button className={buttonClassName} disabled={!isSaved} onClick={remove}>
+        Delete
+      </button>
+      <button
+        className={buttonClassName}
+        disabled={saved.length === 0}
+        onClick={() =>
+          downloadBlob(
+            new Blob([exportPresets(saved)], { type: "application/json" }),
+            "vocoder-presets.json"
+          )
+        }
+      >
+        Export
+      </button>
+      <label className={buttonClassName}>
+        Import
+        <input
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.currentTarget.files?.[0];
+            e.currentTarget.value = "";
+            if (file) importFile(file);
+          }}
+        />
+      </label>
+      {error && <span className="text-red-400">{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+import useRecorder from "./audioHooks/useRecorder";
+import { WavFormat } from "./wav";
+
+const buttonClassName =
+  "bg-blue-800 px-2 py-1 rounded hover:bg-blue-600 border-blue-700 border-2 disabled:opacity-50";
+
+export default function RecorderControls({
+  source,
+}: {
+  source: AudioNode | null;
+}) {
+  const { ready, state, duration, start, stop, download } = useRecorder(source);
+  const [format, setFormat] = useState<WavFormat>("int16");
+
+  return (
+    <div className="mt-4 text-base flex items-center gap-2">
+      {state === "idle" ? (
+        <button className={buttonClassName} disabled={!ready} onClick={start}>
+          Record
+        </button>
+      ) : (
+        <button
+          className={buttonClassName}
+          disabled={state === "stopping"}
+          onClick={stop}
+        >
+          <span className="inline-block rounded-full bg-red-500 h-3 w-3 mr-2"></span>
+          Stop
+        </button>
+      )}
+      <select
+        className="bg-gray-800"
+        value={format}
+        onChange={(e) => setFormat(e.currentTarget.value as WavFormat)}
+      >
+        <option value="int16">16-bit WAV</option>
+        <option value="float32">32-bit float WAV</option>
+      </select>
+      <button
+        className={buttonClassName}
+        disabled={state !== "idle" || duration === 0}
+        onClick={() => download(format)}
+      >
+        Download{duration ? ` (${duration.toFixed(1)}s)` : ""}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,308 @@
+import React from "react";
+
+// thorium-vox imports this too, so it only uses React and the Web Audio API.
+
+export type SpectrumMode = "bars" | "line" | "waterfall";
+
+export const spectrumModes: SpectrumMode[] = ["bars", "line", "waterfall"];
+
+// Draws on top of the spectrum each frame, in CSS pixels.
+export type SpectrumOverlay = (
+  drawContext: CanvasRenderingContext2D,
+  width: number,
+  height: number
+) => void;
+
+export interface SpectrumProps {
+  analyser: AnalyserNode | null;
+  // Bars or a line with frequency across and level up, or a spectrogram
+  // scrolling left with frequency up and level as colour.
+  mode?: SpectrumMode;
+  // Size on the page, in CSS pixels. The canvas itself is drawn at the
+  // screen's pixel ratio, so it stays sharp.
+  width?: number;
+  height?: number;
+  // The frequency range shown, on a log scale, in Hz.
+  minFrequency?: number;
+  maxFrequency?: number;
+  // The levels at the bottom and top of the scale, in dB.
+  minDecibels?: number;
+  maxDecibels?: number;
+  fftSize?: number;
+  smoothing?: number;
+  // Also draws the waveform across the chart.
+  waveform?: boolean;
+  overlay?: SpectrumOverlay;
+  className?: string;
+}
+
+// Width of each bar, gap included, in CSS pixels.
+const BAR_WIDTH = 4;
+const GRID_FREQUENCIES = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+const GRID_COLOR = "rgba(255, 255, 255, 0.15)";
+const LABEL_COLOR = "rgba(255, 255, 255, 0.5)";
+const LABEL_FONT = "10px sans-serif";
+
+type BinRange = [start: number, end: number];
+
+/**
+ * Splits the range from minFrequency to maxFrequency into `count` slices of
+ * equal width on a log scale, and finds the FFT bins in each. Low slices can
+ * be narrower than a bin, so they always get at least one.
+ */
+function logBins(
+  count: number,
+  minFrequency: number,
+  maxFrequency: number,
+  binWidth: number,
+  binCount: number
+): BinRange[] {
+  const ratio = maxFrequency / minFrequency;
+  return Array.from({ length: count }, (_, i) => {
+    const from = minFrequency * Math.pow(ratio, i / count);
+    const to = minFrequency * Math.pow(ratio, (i + 1) / count);
+    const start = Math.min(Math.round(from / binWidth), binCount - 1);
+    const end = Math.min(
+      Math.max(Math.round(to / binWidth), start + 1),
+      binCount
+    );
+    return [start, end];
+  });
+}
+
+// The loudest bin in each slice, from 0 at minDecibels to 1 at maxDecibels.
+function levels(
+  data: Float32Array,
+  bins: BinRange[],
+  minDecibels: number,
+  maxDecibels: number
+) {
+  return bins.map(([start, end]) => {
+    let loudest = -Infinity;
+    for (let i = start; i < end; i++) loudest = Math.max(loudest, data[i]);
+    const level = (loudest - minDecibels) / (maxDecibels - minDecibels);
+    return Math.min(Math.max(level, 0), 1);
+  });
+}
+
+// Dark blue when quiet, through red, to bright yellow when loud.
+function levelColor(level: number) {
+  return `hsl(${240 + 180 * level}, 100%, ${Math.round(60 * level)}%)`;
+}
+
+function formatFrequency(frequency: number) {
+  return frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`;
+}
+
+/**
+ * A live spectrum of whatever's going through `analyser`. Forwards its ref to
+ * the canvas, so things can be drawn over it or it can be made interactive.
+ */
+const Spectrum = React.forwardRef<HTMLCanvasElement, SpectrumProps>(
+  function Spectrum(
+    {
+      analyser,
+      mode = "bars",
+      width = 640,
+      height = 360,
+      minFrequency = 20,
+      maxFrequency = 20000,
+      minDecibels = -100,
+      maxDecibels = -10,
+      fftSize = 2048,
+      smoothing = 0.8,
+      waveform = false,
+      overlay,
+      className,
+    },
+    ref
+  ) {
+    const canvasRef = React.useRef<HTMLCanvasElement>(null);
+    React.useImperativeHandle(ref, () => canvasRef.current!);
+
+    // Read each frame, so a new overlay doesn't restart the animation.
+    const overlayRef = React.useRef(overlay);
+    overlayRef.current = overlay;
+
+    React.useEffect(() => {
+      const canvas = canvasRef.current;
+      const drawContext = canvas?.getContext("2d");
+      // The spectrogram's history, kept off screen so overlays don't scroll
+      // along with it.
+      const history = document.createElement("canvas");
+      const historyContext = history.getContext("2d");
+      if (!canvas || !drawContext || !historyContext || !analyser) return;
+
+      analyser.fftSize = fftSize;
+      analyser.smoothingTimeConstant = smoothing;
+      const { sampleRate } = analyser.context;
+      const topFrequency = Math.min(maxFrequency, sampleRate / 2);
+      const frequencyData = new Float32Array(analyser.frequencyBinCount);
+      const timeData = new Float32Array(analyser.fftSize);
+      const frequencyPosition = (frequency: number) =>
+        Math.log(frequency / minFrequency) /
+        Math.log(topFrequency / minFrequency);
+
+      let size = { width: 0, height: 0, ratio: 0 };
+      let bins: BinRange[] = [];
+
+      // Only resizes the canvas when its size or the pixel ratio change,
+      // since resizing clears it.
+      const resize = () => {
+        const ratio = window.devicePixelRatio || 1;
+        const { clientWidth, clientHeight } = canvas;
+        if (
+          clientWidth === size.width &&
+          clientHeight === size.height &&
+          ratio === size.ratio
+        ) {
+          return;
+        }
+        size = { width: clientWidth, height: clientHeight, ratio };
+        canvas.width = history.width = Math.round(clientWidth * ratio);
+        canvas.height = history.height = Math.round(clientHeight * ratio);
+        // A bar every BAR_WIDTH, a line point every pixel, or a spectrogram
+        // row every screen pixel.
+        const count =
+          mode === "bars"
+            ? Math.floor(clientWidth / BAR_WIDTH)
+            : mode === "line"
+            ? clientWidth
+            : canvas.height;
+        bins = logBins(
+          count,
+          minFrequency,
+          topFrequency,
+          sampleRate / analyser.fftSize,
+          analyser.frequencyBinCount
+        );
+      };
+
+      const drawSpectrogram = (values: number[]) => {
+        // Scroll left a CSS pixel and add the newest slice on the right.
+        const step = Math.max(1, Math.round(size.ratio));
+        historyContext.drawImage(history, -step, 0);
+        values.forEach((level, i) => {
+          historyContext.fillStyle = levelColor(level);
+          historyContext.fillRect(
+            history.width - step,
+            history.height - i - 1,
+            step,
+            1
+          );
+        });
+        drawContext.drawImage(history, 0, 0);
+      };
+
+      const drawBars = (values: number[]) => {
+        values.forEach((level, i) => {
+          const barHeight = level * size.height;
+          const hue = (i / values.length) * 360;
+          drawContext.fillStyle = `hsl(${hue}, 100%, 50%)`;
+          drawContext.fillRect(
+            i * BAR_WIDTH,
+            size.height - barHeight,
+            BAR_WIDTH - 1,
+            barHeight
+          );
+        });
+      };
+
+      const drawLine = (values: number[]) => {
+        drawContext.strokeStyle = "rgb(96, 165, 250)";
+        drawContext.lineWidth = 1.5;
+        drawContext.beginPath();
+        values.forEach((level, x) => {
+          const y = size.height - level * size.height;
+          if (x === 0) drawContext.moveTo(x, y);
+          else drawContext.lineTo(x, y);
+        });
+        drawContext.stroke();
+      };
+
+      const drawWaveform = () => {
+        analyser.getFloatTimeDomainData(timeData);
+        drawContext.strokeStyle = "white";
+        drawContext.lineWidth = 1;
+        drawContext.beginPath();
+        timeData.forEach((sample, i) => {
+          const x = (i / timeData.length) * size.width;
+          const y = ((1 - sample) * size.height) / 2;
+          if (i === 0) drawContext.moveTo(x, y);
+          else drawContext.lineTo(x, y);
+        });
+        drawContext.stroke();
+      };
+
+      // Gridlines at round frequencies: across the spectrogram, up and down
+      // the others.
+      const drawGrid = () => {
+        drawContext.strokeStyle = GRID_COLOR;
+        drawContext.fillStyle = LABEL_COLOR;
+        drawContext.font = LABEL_FONT;
+        drawContext.lineWidth = 1;
+        GRID_FREQUENCIES.forEach((frequency) => {
+          if (frequency < minFrequency || frequency > topFrequency) return;
+          const position = frequencyPosition(frequency);
+          const label = formatFrequency(frequency);
+          drawContext.beginPath();
+          if (mode === "waterfall") {
+            const y = Math.round(size.height * (1 - position)) + 0.5;
+            drawContext.moveTo(0, y);
+            drawContext.lineTo(size.width, y);
+            drawContext.fillText(label, 2, y - 2);
+          } else {
+            const x = Math.round(size.width * position) + 0.5;
+            drawContext.moveTo(x, 0);
+            drawContext.lineTo(x, size.height);
+            drawContext.fillText(label, x + 2, size.height - 2);
+          }
+          drawContext.stroke();
+        });
+      };
+
+      let frame = 0;
+      const draw = () => {
+        frame = requestAnimationFrame(draw);
+        resize();
+        if (!size.width || !size.height) return;
+
+        analyser.getFloatFrequencyData(frequencyData);
+        const values = levels(frequencyData, bins, minDecibels, maxDecibels);
+
+        drawContext.setTransform(1, 0, 0, 1, 0, 0);
+        drawContext.clearRect(0, 0, canvas.width, canvas.height);
+        if (mode === "waterfall") drawSpectrogram(values);
+        // Everything else is drawn in CSS pixels.
+        drawContext.setTransform(size.ratio, 0, 0, size.ratio, 0, 0);
+        if (mode === "bars") drawBars(values);
+        if (mode === "line") drawLine(values);
+        drawGrid();
+        if (waveform) drawWaveform();
+        overlayRef.current?.(drawContext, size.width, size.height);
+      };
+      draw();
+      return () => cancelAnimationFrame(frame);
+    }, [
+      analyser,
+      mode,
+      minFrequency,
+      maxFrequency,
+      minDecibels,
+      maxDecibels,
+      fftSize,
+      smoothing,
+      waveform,
+    ]);
+
+    return (
+      <canvas
+        ref={canvasRef}
+        className={className}
+        style={{ width, height }}
+      ></canvas>
+    );
+  }
+);
+
+export default Spectrum;
@@ -37,7 +37,7 @@ function drawPath(canvas, canvasCtx, data, divider = 4) {
 }
 
 function AudioApp() {
-  const microphone = useMicrophone();
+  const microphone = useMicrophone().node;
   // const reverb = useReverb();
 
   // const gain = useGain();
@@ -62,9 +62,16 @@ function AudioApp() {
   const canvasRef = React.useRef();
 
   const audioContext = React.useContext(AContext);
+  // The phase vocoder posts its fixed latency once it's running.
+  const [latency, setLatency] = React.useState(null);
   React.useEffect(() => {
-    if (worklet)
-      worklet.port.onmessage = (m) => console.log(JSON.parse(m.data));
+    if (!worklet) return;
+    worklet.port.onmessage = (m) => {
+      if (m.data.type === "latency") setLatency(m.data.seconds);
+    };
+    return () => {
+      worklet.port.onmessage = null;
+    };
   }, [worklet]);
   // React.useEffect(() => {
   //   const analyser = audioContext.createAnalyser();
@@ -105,7 +112,14 @@ function AudioApp() {
 
   //   }
   // }, [audioContext, output, worklet]);
-  return <canvas ref={canvasRef} />;
+  return (
+    <>
+      {latency !== null && (
+        <p>Pitch shifter latency: {Math.round(latency * 1000)}ms</p>
+      )}
+      <canvas ref={canvasRef} />
+    </>
+  );
 }
 
 function App() {
@@ -0,0 +1,93 @@
+import React from "react";
+
+// Only available inside ReactAudioContext, which doesn't render its children
+// until the context exists.
+export const AContext = React.createContext<AudioContext>(null!);
+
+interface AudioContextControls {
+  state: AudioContextState;
+  resume(): Promise<void>;
+  suspend(): Promise<void>;
+}
+
+const AContextControls = React.createContext<AudioContextControls>({
+  state: "suspended",
+  resume: () => Promise.resolve(),
+  suspend: () => Promise.resolve(),
+});
+
+/**
+ * The shared AudioContext's state, with functions to resume and suspend it.
+ */
+export function useAudioContextState() {
+  return React.useContext(AContextControls);
+}
+
+function StartAudioGate({ onStart }: { onStart: () => void }) {
+  return (
+    <button
+      className="fixed inset-0 z-50 w-full bg-gray-900 bg-opacity-75 text-white text-2xl"
+      onClick={onStart}
+    >
+      Click to start audio
+    </button>
+  );
+}
+
+/**
+ * Provides a single AudioContext to the audio hooks.
+ *
+ * The context is created after mount, so strict mode's double render doesn't
+ * make a second one, and closed on unmount. Browsers start it suspended until
+ * the page has had a user gesture, so while it's suspended a "click to start
+ * audio" gate covers the page.
+ */
+export default function ReactAudioContext({
+  children,
+  latencyHint,
+  sampleRate,
+}: {
+  children: React.ReactNode;
+  latencyHint?: AudioContextLatencyCategory | number;
+  sampleRate?: number;
+}) {
+  const [audioContext, setAudioContext] = React.useState<AudioContext | null>(
+    null
+  );
+  const [state, setState] = React.useState<AudioContextState>("suspended");
+  // Counts the contexts made, so the children remount onto a new one when
+  // the options change.
+  const generation = React.useRef(0);
+
+  React.useEffect(() => {
+    const context = new AudioContext({ latencyHint, sampleRate });
+    const updateState = () => setState(context.state);
+    context.addEventListener("statechange", updateState);
+    updateState();
+    generation.current++;
+    setAudioContext(context);
+    return () => {
+      context.removeEventListener("statechange", updateState);
+      context.close();
+    };
+  }, [latencyHint, sampleRate]);
+
+  const controls = React.useMemo(
+    () => ({
+      state,
+      resume: () => audioContext?.resume() ?? Promise.resolve(),
+      suspend: () => audioContext?.suspend() ?? Promise.resolve(),
+    }),
+    [audioContext, state]
+  );
+
+  if (!audioContext) return null;
+  return (
+    <AContext.Provider value={audioContext}>
+      <AContextControls.Provider value={controls}>
+        <React.Fragment key={generation.current}>{children}</React.Fragment>
+        {state === "suspended" && <StartAudioGate onStart={controls.resume} />}
+      </AContextControls.Provider>
+    </AContext.Provider>
+  );
+}
@@ -0,0 +1,32 @@
+import React from "react";
+import { AContext } from "./useAudioContext";
+
+export default function useAudioWorklet(
+  scriptPath: string,
+  processorName: string,
+  options?: AudioWorkletNodeOptions
+) {
+  const audioContext = React.useContext(AContext);
+  // Options only apply when the node is created, so changing them later
+  // shouldn't tear the node down.
+  const optionsRef = React.useRef(options);
+  const [workletNode, setWorkletNode] = React.useState<AudioWorkletNode | null>(
+    null
+  );
+
+  React.useEffect(() => {
+    audioContext.audioWorklet
+      .addModule(scriptPath)
+      .then(() => {
+        const node = new AudioWorkletNode(
+          audioContext,
+          processorName,
+          optionsRef.current
+        );
+        node.onprocessorerror = (m) => console.error(m);
+        setWorkletNode(node);
+      })
+      .catch((err) => console.log(err));
+  }, [audioContext, scriptPath, processorName]);
+  return workletNode;
+}
@@ -1,14 +1,39 @@
 import React from "react";
 import Delay from "soundbank-delay";
+import { AContext } from "./useAudioContext";
+import useEffectOptions, { smoothParam, withMix } from "./useEffectOptions";
 
-export default function useDelay(audioContext) {
-  const [delay] = React.useState(Delay(audioContext));
+// Options: time (seconds), wet, dry (or mix and crossfade, see withMix),
+// feedback, and cutoff (Hz) of the filter in the feedback loop. Returns the
+// node and `set`, which takes any of the same options.
+export default function useDelay({
+  time = 0.2,
+  wet = 0.8,
+  dry = 1,
+  mix,
+  crossfade,
+  cutoff = 400,
+  feedback = 0.6
+} = {}) {
+  const audioContext = React.useContext(AContext);
+  const [delay] = React.useState(() => Delay(audioContext));
 
-  delay.time.value = 0.2; //seconds
-  delay.wet.value = 0.8;
-  delay.dry.value = 1;
-  delay.cutoff.value = 400; //Hz
-  delay.feedback.value = 0.6;
+  const set = React.useCallback(
+    options => {
+      const changes = withMix(options);
+      const params = ["time", "wet", "dry", "cutoff", "feedback"];
+      params.forEach(name => {
+        const value = changes[name];
+        if (value !== undefined) smoothParam(audioContext, delay[name], value);
+      });
+    },
+    [audioContext, delay]
+  );
 
-  return delay;
+  useEffectOptions(
+    withMix({ time, wet, dry, mix, crossfade, cutoff, feedback }),
+    set
+  );
+
+  return { node: delay, set };
 }
@@ -0,0 +1,125 @@
+import React from "react";
+import { AContext } from "./useAudioContext";
+import useAudioWorklet from "./useAudioWorklet";
+import useEffectOptions from "./useEffectOptions";
+import {
+  defaultDspReverbParams,
+  defaultIIRFilterParams,
+  defaultMultiDelayParams,
+  defaultSingleDelayParams,
+  DSP_PROCESSORS_MODULE,
+  dspEffectNodeOptions,
+  DspEffectParams,
+  DspReverbParams,
+  GraphicalEqBands,
+  graphicalEqParams,
+  IIRFilterParams,
+  MultiDelayParams,
+  setDspEffectParams,
+  SingleDelayParams,
+} from "../dspEffects";
+
+interface DelayBufferOptions {
+  // Longest delay the node can be set to, in seconds. 2 by default.
+  maxDelay?: number;
+}
+
+/**
+ * Runs one of the dsp-processors.js worklets, keeping its parameters in line
+ * with `params`. Returns the node (null while the worklet loads) and `set`,
+ * which takes any of the parameters.
+ */
+function useDspEffect<P extends DspEffectParams<P>>(
+  processorName: string,
+  params: P,
+  options?: AudioWorkletNodeOptions
+) {
+  const audioContext = React.useContext(AContext);
+  const node = useAudioWorklet(
+    DSP_PROCESSORS_MODULE,
+    processorName,
+    dspEffectNodeOptions(params, options)
+  );
+
+  const set = React.useCallback(
+    (changes: Partial<P>) => {
+      if (node) setDspEffectParams(audioContext, node, changes);
+    },
+    [audioContext, node]
+  );
+
+  // The node starts with the parameters of the first render, so catch it up
+  // with any that changed while it loaded.
+  const latest = React.useRef(params);
+  latest.current = params;
+  React.useEffect(() => {
+    if (node) setDspEffectParams(audioContext, node, latest.current);
+  }, [audioContext, node]);
+
+  useEffectOptions(params, set);
+
+  return { node, set };
+}
+
+export function useSingleDelay({
+  delayInSamples = defaultSingleDelayParams.delayInSamples,
+  delayVolume = defaultSingleDelayParams.delayVolume,
+  maxDelay,
+}: Partial<SingleDelayParams> & DelayBufferOptions = {}) {
+  return useDspEffect<SingleDelayParams>(
+    "single-delay",
+    { delayInSamples, delayVolume },
+    { processorOptions: { maxDelay } }
+  );
+}
+
+export function useMultiDelay({
+  delayInSamples = defaultMultiDelayParams.delayInSamples,
+  masterVolume = defaultMultiDelayParams.masterVolume,
+  delayVolume = defaultMultiDelayParams.delayVolume,
+  maxDelay,
+}: Partial<MultiDelayParams> & DelayBufferOptions = {}) {
+  return useDspEffect<MultiDelayParams>(
+    "multi-delay",
+    { delayInSamples, masterVolume, delayVolume },
+    { processorOptions: { maxDelay } }
+  );
+}
+
+export function useIIRFilter({
+  cutoff = defaultIIRFilterParams.cutoff,
+  resonance = defaultIIRFilterParams.resonance,
+}: Partial<IIRFilterParams> = {}) {
+  return useDspEffect<IIRFilterParams>("iir-filter", { cutoff, resonance });
+}
+
+export function useDspReverb({
+  delayInSamples = defaultDspReverbParams.delayInSamples,
+  masterVolume = defaultDspReverbParams.masterVolume,
+  mixVolume = defaultDspReverbParams.mixVolume,
+  delayVolume = defaultDspReverbParams.delayVolume,
+  dampFrequency = defaultDspReverbParams.dampFrequency,
+  maxDelay,
+}: Partial<DspReverbParams> & DelayBufferOptions = {}) {
+  return useDspEffect<DspReverbParams>(
+    "dsp-reverb",
+    { delayInSamples, masterVolume, mixVolume, delayVolume, dampFrequency },
+    // Always stereo, even from a mono input.
+    { outputChannelCount: [2], processorOptions: { maxDelay } }
+  );
+}
+
+/**
+ * `gains` are the bands' gains in dB, lowest band first. The bands themselves
+ * are fixed when the node is created (see graphicalEqFrequencies).
+ */
+export function useGraphicalEq({
+  gains = [],
+  ...bands
+}: { gains?: number[] } & GraphicalEqBands = {}) {
+  return useDspEffect<Record<string, number>>(
+    "graphical-eq",
+    graphicalEqParams(gains),
+    { processorOptions: bands }
+  );
+}
@@ -0,0 +1,42 @@
+import React from "react";
+import { crossfadeGains } from "../crossfade";
+
+// Time constant for AudioParam changes, so dragging a slider doesn't zipper.
+export const PARAM_SMOOTHING = 0.02;
+
+export function smoothParam(context, param, value) {
+  param.setTargetAtTime(value, context.currentTime, PARAM_SMOOTHING);
+}
+
+/**
+ * Replaces `mix` (wet/dry balance from 0 dry to 1 wet) and `crossfade` (how
+ * it's split: "linear", "equal-power" by default, or "decibel") with the wet
+ * and dry gains they make.
+ */
+export function withMix({ mix, crossfade, ...options }) {
+  return mix === undefined
+    ? options
+    : { ...options, ...crossfadeGains(mix, crossfade) };
+}
+
+/**
+ * Hands the options that changed since the last render to `apply`, in an
+ * effect, so settings that are expensive to change (like a reverb's impulse)
+ * are only touched when they actually change.
+ */
+export default function useEffectOptions(options, apply) {
+  const previous = React.useRef({});
+
+  React.useEffect(() => {
+    const changes = {};
+    let changed = false;
+    for (const key in options) {
+      if (options[key] !== previous.current[key]) {
+        changes[key] = options[key];
+        changed = true;
+      }
+    }
+    previous.current = options;
+    if (changed) apply(changes);
+  });
+}
@@ -0,0 +1,232 @@
+import React from "react";
+import {
+  EQ_MAX_BANDWIDTH,
+  EQ_MAX_FREQUENCY,
+  EQ_MAX_GAIN,
+  EQ_MIN_BANDWIDTH,
+  EQ_MIN_FREQUENCY,
+  EqBand,
+  eqResponse,
+} from "../equalizer";
+
+// Radius of the band handles, and how close a click has to be to grab one.
+const HANDLE_RADIUS = 6;
+const GRAB_DISTANCE = 12;
+// How much one step of the mouse wheel widens or narrows a band, in octaves.
+const WHEEL_BANDWIDTH_STEP = 0.1;
+
+function clamp(value: number, min: number, max: number) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Frequency runs left to right on a log scale, gain bottom to top.
+function frequencyToX(frequency: number, width: number) {
+  return (
+    (width * Math.log(frequency / EQ_MIN_FREQUENCY)) /
+    Math.log(EQ_MAX_FREQUENCY / EQ_MIN_FREQUENCY)
+  );
+}
+
+function xToFrequency(x: number, width: number) {
+  return (
+    EQ_MIN_FREQUENCY *
+    Math.pow(EQ_MAX_FREQUENCY / EQ_MIN_FREQUENCY, clamp(x / width, 0, 1))
+  );
+}
+
+function gainToY(gain: number, height: number) {
+  return height / 2 - (gain / EQ_MAX_GAIN) * (height / 2);
+}
+
+function yToGain(y: number, height: number) {
+  return clamp(
+    ((height / 2 - y) / (height / 2)) * EQ_MAX_GAIN,
+    -EQ_MAX_GAIN,
+    EQ_MAX_GAIN
+  );
+}
+
+function formatBand({ frequency, gain }: EqBand) {
+  const hz =
+    frequency >= 1000
+      ? `${(frequency / 1000).toFixed(1)}kHz`
+      : `${Math.round(frequency)}Hz`;
+  return `${hz} ${gain > 0 ? "+" : ""}${gain.toFixed(1)}dB`;
+}
+
+/**
+ * Lets the EQ bands be edited on a canvas: drag a band's handle to move its
+ * frequency and gain, scroll over it to change its width, and double click it
+ * to flatten it. Returns a function that draws the handles and the combined
+ * response, for the canvas's draw loop to call with its size in CSS pixels.
+ */
+export default function useEqEditor(
+  canvasRef: React.RefObject<HTMLCanvasElement>,
+  bands: EqBand[],
+  onChange: (bands: EqBand[]) => void,
+  sampleRate: number
+) {
+  const [active, setActive] = React.useState<number | null>(null);
+  const latest = React.useRef({ bands, onChange });
+  latest.current = { bands, onChange };
+
+  React.useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    // In CSS pixels, as the overlay is drawn.
+    function position(e: MouseEvent) {
+      return { x: e.offsetX, y: e.offsetY };
+    }
+
+    function bandAt(e: MouseEvent) {
+      const { x, y } = position(e);
+      const { bands } = latest.current;
+      let nearest: number | null = null;
+      let nearestDistance = GRAB_DISTANCE;
+      for (let i = 0; i < bands.length; i++) {
+        const distance = Math.hypot(
+          frequencyToX(bands[i].frequency, canvas!.clientWidth) - x,
+          gainToY(bands[i].gain, canvas!.clientHeight) - y
+        );
+        if (distance <= nearestDistance) {
+          nearest = i;
+          nearestDistance = distance;
+        }
+      }
+      return nearest;
+    }
+
+    function change(index: number, changes: Partial<EqBand>) {
+      const { bands, onChange } = latest.current;
+      onChange(
+        bands.map((band, i) => (i === index ? { ...band, ...changes } : band))
+      );
+    }
+
+    let dragging: number | null = null;
+
+    function onPointerDown(e: PointerEvent) {
+      dragging = bandAt(e);
+      if (dragging === null) return;
+      canvas!.setPointerCapture(e.pointerId);
+      setActive(dragging);
+    }
+
+    function onPointerMove(e: PointerEvent) {
+      if (dragging === null) {
+        setActive(bandAt(e));
+        return;
+      }
+      const { x, y } = position(e);
+      change(dragging, {
+        frequency: xToFrequency(x, canvas!.clientWidth),
+        gain: yToGain(y, canvas!.clientHeight),
+      });
+    }
+
+    function onPointerUp(e: PointerEvent) {
+      if (dragging === null) return;
+      canvas!.releasePointerCapture(e.pointerId);
+      dragging = null;
+    }
+
+    function onPointerLeave() {
+      if (dragging === null) setActive(null);
+    }
+
+    function onWheel(e: WheelEvent) {
+      const index = bandAt(e);
+      if (index === null) return;
+      e.preventDefault();
+      const { bandwidth } = latest.current.bands[index];
+      change(index, {
+        bandwidth: clamp(
+          bandwidth + Math.sign(e.deltaY) * WHEEL_BANDWIDTH_STEP,
+          EQ_MIN_BANDWIDTH,
+          EQ_MAX_BANDWIDTH
+        ),
+      });
+    }
+
+    function onDoubleClick(e: MouseEvent) {
+      const index = bandAt(e);
+      if (index !== null) change(index, { gain: 0 });
+    }
+
+    canvas.addEventListener("pointerdown", onPointerDown);
+    canvas.addEventListener("pointermove", onPointerMove);
+    canvas.addEventListener("pointerup", onPointerUp);
+    canvas.addEventListener("pointerleave", onPointerLeave);
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    canvas.addEventListener("dblclick", onDoubleClick);
+    return () => {
+      canvas.removeEventListener("pointerdown", onPointerDown);
+      canvas.removeEventListener("pointermove", onPointerMove);
+      canvas.removeEventListener("pointerup", onPointerUp);
+      canvas.removeEventListener("pointerleave", onPointerLeave);
+      canvas.removeEventListener("wheel", onWheel);
+      canvas.removeEventListener("dblclick", onDoubleClick);
+    };
+  }, [canvasRef]);
+
+  // Only worked out again when the bands or the canvas size change, rather
+  // than every frame.
+  const cached = React.useMemo(
+    () => ({ width: 0, response: new Float32Array(0) }),
+    [bands, sampleRate]
+  );
+
+  return React.useCallback(
+    (drawContext: CanvasRenderingContext2D, width: number, height: number) => {
+      if (cached.width !== width) {
+        const frequencies = Array.from({ length: width }, (_, x) =>
+          xToFrequency(x, width)
+        );
+        cached.width = width;
+        cached.response = eqResponse(bands, frequencies, sampleRate);
+      }
+      const { response } = cached;
+
+      drawContext.strokeStyle = "rgba(255, 255, 255, 0.2)";
+      drawContext.beginPath();
+      drawContext.moveTo(0, height / 2);
+      drawContext.lineTo(width, height / 2);
+      drawContext.stroke();
+
+      drawContext.strokeStyle = "white";
+      drawContext.lineWidth = 2;
+      drawContext.beginPath();
+      response.forEach((gain, x) => {
+        const y = gainToY(clamp(gain, -EQ_MAX_GAIN, EQ_MAX_GAIN), height);
+        if (x === 0) drawContext.moveTo(x, y);
+        else drawContext.lineTo(x, y);
+      });
+      drawContext.stroke();
+      drawContext.lineWidth = 1;
+
+      bands.forEach((band, i) => {
+        const x = frequencyToX(band.frequency, width);
+        const y = gainToY(band.gain, height);
+        drawContext.fillStyle = i === active ? "white" : "rgb(96, 165, 250)";
+        drawContext.beginPath();
+        drawContext.arc(x, y, HANDLE_RADIUS, 0, 2 * Math.PI);
+        drawContext.fill();
+      });
+
+      if (active !== null && bands[active]) {
+        const band = bands[active];
+        drawContext.fillStyle = "white";
+        drawContext.font = "14px sans-serif";
+        drawContext.fillText(
+          band.type === "peaking"
+            ? `${formatBand(band)} ${band.bandwidth.toFixed(1)} oct`
+            : `${formatBand(band)} ${band.type}`,
+          8,
+          20
+        );
+      }
+    },
+    [cached, bands, sampleRate, active]
+  );
+}
@@ -0,0 +1,64 @@
+import React from "react";
+import { AContext } from "./useAudioContext";
+import {
+  createImpulseLibrary,
+  ImpulseResponse,
+  UploadOptions,
+} from "../impulses";
+
+export interface LoadedImpulse {
+  buffer: AudioBuffer;
+  normalize: boolean;
+}
+
+/**
+ * The impulse responses available to the reverb, and the selected one once
+ * it's loaded. Loading or upload failures are reported in `error`.
+ */
+export default function useImpulseLibrary(initialId = "hall") {
+  const audioContext = React.useContext(AContext);
+  const [library] = React.useState(() => createImpulseLibrary(audioContext));
+  const [impulses, setImpulses] = React.useState<ImpulseResponse[]>(
+    library.list
+  );
+  const [selected, setSelected] = React.useState(initialId);
+  const [impulse, setImpulse] = React.useState<LoadedImpulse | null>(null);
+  const [error, setError] = React.useState<Error | null>(null);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    library
+      .load(selected)
+      .then((buffer) => {
+        if (cancelled) return;
+        const normalize = library.get(selected)?.normalize ?? true;
+        setImpulse({ buffer, normalize });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Error loading impulse response", err);
+        setError(err instanceof Error ? err : new Error(String(err)));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [library, selected]);
+
+  const upload = React.useCallback(
+    (file: File, options?: UploadOptions) =>
+      library.upload(file, options).then(
+        (uploaded) => {
+          setImpulses(library.list());
+          setSelected(uploaded.id);
+        },
+        (err) => {
+          console.error("Error uploading impulse response", err);
+          setError(err instanceof Error ? err : new Error(String(err)));
+        }
+      ),
+    [library]
+  );
+
+  return { impulses, selected, select: setSelected, impulse, error, upload };
+}
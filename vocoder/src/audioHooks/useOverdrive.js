@@ -1,12 +1,37 @@
 import React from "react";
 import Overdrive from "soundbank-overdrive";
+import { AContext } from "./useAudioContext";
+import useEffectOptions, { smoothParam } from "./useEffectOptions";
 
-export default function useReverb(audioContext) {
-  const [overdrive] = React.useState(Overdrive(audioContext));
+// Options: gain (drive into the waveshaper), preBand (from 0 to 1, the level
+// of the band-passed signal fed to the waveshaper, with the unfiltered signal
+// at 1 minus it), color (that band's centre, Hz) and postCut (Hz). Returns the
+// node and `set`, which takes any of the same options.
+export default function useOverdrive({
+  gain = 20,
+  preBand = 0.5,
+  color = 800,
+  postCut = 600
+} = {}) {
+  const audioContext = React.useContext(AContext);
+  const [overdrive] = React.useState(() => Overdrive(audioContext));
 
-  overdrive.gain.value = 20;
-  overdrive.preBand.value = 5000;
-  overdrive.postCut.value = 600;
+  const set = React.useCallback(
+    changes => {
+      const params = ["gain", "preBand", "color", "postCut"];
+      params.forEach(name => {
+        const value = changes[name];
+        if (value === undefined) return;
+        // Outside 0 to 1, one of the mixed signals would be inverted.
+        const clamped =
+          name === "preBand" ? Math.min(Math.max(value, 0), 1) : value;
+        smoothParam(audioContext, overdrive[name], clamped);
+      });
+    },
+    [audioContext, overdrive]
+  );
 
-  return overdrive;
+  useEffectOptions({ gain, preBand, color, postCut }, set);
+
+  return { node: overdrive, set };
 }
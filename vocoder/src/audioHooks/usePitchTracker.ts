@@ -0,0 +1,65 @@
+import React from "react";
+import useAudioWorklet from "./useAudioWorklet";
+
+export interface PitchTrackerOptions {
+  frameSize?: number;
+  hop?: number;
+  minFrequency?: number;
+  maxFrequency?: number;
+  threshold?: number;
+  tuning?: number;
+}
+
+// One of pitch-tracker.js's readings. The note fields are null, and the
+// frequency and confidence 0, while the input's silent.
+export interface PitchReading {
+  // AudioContext time of the end of the frame it was worked out from.
+  time: number;
+  frequency: number;
+  confidence: number;
+  note: number | null;
+  name: string | null;
+  cents: number | null;
+}
+
+// Readings older than this are dropped from the history.
+const HISTORY_SECONDS = 10;
+
+/**
+ * Tracks the pitch of `source`. Returns the latest reading, and a ref to the
+ * last few seconds of them, oldest first, for drawing without re-rendering.
+ */
+export default function usePitchTracker(
+  source: AudioNode | null,
+  options?: PitchTrackerOptions
+) {
+  const tracker = useAudioWorklet("pitch-tracker.js", "pitch-tracker", {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    processorOptions: options,
+  });
+  const [pitch, setPitch] = React.useState<PitchReading | null>(null);
+  const history = React.useRef<PitchReading[]>([]);
+
+  React.useEffect(() => {
+    if (!tracker) return;
+    tracker.port.onmessage = ({ data }) => {
+      if (data.type !== "pitch") return;
+      const readings = history.current;
+      readings.push(data);
+      while (readings[0].time < data.time - HISTORY_SECONDS) readings.shift();
+      setPitch(data);
+    };
+    return () => {
+      tracker.port.onmessage = null;
+    };
+  }, [tracker]);
+
+  React.useEffect(() => {
+    if (!tracker || !source) return;
+    source.connect(tracker);
+    return () => source.disconnect(tracker);
+  }, [tracker, source]);
+
+  return { pitch, history };
+}
@@ -0,0 +1,101 @@
+import React from "react";
+import { AContext } from "./useAudioContext";
+import useAudioWorklet from "./useAudioWorklet";
+import { LoadedImpulse } from "./useImpulseLibrary";
+import { PITCH_CORRECT_MODULE } from "../pitchCorrection";
+import { HARMONIZER_MODULE, harmonizerOptions } from "../harmonizer";
+import {
+  CHANNEL_VOCODER_MODULE,
+  channelVocoderNodeOptions,
+} from "../channelVocoder";
+import {
+  createVocoderGraph,
+  VocoderConfig,
+  VocoderGraph,
+} from "../vocoderGraph";
+
+export default function useVocoder(
+  source: AudioNode | null,
+  config: VocoderConfig,
+  {
+    impulse,
+    carrierBuffer = null,
+    destination,
+  }: {
+    impulse?: LoadedImpulse | null;
+    // The buffer a "file" carrier loops.
+    carrierBuffer?: AudioBuffer | null;
+    destination?: AudioNode;
+  } = {}
+) {
+  const audioContext = React.useContext(AContext);
+  const output = destination || audioContext.destination;
+  const [graph] = React.useState<VocoderGraph>(() =>
+    createVocoderGraph(audioContext)
+  );
+  const [analyser] = React.useState(() => audioContext.createAnalyser());
+  const formantShifter = useAudioWorklet(
+    "formant-shifter.js",
+    "formant-shifter"
+  );
+
+  // Declared before the effect that tears the graph down, so its cleanup runs
+  // while the output is still connected.
+  React.useEffect(() => {
+    graph.output.connect(output);
+    return () => graph.output.disconnect(output);
+  }, [graph, output]);
+
+  React.useEffect(() => {
+    graph.output.connect(analyser);
+    return () => graph.disconnect();
+  }, [graph, analyser]);
+
+  React.useEffect(() => {
+    if (impulse) graph.setImpulse(impulse.buffer, impulse.normalize);
+  }, [graph, impulse]);
+
+  const pitchCorrector = useAudioWorklet(PITCH_CORRECT_MODULE, "pitch-correct");
+  const channelVocoder = useAudioWorklet(
+    CHANNEL_VOCODER_MODULE,
+    "channel-vocoder",
+    channelVocoderNodeOptions(config.channelVocoder.bands)
+  );
+  const harmonizer = useAudioWorklet(
+    HARMONIZER_MODULE,
+    "harmonizer",
+    harmonizerOptions
+  );
+
+  React.useEffect(() => {
+    if (formantShifter) graph.setFormantShifter(formantShifter);
+  }, [graph, formantShifter]);
+
+  React.useEffect(() => {
+    if (pitchCorrector) graph.setPitchCorrector(pitchCorrector);
+  }, [graph, pitchCorrector]);
+
+  React.useEffect(() => {
+    if (channelVocoder) graph.setChannelVocoder(channelVocoder);
+  }, [graph, channelVocoder]);
+
+  React.useEffect(() => {
+    graph.setCarrierBuffer(carrierBuffer);
+  }, [graph, carrierBuffer]);
+
+  React.useEffect(() => {
+    if (harmonizer) graph.setHarmonizer(harmonizer);
+  }, [graph, harmonizer]);
+
+  React.useEffect(() => {
+    if (!source) return;
+    source.connect(graph.input);
+    return () => source.disconnect(graph.input);
+  }, [source, graph]);
+
+  React.useEffect(() => {
+    graph.update(config);
+  }, [graph, config]);
+
+  return { graph, analyser };
+}
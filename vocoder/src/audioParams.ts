@@ -0,0 +1,41 @@
+export type RampType = "target" | "linear";
+
+export interface SmoothingOptions {
+  // "target" eases towards the value with setTargetAtTime, "linear" ramps to
+  // it with linearRampToValueAtTime.
+  ramp?: RampType;
+  // The time constant for "target", or the length of the ramp for "linear",
+  // in seconds.
+  time?: number;
+}
+
+export const defaultSmoothing: Required<SmoothingOptions> = {
+  ramp: "target",
+  time: 0.015,
+};
+
+/**
+ * Moves an AudioParam to `value` smoothly, rather than jumping there and
+ * zippering when it's driven from a slider.
+ */
+export function setParam(
+  context: BaseAudioContext,
+  param: AudioParam,
+  value: number,
+  options: SmoothingOptions = {}
+) {
+  const { ramp, time } = { ...defaultSmoothing, ...options };
+  const now = context.currentTime;
+  if (ramp === "linear") {
+    // Hold the value the param has reached, so the ramp starts from there.
+    if (param.cancelAndHoldAtTime) {
+      param.cancelAndHoldAtTime(now);
+    } else {
+      param.cancelScheduledValues(now);
+      param.setValueAtTime(param.value, now);
+    }
+    param.linearRampToValueAtTime(value, now + time);
+  } else {
+    param.setTargetAtTime(value, now, time);
+  }
+}
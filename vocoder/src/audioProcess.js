@@ -6,27 +6,51 @@ navigator.getUserMedia =
 
 var audioContext = new AudioContext();
 
-var concertHallBuffer;
-var bufferSize = 1024;
-
-ajaxRequest = new XMLHttpRequest();
-ajaxRequest.open("GET", "irHall.ogg", true);
-ajaxRequest.responseType = "arraybuffer";
-
-ajaxRequest.onload = function () {
-  var audioData = ajaxRequest.response;
-  audioContext.decodeAudioData(
-    audioData,
-    function (buffer) {
-      concertHallBuffer = buffer;
-    },
-    function (e) {
-      "Error with decoding audio data" + e.err;
-    }
-  );
-};
+// Time constant for slider changes, in seconds. Setting gains directly makes
+// them zipper while a slider moves.
+var smoothingTime = 0.015;
+
+function setParam(param, value) {
+  param.setTargetAtTime(value, audioContext.currentTime, smoothingTime);
+}
+
+// How the reverb and effect sliders balance wet against dry: "linear",
+// "equal-power" or "decibel". See crossfade.ts.
+var crossfadeLaw = "equal-power";
+
+function crossfadeGains(mix) {
+  var x = Math.min(Math.max(mix, 0), 1);
+  if (crossfadeLaw === "linear") return { dry: 1 - x, wet: x };
+  if (crossfadeLaw === "decibel") {
+    var taper = function (v) {
+      return v <= 0 ? 0 : Math.pow(10, (60 * (v - 1)) / 20);
+    };
+    return { dry: taper(1 - x), wet: taper(x) };
+  }
+  return { dry: Math.cos((x * Math.PI) / 2), wet: Math.sin((x * Math.PI) / 2) };
+}
+
+// Resolves with the decoded hall impulse. The graph is usually built before
+// it arrives, so the reverb waits on this rather than reading a variable that
+// may not be set yet.
+var concertHallBuffer = fetch("irHall.ogg")
+  .then(function (res) {
+    if (!res.ok) throw new Error("Couldn't fetch irHall.ogg: " + res.status);
+    return res.arrayBuffer();
+  })
+  .then(function (data) {
+    return new Promise(function (resolve, reject) {
+      audioContext.decodeAudioData(data, resolve, function (err) {
+        reject(
+          new Error("Couldn't decode irHall.ogg: " + (err && err.message))
+        );
+      });
+    });
+  });
+concertHallBuffer.catch(function (err) {
+  console.error("Error loading impulse response", err);
+});
 
-ajaxRequest.send();
 throw new Error(0);
 navigator.getUserMedia(
   {
@@ -38,8 +62,9 @@ navigator.getUserMedia(
 
   /*
 source 	->	dryMix -> masterMix -> output
-->	pitchShifter -> reverbCounterGain -> formantNode -> wetMix
- -> reverbGain -> reverbNode -> formantNode -> wetMix -> masterMix -> output
+->	pitchShifter -> shiftGain -> pitchOutput -> formantNode -> reverbCounterGain -> wetMix
+->	pitchCorrector -> correctGain -^
+ -> reverbGain -> reverbNode -> wetMix -> masterMix -> output
 */
 
   function (stream) {
@@ -48,84 +73,31 @@ source 	->	dryMix -> masterMix -> output
     var pitchShifter = new Jungle(audioContext);
     pitchShifter.setPitchOffset(0);
 
+    // The pitch mode select crossfades between Jungle and the pitch
+    // corrector, which is patched in once its module has loaded.
+    var pitchCorrector = null;
+    // The message applyPitchCorrection sends, starting from
+    // defaultPitchCorrection. Only the scale has a control here.
+    var pitchCorrection = {
+      type: "scale",
+      scale: "chromatic",
+      key: 0,
+      notes: [0, 2, 4, 7, 9],
+      note: 48,
+    };
+    var shiftGain = audioContext.createGain();
+    var correctGain = audioContext.createGain();
+    var pitchOutput = audioContext.createGain();
+
     var reverbNode = audioContext.createConvolver();
-    reverbNode.buffer = concertHallBuffer;
+    concertHallBuffer.then(function (buffer) {
+      reverbNode.buffer = buffer;
+    });
 
     var reverbGain = audioContext.createGain();
     var reverbCounterGain = audioContext.createGain();
 
-    // var formantNode = audioContext.createScriptProcessor(bufferSize, 1, 1);
-    // var formantLevel = 1.0;
-    // var formantSampler = new Resampler(audioContext.sampleRate * formantLevel, audioContext.sampleRate, 1, bufferSize, false);
-
-    var dft = new DFT(bufferSize, audioContext.sampleRate);
-    var fft = new FFT(bufferSize, audioContext.sampleRate);
-
-    var ping = true;
-
-    var real = new Float32Array(bufferSize),
-      imag = new Float32Array(bufferSize),
-      newBuffer = new Float32Array(bufferSize);
-
-    /*
-formantNode.onaudioprocess = function(audioProcessingEvent) {
-var inputBuffer = audioProcessingEvent.inputBuffer;
-
-// The output buffer contains the samples that will be modified and played
-var outputBuffer = audioProcessingEvent.outputBuffer;
-
-var realStretchBuffer, imagStretchBuffer;
-
-// Loop through the output channels (in this case there is only one)
-for (var channel = 0; channel < outputBuffer.numberOfChannels; channel++) {
-var inputData = inputBuffer.getChannelData(channel);
-var outputData = outputBuffer.getChannelData(channel);
-
-if (formantLevel !== 1) {
-
-dft.forward(inputData);
-
-// Shift the formant on the real and imaginary values
-realStretchBuffer = new Float32Array(dft.bufferSize * formantLevel);
-imagStretchBuffer = new Float32Array(dft.bufferSize * formantLevel);
-var newIndex = 0, lastIndex = 0;
-
-// Logarithmic resampling
-for (var sample = 0; sample < dft.bufferSize; sample++) {
-// Step 1: Take the sample and place it into a new array at the position it should be in
-
-// This math calculates the stretched position of this array index
-// newIndex = oldIndex^(Log(Stretch Factor * startingBufferSize) / Log(startingBufferSize))
-// This will scale the time domain by the stretch factor, keeping low indices close to original space
-// while factors up the spectrum stretch accordingly
-newIndex = Math.round(Math.pow(sample, Math.log(formantLevel * dft.bufferSize)/Math.log(dft.bufferSize)), 1);
-realStretchBuffer[newIndex] = dft.real[sample];
-imagStretchBuffer[newIndex] = dft.real[sample];
-
-// Step 2: For the gap between the new index and the original index, calculate the steps between them
-for (var diffStep = lastIndex; diffStep < newIndex; diffStep++) {
-realStretchBuffer[diffStep] = realStretchBuffer[lastIndex] + (newIndex - diffStep) * (realStretchBuffer[newIndex] - realStretchBuffer[lastIndex]) / (newIndex - lastIndex);
-imagStretchBuffer[diffStep] = imagStretchBuffer[lastIndex] + (newIndex - diffStep) * (imagStretchBuffer[newIndex] - imagStretchBuffer[lastIndex]) / (newIndex - lastIndex);
-}
-
-lastIndex = newIndex;
-}
-
-// Step 3: Re-sample to the original window size using a linear transform
-real = formantSampler.resampler(realStretchBuffer);
-imag = formantSampler.resampler(imagStretchBuffer);
-
-newBuffer = fft.inverse(real, imag);
-} else {
-newBuffer = inputData;
-}
-
-for (var sample = 0; sample < newBuffer.length; sample++) {
-outputData[sample] = newBuffer[sample];
-}
-}
-};
-*/
+    var formantNode = null;
 
     var wetMix = audioContext.createGain();
     var dryMix = audioContext.createGain();
@@ -139,8 +111,12 @@ outputData[sample] = newBuffer[sample];
     source.connect(pitchShifter.input);
     source.connect(dryMix);
 
-    pitchShifter.output.connect(reverbCounterGain);
-    pitchShifter.output.connect(reverbGain);
+    pitchShifter.output.connect(shiftGain);
+    shiftGain.connect(pitchOutput);
+    correctGain.connect(pitchOutput);
+
+    pitchOutput.connect(reverbCounterGain);
+    pitchOutput.connect(reverbGain);
 
     reverbCounterGain.connect(wetMix);
     reverbGain.connect(reverbNode);
@@ -149,12 +125,41 @@ outputData[sample] = newBuffer[sample];
 
     wetMix.connect(masterMix);
 
+    // The formant shifter runs in an AudioWorklet, so patch it in between the
+    // pitch shifter and the reverb once its module has loaded.
+    audioContext.audioWorklet
+      .addModule("formant-shifter.js")
+      .then(function () {
+        formantNode = new AudioWorkletNode(audioContext, "formant-shifter");
+        pitchOutput.disconnect();
+        pitchOutput.connect(formantNode);
+        formantNode.connect(reverbCounterGain);
+        formantNode.connect(reverbGain);
+      })
+      .catch(function (err) {
+        console.log("error loading formant shifter " + err);
+      });
+
+    audioContext.audioWorklet
+      .addModule("pitch-correct.js")
+      .then(function () {
+        pitchCorrector = new AudioWorkletNode(audioContext, "pitch-correct");
+        source.connect(pitchCorrector);
+        pitchCorrector.connect(correctGain);
+        pitchCorrector.port.postMessage(pitchCorrection);
+      })
+      .catch(function (err) {
+        console.log("error loading pitch corrector " + err);
+      });
+
     var oscillator = audioContext.createOscillator();
     oscillator.type = "square";
     oscillator.frequency.value = 440;
     oscillator.start();
 
     pitchShifter.setPitchOffset(0);
+    shiftGain.gain.value = 1;
+    correctGain.gain.value = 0;
     reverbGain.gain.value = 0;
     reverbCounterGain.gain.value = 1;
     wetMix.gain.value = 1;
@@ -170,32 +175,54 @@ outputData[sample] = newBuffer[sample];
         document.querySelector("span.pitch").innerHTML = this.value;
         pitchShifter.setPitchOffset(this.value);
       });
+    // Not every page has the pitch correction controls, in which case it
+    // stays on Jungle.
+    var pitchModeSelect = document.querySelector('select[name="pitch-mode"]');
+    if (pitchModeSelect) {
+      pitchModeSelect.addEventListener("change", function () {
+        var correcting = this.value === "correct";
+        setParam(shiftGain.gain, correcting ? 0 : 1);
+        setParam(correctGain.gain, correcting ? 1 : 0);
+      });
+    }
+    var scaleSelect = document.querySelector('select[name="scale"]');
+    if (scaleSelect) {
+      scaleSelect.addEventListener("change", function () {
+        pitchCorrection.scale = this.value;
+        if (pitchCorrector) {
+          pitchCorrector.port.postMessage(pitchCorrection);
+        }
+      });
+    }
     document
       .querySelector('input[name="formant"]')
       .addEventListener("input", function () {
         document.querySelector("span.formant").innerHTML = this.value;
-        // formantLevel = this.value;
-        //    formantSampler = new Resampler(audioContext.sampleRate * formantLevel, audioContext.sampleRate, 1, bufferSize, false);
+        if (formantNode) {
+          setParam(formantNode.parameters.get("formant"), this.value);
+        }
       });
     document
       .querySelector('input[name="reverb"]')
       .addEventListener("input", function () {
         document.querySelector("span.reverb").innerHTML = this.value;
-        reverbGain.gain.value = this.value;
-        reverbCounterGain.gain.value = 1 - this.value;
+        var gains = crossfadeGains(this.value);
+        setParam(reverbGain.gain, gains.wet);
+        setParam(reverbCounterGain.gain, gains.dry);
       });
     document
       .querySelector('input[name="effect"]')
       .addEventListener("input", function () {
         document.querySelector("span.effect").innerHTML = this.value;
-        wetMix.gain.value = this.value;
-        dryMix.gain.value = 1 - this.value;
+        var gains = crossfadeGains(this.value);
+        setParam(wetMix.gain, gains.wet);
+        setParam(dryMix.gain, gains.dry);
       });
     document
       .querySelector('input[name="volume"]')
       .addEventListener("input", function () {
         document.querySelector("span.volume").innerHTML = this.value;
-        masterMix.gain.value = this.value;
+        setParam(masterMix.gain, this.value);
       });
 
     // draw an oscilloscope of the current audio source
@@ -209,23 +236,24 @@ outputData[sample] = newBuffer[sample];
 
     analyser.minDecibels = -140;
     analyser.maxDecibels = 0;
+    analyser.smoothingTimeConstant = SMOOTHING;
+    analyser.fftSize = FFT_SIZE;
     const freqs = new Uint8Array(analyser.frequencyBinCount);
     const times = new Uint8Array(analyser.frequencyBinCount);
 
-    function draw() {
-      analyser.smoothingTimeConstant = SMOOTHING;
-      analyser.fftSize = FFT_SIZE;
+    // Sized once: setting a canvas's size reallocates and clears it, which is
+    // too much to do every frame.
+    var canvas = document.querySelector("canvas");
+    var drawContext = canvas.getContext("2d");
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
 
+    function draw() {
       // Get the frequency data from the currently playing music
       analyser.getByteFrequencyData(freqs);
       analyser.getByteTimeDomainData(times);
 
-      var width = Math.floor(1 / freqs.length, 10);
-
-      var canvas = document.querySelector("canvas");
-      var drawContext = canvas.getContext("2d");
-      canvas.width = WIDTH;
-      canvas.height = HEIGHT;
+      drawContext.clearRect(0, 0, WIDTH, HEIGHT);
       // Draw the frequency domain chart.
       for (var i = 0; i < analyser.frequencyBinCount; i++) {
         var value = freqs[i];
@@ -0,0 +1,150 @@
+export const CHANNEL_VOCODER_MODULE = "channel-vocoder.js";
+
+export type CarrierType = "oscillator" | "noise" | "file";
+
+export const carrierTypes: CarrierType[] = ["oscillator", "noise", "file"];
+
+export type CarrierWaveform = "sawtooth" | "square" | "triangle" | "sine";
+
+export const carrierWaveforms: CarrierWaveform[] = [
+  "sawtooth",
+  "square",
+  "triangle",
+  "sine",
+];
+
+export interface CarrierOptions {
+  type: CarrierType;
+  waveform?: OscillatorType;
+  frequency?: number;
+  buffer?: AudioBuffer | null;
+}
+
+export interface ChannelVocoderParams {
+  minFrequency: number;
+  maxFrequency: number;
+  attack: number;
+  release: number;
+  gain: number;
+}
+
+export const defaultChannelVocoderParams: ChannelVocoderParams = {
+  minFrequency: 100,
+  maxFrequency: 8000,
+  attack: 0.005,
+  release: 0.05,
+  gain: 4,
+};
+
+// The carrier mode's settings. A file carrier's buffer isn't one of them, as
+// it can't be saved in a preset, so it's handed to the graph separately.
+export interface ChannelVocoderConfig extends ChannelVocoderParams {
+  bands: number;
+  carrier: CarrierType;
+  waveform: CarrierWaveform;
+  // The oscillator's frequency, in Hz.
+  frequency: number;
+}
+
+export const defaultChannelVocoderConfig: ChannelVocoderConfig = {
+  ...defaultChannelVocoderParams,
+  bands: 16,
+  carrier: "oscillator",
+  waveform: "sawtooth",
+  frequency: 110,
+};
+
+// The processor's parameter ranges, and the most bands worth running.
+export const MAX_CHANNEL_VOCODER_BANDS = 32;
+export const CHANNEL_VOCODER_MIN_FREQUENCY = 20;
+export const CHANNEL_VOCODER_MAX_FREQUENCY = 20000;
+export const CHANNEL_VOCODER_MIN_TIME = 0.0001;
+export const CHANNEL_VOCODER_MAX_ATTACK = 1;
+export const CHANNEL_VOCODER_MAX_RELEASE = 2;
+export const CHANNEL_VOCODER_MAX_GAIN = 100;
+export const MAX_CARRIER_FREQUENCY = 2000;
+
+// Input 0 is the modulator, input 1 the carrier.
+export function channelVocoderNodeOptions(bands = 16): AudioWorkletNodeOptions {
+  return {
+    numberOfInputs: 2,
+    numberOfOutputs: 1,
+    processorOptions: { bands },
+  };
+}
+
+export function loadChannelVocoder(context: BaseAudioContext, bands = 16) {
+  return context.audioWorklet
+    .addModule(CHANNEL_VOCODER_MODULE)
+    .then(
+      () =>
+        new AudioWorkletNode(
+          context,
+          "channel-vocoder",
+          channelVocoderNodeOptions(bands)
+        )
+    );
+}
+
+/**
+ * Sets a channel vocoder node's band count and parameters up as `config`,
+ * the parameters through `set` so they can be smoothed.
+ */
+export function applyChannelVocoder(
+  node: AudioWorkletNode,
+  config: ChannelVocoderConfig,
+  set: (param: AudioParam, value: number) => void
+) {
+  node.port.postMessage({ type: "bands", bands: config.bands });
+  (
+    ["minFrequency", "maxFrequency", "attack", "release", "gain"] as const
+  ).forEach((name) => {
+    const param = node.parameters.get(name);
+    if (param) set(param, config[name]);
+  });
+}
+
+function createNoiseBuffer(context: BaseAudioContext) {
+  const buffer = context.createBuffer(
+    1,
+    context.sampleRate * 2,
+    context.sampleRate
+  );
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Math.random() * 2 - 1;
+  }
+  return buffer;
+}
+
+// Creates an unstarted source node to drive the vocoder's carrier input.
+export function createCarrier(
+  context: BaseAudioContext,
+  {
+    type,
+    waveform = "sawtooth",
+    frequency = 110,
+    buffer = null,
+  }: CarrierOptions
+): AudioScheduledSourceNode {
+  switch (type) {
+    case "oscillator": {
+      const oscillator = context.createOscillator();
+      oscillator.type = waveform;
+      oscillator.frequency.value = frequency;
+      return oscillator;
+    }
+    case "noise": {
+      const noise = context.createBufferSource();
+      noise.buffer = createNoiseBuffer(context);
+      noise.loop = true;
+      return noise;
+    }
+    case "file": {
+      const file = context.createBufferSource();
+      file.buffer = buffer;
+      file.loop = true;
+      return file;
+    }
+  }
+}
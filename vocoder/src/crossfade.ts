@@ -0,0 +1,46 @@
+// thorium-vox and react-web-audio keep copies of this, which the tests in
+// test/crossfade.test.mjs check still match it.
+export type CrossfadeLaw = "linear" | "equal-power" | "decibel";
+
+export const crossfadeLaws: CrossfadeLaw[] = [
+  "linear",
+  "equal-power",
+  "decibel",
+];
+
+// How far down the decibel law starts each side, in dB.
+const DECIBEL_RANGE = 60;
+
+function decibelTaper(x: number) {
+  return x <= 0 ? 0 : Math.pow(10, (DECIBEL_RANGE * (x - 1)) / 20);
+}
+
+/**
+ * Splits `mix` (0 all dry, 1 all wet) into a dry and a wet gain.
+ *
+ * - linear: dry = 1 - mix, wet = mix. The gains sum to 1, so two unrelated
+ *   signals dip by 3dB in the middle.
+ * - equal-power: a quarter sine and cosine, so the summed power stays
+ *   constant.
+ * - decibel: each side fades evenly in dB, from 0dB to -60dB and then off.
+ *   Nothing holds the level up, so two unrelated signals dip by 27dB in the
+ *   middle, and most of the slider leaves the other side barely audible.
+ * - Anything else is equal-power.
+ */
+export function crossfadeGains(
+  mix: number,
+  law: CrossfadeLaw = "equal-power"
+): { dry: number; wet: number } {
+  const x = Math.min(Math.max(mix, 0), 1);
+  switch (law) {
+    case "linear":
+      return { dry: 1 - x, wet: x };
+    case "decibel":
+      return { dry: decibelTaper(1 - x), wet: decibelTaper(x) };
+    default:
+      return {
+        dry: Math.cos((x * Math.PI) / 2),
+        wet: Math.sin((x * Math.PI) / 2),
+      };
+  }
+}
@@ -0,0 +1,134 @@
+import { setParam, SmoothingOptions } from "./audioParams";
+
+// The dsp.js delay, reverb and filter classes, as worklets. Delays are in
+// samples, as dsp.js has them.
+export const DSP_PROCESSORS_MODULE = "dsp-processors.js";
+
+export interface SingleDelayParams {
+  delayInSamples: number;
+  delayVolume: number;
+}
+
+export interface MultiDelayParams {
+  delayInSamples: number;
+  masterVolume: number;
+  // Feedback, below 1.
+  delayVolume: number;
+}
+
+export interface IIRFilterParams {
+  cutoff: number;
+  // Roughly the gain at the cutoff, from 0.7 up.
+  resonance: number;
+}
+
+export interface DspReverbParams {
+  delayInSamples: number;
+  masterVolume: number;
+  // Level of the reverb added to the input.
+  mixVolume: number;
+  // Feedback, below 1.
+  delayVolume: number;
+  dampFrequency: number;
+}
+
+// The bands of a graphical-eq node, fixed when it's created.
+export interface GraphicalEqBands {
+  minFrequency?: number;
+  maxFrequency?: number;
+  bandsPerOctave?: number;
+}
+
+export const defaultSingleDelayParams: SingleDelayParams = {
+  delayInSamples: 4410,
+  delayVolume: 1,
+};
+
+export const defaultMultiDelayParams: MultiDelayParams = {
+  delayInSamples: 4410,
+  masterVolume: 1,
+  delayVolume: 0.5,
+};
+
+export const defaultIIRFilterParams: IIRFilterParams = {
+  cutoff: 2000,
+  resonance: 1,
+};
+
+export const defaultDspReverbParams: DspReverbParams = {
+  delayInSamples: 882,
+  masterVolume: 1,
+  mixVolume: 0.5,
+  delayVolume: 0.5,
+  dampFrequency: 6000,
+};
+
+export const defaultGraphicalEqBands: Required<GraphicalEqBands> = {
+  minFrequency: 40,
+  maxFrequency: 16000,
+  bandsPerOctave: 1,
+};
+
+// The processor has parameters for this many bands.
+export const MAX_EQ_BANDS = 32;
+
+/**
+ * The centre frequencies of a graphical-eq node's bands, as GraphicalEq
+ * spaces them.
+ */
+export function graphicalEqFrequencies(bands: GraphicalEqBands = {}) {
+  const { minFrequency, maxFrequency, bandsPerOctave } = {
+    ...defaultGraphicalEqBands,
+    ...bands,
+  };
+  const count = Math.round(
+    Math.log2(maxFrequency / minFrequency) * bandsPerOctave
+  );
+  return Array.from(
+    { length: Math.min(count, MAX_EQ_BANDS) },
+    (_, i) => minFrequency * Math.pow(2, i / bandsPerOctave)
+  );
+}
+
+// Band gains, in dB, as the graphical-eq node's gain0, gain1... parameters.
+// Bands without a gain are flat.
+export function graphicalEqParams(gains: number[]) {
+  const params: Record<string, number> = {};
+  for (let i = 0; i < MAX_EQ_BANDS; i++) {
+    params[`gain${i}`] = gains[i] ?? 0;
+  }
+  return params;
+}
+
+// Any of the parameter sets above: numbers, named after the node's parameters.
+export type DspEffectParams<P> = { [K in keyof P]: number };
+
+export function dspEffectNodeOptions<P extends DspEffectParams<P>>(
+  params: P,
+  options: AudioWorkletNodeOptions = {}
+): AudioWorkletNodeOptions {
+  return { ...options, parameterData: params as Record<string, number> };
+}
+
+/**
+ * Sets a dsp-processors.js node's parameters, smoothing them so they don't
+ * zipper, except for the delay: every change to it moves the delay's read
+ * pointer, so it jumps straight to its new value.
+ */
+export function setDspEffectParams<P extends DspEffectParams<P>>(
+  context: BaseAudioContext,
+  node: AudioWorkletNode,
+  params: Partial<P>,
+  smoothing?: SmoothingOptions
+) {
+  for (const [name, value] of Object.entries<number | undefined>(params)) {
+    const param = node.parameters.get(name);
+    if (!param || value === undefined) continue;
+    if (name === "delayInSamples") {
+      param.cancelScheduledValues(context.currentTime);
+      param.setValueAtTime(value, context.currentTime);
+    } else {
+      setParam(context, param, value, smoothing);
+    }
+  }
+}
@@ -0,0 +1,113 @@
+import { Biquad, GraphicalEq } from "../public/dsp.js";
+import { DSP } from "./jungle";
+
+export const eqBandTypes = ["lowshelf", "peaking", "highshelf"] as const;
+export type EqBandType = (typeof eqBandTypes)[number];
+
+export interface EqBand {
+  type: EqBandType;
+  frequency: number;
+  // In dB.
+  gain: number;
+  // Width of a peaking band in octaves, between its half-gain points. The
+  // shelves are always as steep as they can be without overshooting.
+  bandwidth: number;
+}
+
+export const EQ_MIN_FREQUENCY = 20;
+export const EQ_MAX_FREQUENCY = 20000;
+export const EQ_MAX_GAIN = 24;
+export const EQ_MIN_BANDWIDTH = 0.1;
+export const EQ_MAX_BANDWIDTH = 4;
+
+const biquadTypes: Record<EqBandType, number> = {
+  lowshelf: DSP.LOW_SHELF,
+  peaking: DSP.PEAKING_EQ,
+  highshelf: DSP.HIGH_SHELF,
+};
+
+/**
+ * Ten flat bands, an octave apart from 31Hz as GraphicalEq spaces them, with
+ * the lowest and highest turned into shelves.
+ */
+export const defaultEqBands: EqBand[] = (() => {
+  const eq = new GraphicalEq(48000, 31.25, 32000);
+  const last = eq.filters.length - 1;
+  return eq.filters.map(
+    (filter: { f0: number; BW: number }, i: number): EqBand => ({
+      type: i === 0 ? "lowshelf" : i === last ? "highshelf" : "peaking",
+      frequency: filter.f0,
+      gain: 0,
+      bandwidth: filter.BW,
+    })
+  );
+})();
+
+/**
+ * The cookbook biquad for a band, as dsp.js's Biquad works it out. The
+ * Web Audio BiquadFilterNode uses the same formulas.
+ */
+function createBiquad(band: EqBand, sampleRate: number) {
+  const biquad = new Biquad(biquadTypes[band.type], sampleRate);
+  // The shelves keep Biquad's default slope, which is the steepest.
+  if (band.type === "peaking") biquad.setBW(band.bandwidth);
+  biquad.setDbGain(band.gain);
+  biquad.setF0(band.frequency);
+  return biquad;
+}
+
+/**
+ * The Q a BiquadFilterNode needs for a peaking band `bandwidth` octaves wide,
+ * the same conversion Biquad makes when it's given a bandwidth.
+ */
+export function bandwidthToQ(
+  bandwidth: number,
+  frequency: number,
+  sampleRate: number
+) {
+  const w0 =
+    (2 * Math.PI * Math.min(frequency, sampleRate / 2 - 1)) / sampleRate;
+  return 1 / (2 * Math.sinh(((Math.LN2 / 2) * bandwidth * w0) / Math.sin(w0)));
+}
+
+/**
+ * The combined response of `bands`, in dB, at each of `frequencies`, worked
+ * out with DSP.freqz from each band's coefficients.
+ */
+export function eqResponse(
+  bands: EqBand[],
+  frequencies: ArrayLike<number>,
+  sampleRate: number
+) {
+  const w = Float32Array.from(
+    frequencies,
+    (frequency) => (2 * Math.PI * frequency) / sampleRate
+  );
+  const response = new Float32Array(w.length);
+  bands.forEach((band) => {
+    const { b, a } = createBiquad(band, sampleRate).coefficients();
+    const db: Float32Array = DSP.mag2db(DSP.freqz(b, a, w));
+    db.forEach((value, i) => (response[i] += value));
+  });
+  return response;
+}
+
+/**
+ * Sets a BiquadFilterNode up as `band`, through `set` so changes can be
+ * smoothed.
+ */
+export function applyEqBand(
+  filter: BiquadFilterNode,
+  band: EqBand,
+  set: (param: AudioParam, value: number) => void
+) {
+  filter.type = band.type;
+  set(filter.frequency, band.frequency);
+  set(filter.gain, band.gain);
+  if (band.type === "peaking") {
+    set(
+      filter.Q,
+      bandwidthToQ(band.bandwidth, band.frequency, filter.context.sampleRate)
+    );
+  }
+}
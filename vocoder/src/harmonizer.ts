@@ -0,0 +1,60 @@
+export const HARMONIZER_MODULE = "harmonizer.js";
+
+// The processor has parameters for this many voices.
+export const MAX_HARMONY_VOICES = 8;
+// The furthest a voice can be shifted either way, in semitones.
+export const MAX_HARMONY_INTERVAL = 24;
+export const MAX_HARMONY_DETUNE = 100;
+export const MAX_HARMONY_DELAY = 100;
+
+export interface HarmonyVoice {
+  // Semitones from the dry voice.
+  interval: number;
+  // Added to the interval, in cents.
+  detune: number;
+  gain: number;
+  // -1 for left to 1 for right.
+  pan: number;
+  // How much later than the dry voice it comes in, in milliseconds.
+  delay: number;
+}
+
+export const defaultHarmonyVoice: HarmonyVoice = {
+  interval: 0,
+  detune: 0,
+  gain: 0.5,
+  pan: 0,
+  delay: 0,
+};
+
+/**
+ * Sets a harmonizer node's voices up as `voices`, through `set` so they can
+ * be smoothed. Any of its voices past the end are silenced.
+ */
+export function applyHarmony(
+  node: AudioWorkletNode,
+  voices: HarmonyVoice[],
+  set: (param: AudioParam, value: number) => void
+) {
+  for (let i = 0; i < MAX_HARMONY_VOICES; i++) {
+    const voice = voices[i];
+    const gainParam = node.parameters.get(`gain${i}`);
+    if (gainParam) set(gainParam, voice ? voice.gain : 0);
+    if (!voice) continue;
+    (["interval", "detune", "pan", "delay"] as const).forEach((name) => {
+      const param = node.parameters.get(`${name}${i}`);
+      if (param) set(param, voice[name]);
+    });
+  }
+}
+
+// Stereo out, so the voices can be panned.
+export const harmonizerOptions: AudioWorkletNodeOptions = {
+  outputChannelCount: [2],
+};
+
+export function loadHarmonizer(context: BaseAudioContext) {
+  return context.audioWorklet
+    .addModule(HARMONIZER_MODULE)
+    .then(() => new AudioWorkletNode(context, "harmonizer", harmonizerOptions));
+}
@@ -0,0 +1,214 @@
+import { generateImpulse, SpaceOptions } from "./impulseGenerator";
+
+export interface ImpulseResponse {
+  id: string;
+  name: string;
+  // Whether the convolver scales the impulse to a standard level. Turned off
+  // for recordings whose level should be kept as it is.
+  normalize: boolean;
+}
+
+// Recorded, or generated for the spaces we don't have recordings of.
+export type BuiltInImpulse = ImpulseResponse &
+  ({ url: string } | { space: SpaceOptions });
+
+export const builtInImpulses: BuiltInImpulse[] = [
+  { id: "hall", name: "Hall", url: "irHall.ogg", normalize: true },
+  {
+    id: "corridor",
+    name: "Corridor",
+    space: { rt60: 1.4, preDelay: 0.01, damping: 0.4, width: 0.3, seed: 4 },
+    normalize: true,
+  },
+  {
+    id: "cockpit",
+    name: "Cockpit",
+    space: { rt60: 0.15, preDelay: 0.001, damping: 0.6, width: 0.3, seed: 5 },
+    normalize: true,
+  },
+  {
+    id: "tin-can",
+    name: "Tin can",
+    space: { rt60: 0.35, preDelay: 0.0005, damping: 0, width: 0.1, seed: 6 },
+    normalize: true,
+  },
+  {
+    id: "engine-room",
+    name: "Engine room",
+    space: { rt60: 2.2, preDelay: 0.02, damping: 0.7, width: 0.8, seed: 1 },
+    normalize: true,
+  },
+  {
+    id: "airlock",
+    name: "Airlock",
+    space: { rt60: 0.9, preDelay: 0.004, damping: 0.15, width: 0.4, seed: 2 },
+    normalize: true,
+  },
+  {
+    id: "crew-quarters",
+    name: "Crew quarters",
+    space: { rt60: 0.4, preDelay: 0.003, damping: 0.8, width: 0.6, seed: 3 },
+    normalize: true,
+  },
+];
+
+export interface UploadOptions {
+  // Cut the silence before the impulse starts and after it dies away.
+  trim?: boolean;
+  // Let the convolver scale the impulse to a standard level. The buffer
+  // itself is left as it is.
+  normalize?: boolean;
+}
+
+// Anything this far below the peak counts as silence when trimming, in dB.
+const TRIM_THRESHOLD = -60;
+// Fade at the end of a trimmed impulse, so cutting off its tail doesn't click.
+const TRIM_FADE_TIME = 0.01;
+// Longer impulses cost more to convolve than they're worth.
+const MAX_IMPULSE_LENGTH = 10;
+
+export class ImpulseError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ImpulseError";
+  }
+}
+
+/**
+ * Decodes an impulse response, rejecting with an ImpulseError naming it if
+ * the browser can't.
+ */
+export function decodeImpulse(
+  context: BaseAudioContext,
+  data: ArrayBuffer,
+  name: string
+) {
+  // The callback form, since Safari doesn't return a promise.
+  return new Promise<AudioBuffer>((resolve, reject) =>
+    context.decodeAudioData(data, resolve, (err) =>
+      reject(
+        new ImpulseError(
+          `Couldn't decode ${name}${err?.message ? `: ${err.message}` : ""}`
+        )
+      )
+    )
+  );
+}
+
+export function loadImpulse(context: BaseAudioContext, url: string) {
+  return fetch(url)
+    .then((res) => {
+      if (!res.ok) {
+        throw new ImpulseError(`Couldn't fetch ${url}: ${res.status}`);
+      }
+      return res.arrayBuffer();
+    })
+    .then((data) => decodeImpulse(context, data, url));
+}
+
+/**
+ * Cuts an impulse down to where it's louder than TRIM_THRESHOLD, and at most
+ * MAX_IMPULSE_LENGTH seconds, fading out its end.
+ */
+export function trimImpulse(context: BaseAudioContext, buffer: AudioBuffer) {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) =>
+    buffer.getChannelData(i)
+  );
+  let peak = 0;
+  channels.forEach((data) =>
+    data.forEach((sample) => {
+      peak = Math.max(peak, Math.abs(sample));
+    })
+  );
+  if (peak === 0) throw new ImpulseError("The impulse response is silent");
+
+  const threshold = peak * Math.pow(10, TRIM_THRESHOLD / 20);
+  const loud = (i: number) =>
+    channels.some((data) => Math.abs(data[i]) > threshold);
+  let start = 0;
+  while (!loud(start)) start++;
+  let end = buffer.length;
+  while (!loud(end - 1)) end--;
+  end = Math.min(end, start + MAX_IMPULSE_LENGTH * buffer.sampleRate);
+
+  const length = end - start;
+  const fade = Math.min(length, Math.round(TRIM_FADE_TIME * buffer.sampleRate));
+  const trimmed = context.createBuffer(
+    buffer.numberOfChannels,
+    length,
+    buffer.sampleRate
+  );
+  channels.forEach((data, channel) => {
+    const output = trimmed.getChannelData(channel);
+    output.set(data.subarray(start, end));
+    for (let i = 0; i < fade; i++) {
+      output[length - 1 - i] *= i / fade;
+    }
+  });
+  return trimmed;
+}
+
+export interface ImpulseLibrary {
+  list(): ImpulseResponse[];
+  get(id: string): ImpulseResponse | undefined;
+  load(id: string): Promise<AudioBuffer>;
+  upload(
+    file: Blob & { name: string },
+    options?: UploadOptions
+  ): Promise<ImpulseResponse>;
+}
+
+/**
+ * Keeps the impulse responses the reverb can use: the built-in ones, fetched
+ * or generated the first time they're loaded, and any the user uploads.
+ */
+export function createImpulseLibrary(
+  context: BaseAudioContext
+): ImpulseLibrary {
+  const uploads: ImpulseResponse[] = [];
+  const buffers = new Map<string, Promise<AudioBuffer>>();
+  let uploadCount = 0;
+
+  const list = () => [...builtInImpulses, ...uploads];
+  const get = (id: string) => list().find((impulse) => impulse.id === id);
+
+  return {
+    list,
+    get,
+    load(id) {
+      let buffer = buffers.get(id);
+      if (!buffer) {
+        const impulse = builtInImpulses.find((impulse) => impulse.id === id);
+        if (!impulse) {
+          return Promise.reject(
+            new ImpulseError(`There's no impulse response called ${id}`)
+          );
+        }
+        buffer =
+          "url" in impulse
+            ? loadImpulse(context, impulse.url)
+            : Promise.resolve(generateImpulse(context, impulse.space));
+        // Forget failures, so loading it again tries again.
+        buffer.catch(() => buffers.delete(id));
+        buffers.set(id, buffer);
+      }
+      return buffer;
+    },
+    async upload(file, { trim = true, normalize = true } = {}) {
+      const decoded = await decodeImpulse(
+        context,
+        await file.arrayBuffer(),
+        file.name
+      );
+      const buffer = trim ? trimImpulse(context, decoded) : decoded;
+      const impulse = {
+        id: `upload-${++uploadCount}`,
+        name: file.name.replace(/\.[^.]*$/, ""),
+        normalize,
+      };
+      uploads.push(impulse);
+      buffers.set(impulse.id, Promise.resolve(buffer));
+      return impulse;
+    },
+  };
+}
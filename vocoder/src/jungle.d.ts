@@ -0,0 +1,21 @@
+export class Jungle {
+  constructor(context: BaseAudioContext);
+  context: BaseAudioContext;
+  input: GainNode;
+  output: GainNode;
+  shiftUp: boolean;
+  delayTimeConstant: number;
+  flipFadeTime: number;
+  setDelay(delayTime: number): void;
+  setPitchOffset(mult: number): void;
+}
+
+export const DSP: any;
+export const DFT: any;
+export const FFT: any;
+export const RFFT: any;
+export const Sampler: any;
+export const Oscillator: any;
+export const ADSR: any;
+export const WindowFunction: any;
+export const Resampler: any;
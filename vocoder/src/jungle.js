@@ -202,27 +202,54 @@ function Jungle(context) {
   this.delay1 = delay1;
   this.delay2 = delay2;
 
+  // Which pair of modulators is running, matching the gains above.
+  this.shiftUp = false;
+  // Time constant for changes to the amount of shift, in seconds.
+  this.delayTimeConstant = 0.01;
+  // How long the output fades out, and back in, when switching between
+  // shifting up and down.
+  this.flipFadeTime = 0.01;
+
   this.setDelay(delayTime);
 }
 
 Jungle.prototype.setDelay = function (delayTime) {
-  this.modGain1.gain.setTargetAtTime(0.5 * delayTime, 0, 0.01);
-  this.modGain2.gain.setTargetAtTime(0.5 * delayTime, 0, 0.01);
+  var now = this.context.currentTime;
+  this.modGain1.gain.setTargetAtTime(
+    0.5 * delayTime,
+    now,
+    this.delayTimeConstant
+  );
+  this.modGain2.gain.setTargetAtTime(
+    0.5 * delayTime,
+    now,
+    this.delayTimeConstant
+  );
 };
 
 Jungle.prototype.setPitchOffset = function (mult) {
-  if (mult > 0) {
-    // pitch up
-    this.mod1Gain.gain.value = 0;
-    this.mod2Gain.gain.value = 0;
-    this.mod3Gain.gain.value = 1;
-    this.mod4Gain.gain.value = 1;
-  } else {
-    // pitch down
-    this.mod1Gain.gain.value = 1;
-    this.mod2Gain.gain.value = 1;
-    this.mod3Gain.gain.value = 0;
-    this.mod4Gain.gain.value = 0;
+  var shiftUp = mult > 0;
+  if (shiftUp !== this.shiftUp) {
+    // Swapping the modulators makes the delay times jump, which clicks. The
+    // two directions share the delay lines, so they can't play side by side:
+    // fade the output out, swap them while it's silent, and fade back in.
+    var now = this.context.currentTime;
+    var swapTime = now + this.flipFadeTime;
+    var gain = this.output.gain;
+    if (gain.cancelAndHoldAtTime) {
+      gain.cancelAndHoldAtTime(now);
+    } else {
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(gain.value, now);
+    }
+    gain.linearRampToValueAtTime(0, swapTime);
+    gain.linearRampToValueAtTime(1, swapTime + this.flipFadeTime);
+
+    this.mod1Gain.gain.setValueAtTime(shiftUp ? 0 : 1, swapTime);
+    this.mod2Gain.gain.setValueAtTime(shiftUp ? 0 : 1, swapTime);
+    this.mod3Gain.gain.setValueAtTime(shiftUp ? 1 : 0, swapTime);
+    this.mod4Gain.gain.setValueAtTime(shiftUp ? 1 : 0, swapTime);
+    this.shiftUp = shiftUp;
   }
   this.setDelay(delayTime * Math.abs(mult));
 };
@@ -282,7 +309,6 @@ var DSP = {
   TWO_PI: 2 * Math.PI,
 };
 
-
 ////////////////////////////////////////////////////////////////////////////////
 //                            DSP UTILITY FUNCTIONS                           //
 ////////////////////////////////////////////////////////////////////////////////
@@ -1530,164 +1556,8 @@ ADSR.prototype.disable = function () {
   this.samplesProcessed = -1;
 };
 
-function IIRFilter(type, cutoff, resonance, sampleRate) {
-  this.sampleRate = sampleRate;
-
-  switch (type) {
-    case DSP.LOWPASS:
-    case DSP.LP12:
-      this.func = new IIRFilter.LP12(cutoff, resonance, sampleRate);
-      break;
-  }
-}
-
-IIRFilter.prototype.__defineGetter__("cutoff", function () {
-  return this.func.cutoff;
-});
-
-IIRFilter.prototype.__defineGetter__("resonance", function () {
-  return this.func.resonance;
-});
-
-IIRFilter.prototype.set = function (cutoff, resonance) {
-  this.func.calcCoeff(cutoff, resonance);
-};
-
-IIRFilter.prototype.process = function (buffer) {
-  this.func.process(buffer);
-};
-
-// Add an envelope to the filter
-IIRFilter.prototype.addEnvelope = function (envelope) {
-  if (envelope instanceof ADSR) {
-    this.func.addEnvelope(envelope);
-  } else {
-    throw "Not an envelope.";
-  }
-};
-
-IIRFilter.LP12 = function (cutoff, resonance, sampleRate) {
-  this.sampleRate = sampleRate;
-  this.vibraPos = 0;
-  this.vibraSpeed = 0;
-  this.envelope = false;
-
-  this.calcCoeff = function (cutoff, resonance) {
-    this.w = (2.0 * Math.PI * cutoff) / this.sampleRate;
-    this.q =
-      1.0 - this.w / (2.0 * (resonance + 0.5 / (1.0 + this.w)) + this.w - 2.0);
-    this.r = this.q * this.q;
-    this.c = this.r + 1.0 - 2.0 * Math.cos(this.w) * this.q;
-
-    this.cutoff = cutoff;
-    this.resonance = resonance;
-  };
-
-  this.calcCoeff(cutoff, resonance);
-
-  this.process = function (buffer) {
-    for (var i = 0; i < buffer.length; i++) {
-      this.vibraSpeed += (buffer[i] - this.vibraPos) * this.c;
-      this.vibraPos += this.vibraSpeed;
-      this.vibraSpeed *= this.r;
-
-      /*
-    var temp = this.vibraPos;
-   
-    if ( temp > 1.0 ) {
-      temp = 1.0;
-    } else if ( temp < -1.0 ) {
-      temp = -1.0;
-    } else if ( temp != temp ) {
-      temp = 1;
-    }
-   
-    buffer[i] = temp;
-    */
-
-      if (this.envelope) {
-        buffer[i] =
-          buffer[i] * (1 - this.envelope.value()) +
-          this.vibraPos * this.envelope.value();
-        this.envelope.samplesProcessed++;
-      } else {
-        buffer[i] = this.vibraPos;
-      }
-    }
-  };
-};
-
-IIRFilter.LP12.prototype.addEnvelope = function (envelope) {
-  this.envelope = envelope;
-};
-
-function IIRFilter2(type, cutoff, resonance, sampleRate) {
-  this.type = type;
-  this.cutoff = cutoff;
-  this.resonance = resonance;
-  this.sampleRate = sampleRate;
-
-  this.f = Float32Array(4);
-  this.f[0] = 0.0; // lp
-  this.f[1] = 0.0; // hp
-  this.f[2] = 0.0; // bp
-  this.f[3] = 0.0; // br
-
-  this.calcCoeff = function (cutoff, resonance) {
-    this.freq =
-      2 * Math.sin(Math.PI * Math.min(0.25, cutoff / (this.sampleRate * 2)));
-    this.damp = Math.min(
-      2 * (1 - Math.pow(resonance, 0.25)),
-      Math.min(2, 2 / this.freq - this.freq * 0.5)
-    );
-  };
-
-  this.calcCoeff(cutoff, resonance);
-}
-
-IIRFilter2.prototype.process = function (buffer) {
-  var input, output;
-  var f = this.f;
-
-  for (var i = 0; i < buffer.length; i++) {
-    input = buffer[i];
-
-    // first pass
-    f[3] = input - this.damp * f[2];
-    f[0] = f[0] + this.freq * f[2];
-    f[1] = f[3] - f[0];
-    f[2] = this.freq * f[1] + f[2];
-    output = 0.5 * f[this.type];
-
-    // second pass
-    f[3] = input - this.damp * f[2];
-    f[0] = f[0] + this.freq * f[2];
-    f[1] = f[3] - f[0];
-    f[2] = this.freq * f[1] + f[2];
-    output += 0.5 * f[this.type];
-
-    if (this.envelope) {
-      buffer[i] =
-        buffer[i] * (1 - this.envelope.value()) +
-        output * this.envelope.value();
-      this.envelope.samplesProcessed++;
-    } else {
-      buffer[i] = output;
-    }
-  }
-};
-
-IIRFilter2.prototype.addEnvelope = function (envelope) {
-  if (envelope instanceof ADSR) {
-    this.envelope = envelope;
-  } else {
-    throw "This is not an envelope.";
-  }
-};
-
-IIRFilter2.prototype.set = function (cutoff, resonance) {
-  this.calcCoeff(cutoff, resonance);
-};
+// IIRFilter and IIRFilter2 are in public/dsp.js, along with the delays and
+// the reverb, where the dsp-processors worklets can import them.
 
 function WindowFunction(type, alpha) {
   this.alpha = alpha;
@@ -1804,314 +1674,6 @@ WindowFunction.Triangular = function (length, index) {
   return (2 / length) * (length / 2 - Math.abs(index - (length - 1) / 2));
 };
 
-function sinh(arg) {
-  // Returns the hyperbolic sine of the number, defined as (exp(number) - exp(-number))/2
-  //
-  // version: 1004.2314
-  // discuss at: http://phpjs.org/functions/sinh    // +   original by: Onno Marsman
-  // *     example 1: sinh(-0.9834330348825909);
-  // *     returns 1: -1.1497971402636502
-  return (Math.exp(arg) - Math.exp(-arg)) / 2;
-}
-
-/*
- *  Biquad filter
- *
- *  Created by Ricard Marxer <email@ricardmarxer.com> on 2010-05-23.
- *  Copyright 2010 Ricard Marxer. All rights reserved.
- *
- */
-// Implementation based on:
-// http://www.musicdsp.org/files/Audio-EQ-Cookbook.txt
-function Biquad(type, sampleRate) {
-  this.Fs = sampleRate;
-  this.type = type; // type of the filter
-  this.parameterType = DSP.Q; // type of the parameter
-
-  this.x_1_l = 0;
-  this.x_2_l = 0;
-  this.y_1_l = 0;
-  this.y_2_l = 0;
-
-  this.x_1_r = 0;
-  this.x_2_r = 0;
-  this.y_1_r = 0;
-  this.y_2_r = 0;
-
-  this.b0 = 1;
-  this.a0 = 1;
-
-  this.b1 = 0;
-  this.a1 = 0;
-
-  this.b2 = 0;
-  this.a2 = 0;
-
-  this.b0a0 = this.b0 / this.a0;
-  this.b1a0 = this.b1 / this.a0;
-  this.b2a0 = this.b2 / this.a0;
-  this.a1a0 = this.a1 / this.a0;
-  this.a2a0 = this.a2 / this.a0;
-
-  this.f0 = 3000; // "wherever it's happenin', man."  Center Frequency or
-  // Corner Frequency, or shelf midpoint frequency, depending
-  // on which filter type.  The "significant frequency".
-
-  this.dBgain = 12; // used only for peaking and shelving filters
-
-  this.Q = 1; // the EE kind of definition, except for peakingEQ in which A*Q is
-  // the classic EE Q.  That adjustment in definition was made so that
-  // a boost of N dB followed by a cut of N dB for identical Q and
-  // f0/Fs results in a precisely flat unity gain filter or "wire".
-
-  this.BW = -3; // the bandwidth in octaves (between -3 dB frequencies for BPF
-  // and notch or between midpoint (dBgain/2) gain frequencies for
-  // peaking EQ
-
-  this.S = 1; // a "shelf slope" parameter (for shelving EQ only).  When S = 1,
-  // the shelf slope is as steep as it can be and remain monotonically
-  // increasing or decreasing gain with frequency.  The shelf slope, in
-  // dB/octave, remains proportional to S for all other values for a
-  // fixed f0/Fs and dBgain.
-
-  this.coefficients = function () {
-    var b = [this.b0, this.b1, this.b2];
-    var a = [this.a0, this.a1, this.a2];
-    return { b: b, a: a };
-  };
-
-  this.setFilterType = function (type) {
-    this.type = type;
-    this.recalculateCoefficients();
-  };
-
-  this.setSampleRate = function (rate) {
-    this.Fs = rate;
-    this.recalculateCoefficients();
-  };
-
-  this.setQ = function (q) {
-    this.parameterType = DSP.Q;
-    this.Q = Math.max(Math.min(q, 115.0), 0.001);
-    this.recalculateCoefficients();
-  };
-
-  this.setBW = function (bw) {
-    this.parameterType = DSP.BW;
-    this.BW = bw;
-    this.recalculateCoefficients();
-  };
-
-  this.setS = function (s) {
-    this.parameterType = DSP.S;
-    this.S = Math.max(Math.min(s, 5.0), 0.0001);
-    this.recalculateCoefficients();
-  };
-
-  this.setF0 = function (freq) {
-    this.f0 = freq;
-    this.recalculateCoefficients();
-  };
-
-  this.setDbGain = function (g) {
-    this.dBgain = g;
-    this.recalculateCoefficients();
-  };
-
-  this.recalculateCoefficients = function () {
-    var A;
-    if (
-      type === DSP.PEAKING_EQ ||
-      type === DSP.LOW_SHELF ||
-      type === DSP.HIGH_SHELF
-    ) {
-      A = Math.pow(10, this.dBgain / 40); // for peaking and shelving EQ filters only
-    } else {
-      A = Math.sqrt(Math.pow(10, this.dBgain / 20));
-    }
-
-    var w0 = (DSP.TWO_PI * this.f0) / this.Fs;
-
-    var cosw0 = Math.cos(w0);
-    var sinw0 = Math.sin(w0);
-
-    var alpha = 0;
-
-    switch (this.parameterType) {
-      case DSP.Q:
-        alpha = sinw0 / (2 * this.Q);
-        break;
-
-      case DSP.BW:
-        alpha = sinw0 * sinh(((Math.LN2 / 2) * this.BW * w0) / sinw0);
-        break;
-
-      case DSP.S:
-        alpha = (sinw0 / 2) * Math.sqrt((A + 1 / A) * (1 / this.S - 1) + 2);
-        break;
-    }
-
-    /**
-      FYI: The relationship between bandwidth and Q is
-           1/Q = 2*sinh(ln(2)/2*BW*w0/sin(w0))     (digital filter w BLT)
-      or   1/Q = 2*sinh(ln(2)/2*BW)             (analog filter prototype)
-
-      The relationship between shelf slope and Q is
-           1/Q = sqrt((A + 1/A)*(1/S - 1) + 2)
-  */
-
-    var coeff;
-
-    switch (this.type) {
-      case DSP.LPF: // H(s) = 1 / (s^2 + s/Q + 1)
-        this.b0 = (1 - cosw0) / 2;
-        this.b1 = 1 - cosw0;
-        this.b2 = (1 - cosw0) / 2;
-        this.a0 = 1 + alpha;
-        this.a1 = -2 * cosw0;
-        this.a2 = 1 - alpha;
-        break;
-
-      case DSP.HPF: // H(s) = s^2 / (s^2 + s/Q + 1)
-        this.b0 = (1 + cosw0) / 2;
-        this.b1 = -(1 + cosw0);
-        this.b2 = (1 + cosw0) / 2;
-        this.a0 = 1 + alpha;
-        this.a1 = -2 * cosw0;
-        this.a2 = 1 - alpha;
-        break;
-
-      case DSP.BPF_CONSTANT_SKIRT: // H(s) = s / (s^2 + s/Q + 1)  (constant skirt gain, peak gain = Q)
-        this.b0 = sinw0 / 2;
-        this.b1 = 0;
-        this.b2 = -sinw0 / 2;
-        this.a0 = 1 + alpha;
-        this.a1 = -2 * cosw0;
-        this.a2 = 1 - alpha;
-        break;
-
-      case DSP.BPF_CONSTANT_PEAK: // H(s) = (s/Q) / (s^2 + s/Q + 1)      (constant 0 dB peak gain)
-        this.b0 = alpha;
-        this.b1 = 0;
-        this.b2 = -alpha;
-        this.a0 = 1 + alpha;
-        this.a1 = -2 * cosw0;
-        this.a2 = 1 - alpha;
-        break;
-
-      case DSP.NOTCH: // H(s) = (s^2 + 1) / (s^2 + s/Q + 1)
-        this.b0 = 1;
-        this.b1 = -2 * cosw0;
-        this.b2 = 1;
-        this.a0 = 1 + alpha;
-        this.a1 = -2 * cosw0;
-        this.a2 = 1 - alpha;
-        break;
-
-      case DSP.APF: // H(s) = (s^2 - s/Q + 1) / (s^2 + s/Q + 1)
-        this.b0 = 1 - alpha;
-        this.b1 = -2 * cosw0;
-        this.b2 = 1 + alpha;
-        this.a0 = 1 + alpha;
-        this.a1 = -2 * cosw0;
-        this.a2 = 1 - alpha;
-        break;
-
-      case DSP.PEAKING_EQ: // H(s) = (s^2 + s*(A/Q) + 1) / (s^2 + s/(A*Q) + 1)
-        this.b0 = 1 + alpha * A;
-        this.b1 = -2 * cosw0;
-        this.b2 = 1 - alpha * A;
-        this.a0 = 1 + alpha / A;
-        this.a1 = -2 * cosw0;
-        this.a2 = 1 - alpha / A;
-        break;
-
-      case DSP.LOW_SHELF: // H(s) = A * (s^2 + (sqrt(A)/Q)*s + A)/(A*s^2 + (sqrt(A)/Q)*s + 1)
-        coeff = sinw0 * Math.sqrt((A ^ (2 + 1)) * (1 / this.S - 1) + 2 * A);
-        this.b0 = A * (A + 1 - (A - 1) * cosw0 + coeff);
-        this.b1 = 2 * A * (A - 1 - (A + 1) * cosw0);
-        this.b2 = A * (A + 1 - (A - 1) * cosw0 - coeff);
-        this.a0 = A + 1 + (A - 1) * cosw0 + coeff;
-        this.a1 = -2 * (A - 1 + (A + 1) * cosw0);
-        this.a2 = A + 1 + (A - 1) * cosw0 - coeff;
-        break;
-
-      case DSP.HIGH_SHELF: // H(s) = A * (A*s^2 + (sqrt(A)/Q)*s + 1)/(s^2 + (sqrt(A)/Q)*s + A)
-        coeff = sinw0 * Math.sqrt((A ^ (2 + 1)) * (1 / this.S - 1) + 2 * A);
-        this.b0 = A * (A + 1 + (A - 1) * cosw0 + coeff);
-        this.b1 = -2 * A * (A - 1 + (A + 1) * cosw0);
-        this.b2 = A * (A + 1 + (A - 1) * cosw0 - coeff);
-        this.a0 = A + 1 - (A - 1) * cosw0 + coeff;
-        this.a1 = 2 * (A - 1 - (A + 1) * cosw0);
-        this.a2 = A + 1 - (A - 1) * cosw0 - coeff;
-        break;
-    }
-
-    this.b0a0 = this.b0 / this.a0;
-    this.b1a0 = this.b1 / this.a0;
-    this.b2a0 = this.b2 / this.a0;
-    this.a1a0 = this.a1 / this.a0;
-    this.a2a0 = this.a2 / this.a0;
-  };
-
-  this.process = function (buffer) {
-    //y[n] = (b0/a0)*x[n] + (b1/a0)*x[n-1] + (b2/a0)*x[n-2]
-    //       - (a1/a0)*y[n-1] - (a2/a0)*y[n-2]
-
-    var len = buffer.length;
-    var output = new Float32Array(len);
-
-    for (var i = 0; i < buffer.length; i++) {
-      output[i] =
-        this.b0a0 * buffer[i] +
-        this.b1a0 * this.x_1_l +
-        this.b2a0 * this.x_2_l -
-        this.a1a0 * this.y_1_l -
-        this.a2a0 * this.y_2_l;
-      this.y_2_l = this.y_1_l;
-      this.y_1_l = output[i];
-      this.x_2_l = this.x_1_l;
-      this.x_1_l = buffer[i];
-    }
-
-    return output;
-  };
-
-  this.processStereo = function (buffer) {
-    //y[n] = (b0/a0)*x[n] + (b1/a0)*x[n-1] + (b2/a0)*x[n-2]
-    //       - (a1/a0)*y[n-1] - (a2/a0)*y[n-2]
-
-    var len = buffer.length;
-    var output = new Float32Array(len);
-
-    for (var i = 0; i < len / 2; i++) {
-      output[2 * i] =
-        this.b0a0 * buffer[2 * i] +
-        this.b1a0 * this.x_1_l +
-        this.b2a0 * this.x_2_l -
-        this.a1a0 * this.y_1_l -
-        this.a2a0 * this.y_2_l;
-      this.y_2_l = this.y_1_l;
-      this.y_1_l = output[2 * i];
-      this.x_2_l = this.x_1_l;
-      this.x_1_l = buffer[2 * i];
-
-      output[2 * i + 1] =
-        this.b0a0 * buffer[2 * i + 1] +
-        this.b1a0 * this.x_1_r +
-        this.b2a0 * this.x_2_r -
-        this.a1a0 * this.y_1_r -
-        this.a2a0 * this.y_2_r;
-      this.y_2_r = this.y_1_r;
-      this.y_1_r = output[2 * i + 1];
-      this.x_2_r = this.x_1_r;
-      this.x_1_r = buffer[2 * i + 1];
-    }
-
-    return output;
-  };
-}
-
 /*
  *  Magnitude to decibels
  *
@@ -2127,12 +1689,12 @@ DSP.mag2db = function (buffer) {
   var minDb = -120;
   var minMag = Math.pow(10.0, minDb / 20.0);
 
-  var log = Math.log;
+  var log10 = Math.log10;
   var max = Math.max;
 
-  var result = Float32Array(buffer.length);
+  var result = new Float32Array(buffer.length);
   for (var i = 0; i < buffer.length; i++) {
-    result[i] = 20.0 * log(max(buffer[i], minMag));
+    result[i] = 20.0 * log10(max(buffer[i], minMag));
   }
 
   return result;
@@ -2157,13 +1719,13 @@ DSP.freqz = function (b, a, w) {
   var i, j;
 
   if (!w) {
-    w = Float32Array(200);
+    w = new Float32Array(200);
     for (i = 0; i < w.length; i++) {
       w[i] = (DSP.TWO_PI / w.length) * i - Math.PI;
     }
   }
 
-  var result = Float32Array(w.length);
+  var result = new Float32Array(w.length);
 
   var sqrt = Math.sqrt;
   var cos = Math.cos;
@@ -2193,537 +1755,7 @@ DSP.freqz = function (b, a, w) {
   return result;
 };
 
-/*
- *  Graphical Equalizer
- *
- *  Implementation of a graphic equalizer with a configurable bands-per-octave
- *  and minimum and maximum frequencies
- *
- *  Created by Ricard Marxer <email@ricardmarxer.com> on 2010-05-23.
- *  Copyright 2010 Ricard Marxer. All rights reserved.
- *
- */
-function GraphicalEq(sampleRate) {
-  this.FS = sampleRate;
-  this.minFreq = 40.0;
-  this.maxFreq = 16000.0;
-
-  this.bandsPerOctave = 1.0;
-
-  this.filters = [];
-  this.freqzs = [];
-
-  this.calculateFreqzs = true;
-
-  this.recalculateFilters = function () {
-    var bandCount = Math.round(
-      (Math.log(this.maxFreq / this.minFreq) * this.bandsPerOctave) / Math.LN2
-    );
-
-    this.filters = [];
-    for (var i = 0; i < bandCount; i++) {
-      var freq = this.minFreq * Math.pow(2, i / this.bandsPerOctave);
-      var newFilter = new Biquad(DSP.PEAKING_EQ, this.FS);
-      newFilter.setDbGain(0);
-      newFilter.setBW(1 / this.bandsPerOctave);
-      newFilter.setF0(freq);
-      this.filters[i] = newFilter;
-      this.recalculateFreqz(i);
-    }
-  };
-
-  this.setMinimumFrequency = function (freq) {
-    this.minFreq = freq;
-    this.recalculateFilters();
-  };
-
-  this.setMaximumFrequency = function (freq) {
-    this.maxFreq = freq;
-    this.recalculateFilters();
-  };
-
-  this.setBandsPerOctave = function (bands) {
-    this.bandsPerOctave = bands;
-    this.recalculateFilters();
-  };
-
-  this.setBandGain = function (bandIndex, gain) {
-    if (bandIndex < 0 || bandIndex > this.filters.length - 1) {
-      throw "The band index of the graphical equalizer is out of bounds.";
-    }
-
-    if (!gain) {
-      throw "A gain must be passed.";
-    }
-
-    this.filters[bandIndex].setDbGain(gain);
-    this.recalculateFreqz(bandIndex);
-  };
-
-  this.recalculateFreqz = function (bandIndex) {
-    if (!this.calculateFreqzs) {
-      return;
-    }
-
-    if (bandIndex < 0 || bandIndex > this.filters.length - 1) {
-      throw (
-        "The band index of the graphical equalizer is out of bounds. " +
-        bandIndex +
-        " is out of [" +
-        0 +
-        ", " +
-        this.filters.length -
-        1 +
-        "]"
-      );
-    }
-
-    if (!this.w) {
-      this.w = Float32Array(400);
-      for (var i = 0; i < this.w.length; i++) {
-        this.w[i] = (Math.PI / this.w.length) * i;
-      }
-    }
-
-    var b = [
-      this.filters[bandIndex].b0,
-      this.filters[bandIndex].b1,
-      this.filters[bandIndex].b2,
-    ];
-    var a = [
-      this.filters[bandIndex].a0,
-      this.filters[bandIndex].a1,
-      this.filters[bandIndex].a2,
-    ];
-
-    this.freqzs[bandIndex] = DSP.mag2db(DSP.freqz(b, a, this.w));
-  };
-
-  this.process = function (buffer) {
-    var output = buffer;
-
-    for (var i = 0; i < this.filters.length; i++) {
-      output = this.filters[i].process(output);
-    }
-
-    return output;
-  };
-
-  this.processStereo = function (buffer) {
-    var output = buffer;
-
-    for (var i = 0; i < this.filters.length; i++) {
-      output = this.filters[i].processStereo(output);
-    }
-
-    return output;
-  };
-}
-
-/**
- * MultiDelay effect by Almer Thie (http://code.almeros.com).
- * Copyright 2010 Almer Thie. All rights reserved.
- * Example: http://code.almeros.com/code-examples/delay-firefox-audio-api/
- *
- * This is a delay that feeds it's own delayed signal back into its circular
- * buffer. Also known as a CombFilter.
- *
- * Compatible with interleaved stereo (or more channel) buffers and
- * non-interleaved mono buffers.
- *
- * @param {Number} maxDelayInSamplesSize Maximum possible delay in samples (size of circular buffer)
- * @param {Number} delayInSamples Initial delay in samples
- * @param {Number} masterVolume Initial master volume. Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
- * @param {Number} delayVolume Initial feedback delay volume. Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
- *
- * @constructor
- */
-function MultiDelay(
-  maxDelayInSamplesSize,
-  delayInSamples,
-  masterVolume,
-  delayVolume
-) {
-  this.delayBufferSamples = new Float32Array(maxDelayInSamplesSize); // The maximum size of delay
-  this.delayInputPointer = delayInSamples;
-  this.delayOutputPointer = 0;
-
-  this.delayInSamples = delayInSamples;
-  this.masterVolume = masterVolume;
-  this.delayVolume = delayVolume;
-}
-
-/**
- * Change the delay time in samples.
- *
- * @param {Number} delayInSamples Delay in samples
- */
-MultiDelay.prototype.setDelayInSamples = function (delayInSamples) {
-  this.delayInSamples = delayInSamples;
-
-  this.delayInputPointer = this.delayOutputPointer + delayInSamples;
-
-  if (this.delayInputPointer >= this.delayBufferSamples.length - 1) {
-    this.delayInputPointer =
-      this.delayInputPointer - this.delayBufferSamples.length;
-  }
-};
-
-/**
- * Change the master volume.
- *
- * @param {Number} masterVolume Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
- */
-MultiDelay.prototype.setMasterVolume = function (masterVolume) {
-  this.masterVolume = masterVolume;
-};
-
-/**
- * Change the delay feedback volume.
- *
- * @param {Number} delayVolume Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
- */
-MultiDelay.prototype.setDelayVolume = function (delayVolume) {
-  this.delayVolume = delayVolume;
-};
-
-/**
- * Process a given interleaved or mono non-interleaved float value Array and adds the delayed audio.
- *
- * @param {Array} samples Array containing Float values or a Float32Array
- *
- * @returns A new Float32Array interleaved or mono non-interleaved as was fed to this function.
- */
-MultiDelay.prototype.process = function (samples) {
-  // NB. Make a copy to put in the output samples to return.
-  var outputSamples = new Float32Array(samples.length);
-
-  for (var i = 0; i < samples.length; i++) {
-    // delayBufferSamples could contain initial NULL's, return silence in that case
-    var delaySample =
-      this.delayBufferSamples[this.delayOutputPointer] === null
-        ? 0.0
-        : this.delayBufferSamples[this.delayOutputPointer];
-
-    // Mix normal audio data with delayed audio
-    var sample = delaySample * this.delayVolume + samples[i];
-
-    // Add audio data with the delay in the delay buffer
-    this.delayBufferSamples[this.delayInputPointer] = sample;
-
-    // Return the audio with delay mix
-    outputSamples[i] = sample * this.masterVolume;
-
-    // Manage circulair delay buffer pointers
-    this.delayInputPointer++;
-    if (this.delayInputPointer >= this.delayBufferSamples.length - 1) {
-      this.delayInputPointer = 0;
-    }
-
-    this.delayOutputPointer++;
-    if (this.delayOutputPointer >= this.delayBufferSamples.length - 1) {
-      this.delayOutputPointer = 0;
-    }
-  }
-
-  return outputSamples;
-};
-
-/**
- * SingleDelay effect by Almer Thie (http://code.almeros.com).
- * Copyright 2010 Almer Thie. All rights reserved.
- * Example: See usage in Reverb class
- *
- * This is a delay that does NOT feeds it's own delayed signal back into its
- * circular buffer, neither does it return the original signal. Also known as
- * an AllPassFilter(?).
- *
- * Compatible with interleaved stereo (or more channel) buffers and
- * non-interleaved mono buffers.
- *
- * @param {Number} maxDelayInSamplesSize Maximum possible delay in samples (size of circular buffer)
- * @param {Number} delayInSamples Initial delay in samples
- * @param {Number} delayVolume Initial feedback delay volume. Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
- *
- * @constructor
- */
-
-function SingleDelay(maxDelayInSamplesSize, delayInSamples, delayVolume) {
-  this.delayBufferSamples = new Float32Array(maxDelayInSamplesSize); // The maximum size of delay
-  this.delayInputPointer = delayInSamples;
-  this.delayOutputPointer = 0;
-
-  this.delayInSamples = delayInSamples;
-  this.delayVolume = delayVolume;
-}
-
-/**
- * Change the delay time in samples.
- *
- * @param {Number} delayInSamples Delay in samples
- */
-SingleDelay.prototype.setDelayInSamples = function (delayInSamples) {
-  this.delayInSamples = delayInSamples;
-  this.delayInputPointer = this.delayOutputPointer + delayInSamples;
-
-  if (this.delayInputPointer >= this.delayBufferSamples.length - 1) {
-    this.delayInputPointer =
-      this.delayInputPointer - this.delayBufferSamples.length;
-  }
-};
-
-/**
- * Change the return signal volume.
- *
- * @param {Number} delayVolume Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
- */
-SingleDelay.prototype.setDelayVolume = function (delayVolume) {
-  this.delayVolume = delayVolume;
-};
-
-/**
- * Process a given interleaved or mono non-interleaved float value Array and
- * returns the delayed audio.
- *
- * @param {Array} samples Array containing Float values or a Float32Array
- *
- * @returns A new Float32Array interleaved or mono non-interleaved as was fed to this function.
- */
-SingleDelay.prototype.process = function (samples) {
-  // NB. Make a copy to put in the output samples to return.
-  var outputSamples = new Float32Array(samples.length);
-
-  for (var i = 0; i < samples.length; i++) {
-    // Add audio data with the delay in the delay buffer
-    this.delayBufferSamples[this.delayInputPointer] = samples[i];
-
-    // delayBufferSamples could contain initial NULL's, return silence in that case
-    var delaySample = this.delayBufferSamples[this.delayOutputPointer];
-
-    // Return the audio with delay mix
-    outputSamples[i] = delaySample * this.delayVolume;
-
-    // Manage circulair delay buffer pointers
-    this.delayInputPointer++;
-
-    if (this.delayInputPointer >= this.delayBufferSamples.length - 1) {
-      this.delayInputPointer = 0;
-    }
-
-    this.delayOutputPointer++;
-
-    if (this.delayOutputPointer >= this.delayBufferSamples.length - 1) {
-      this.delayOutputPointer = 0;
-    }
-  }
-
-  return outputSamples;
-};
-
-/**
- * Reverb effect by Almer Thie (http://code.almeros.com).
- * Copyright 2010 Almer Thie. All rights reserved.
- * Example: http://code.almeros.com/code-examples/reverb-firefox-audio-api/
- *
- * This reverb consists of 6 SingleDelays, 6 MultiDelays and an IIRFilter2
- * for each of the two stereo channels.
- *
- * Compatible with interleaved stereo buffers only!
- *
- * @param {Number} maxDelayInSamplesSize Maximum possible delay in samples (size of circular buffers)
- * @param {Number} delayInSamples Initial delay in samples for internal (Single/Multi)delays
- * @param {Number} masterVolume Initial master volume. Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
- * @param {Number} mixVolume Initial reverb signal mix volume. Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
- * @param {Number} delayVolume Initial feedback delay volume for internal (Single/Multi)delays. Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
- * @param {Number} dampFrequency Initial low pass filter frequency. 0 to 44100 (depending on your maximum sampling frequency)
- *
- * @constructor
- */
-function Reverb(
-  maxDelayInSamplesSize,
-  delayInSamples,
-  masterVolume,
-  mixVolume,
-  delayVolume,
-  dampFrequency
-) {
-  this.delayInSamples = delayInSamples;
-  this.masterVolume = masterVolume;
-  this.mixVolume = mixVolume;
-  this.delayVolume = delayVolume;
-  this.dampFrequency = dampFrequency;
-
-  this.NR_OF_MULTIDELAYS = 6;
-  this.NR_OF_SINGLEDELAYS = 6;
-
-  this.LOWPASSL = new IIRFilter2(DSP.LOWPASS, dampFrequency, 0, 44100);
-  this.LOWPASSR = new IIRFilter2(DSP.LOWPASS, dampFrequency, 0, 44100);
-
-  this.singleDelays = [];
-
-  var i, delayMultiply;
-
-  for (i = 0; i < this.NR_OF_SINGLEDELAYS; i++) {
-    delayMultiply = 1.0 + i / 7.0; // 1.0, 1.1, 1.2...
-    this.singleDelays[i] = new SingleDelay(
-      maxDelayInSamplesSize,
-      Math.round(this.delayInSamples * delayMultiply),
-      this.delayVolume
-    );
-  }
-
-  this.multiDelays = [];
-
-  for (i = 0; i < this.NR_OF_MULTIDELAYS; i++) {
-    delayMultiply = 1.0 + i / 10.0; // 1.0, 1.1, 1.2...
-    this.multiDelays[i] = new MultiDelay(
-      maxDelayInSamplesSize,
-      Math.round(this.delayInSamples * delayMultiply),
-      this.masterVolume,
-      this.delayVolume
-    );
-  }
-}
-
-/**
- * Change the delay time in samples as a base for all delays.
- *
- * @param {Number} delayInSamples Delay in samples
- */
-Reverb.prototype.setDelayInSamples = function (delayInSamples) {
-  this.delayInSamples = delayInSamples;
-
-  var i, delayMultiply;
-
-  for (i = 0; i < this.NR_OF_SINGLEDELAYS; i++) {
-    delayMultiply = 1.0 + i / 7.0; // 1.0, 1.1, 1.2...
-    this.singleDelays[i].setDelayInSamples(
-      Math.round(this.delayInSamples * delayMultiply)
-    );
-  }
-
-  for (i = 0; i < this.NR_OF_MULTIDELAYS; i++) {
-    delayMultiply = 1.0 + i / 10.0; // 1.0, 1.1, 1.2...
-    this.multiDelays[i].setDelayInSamples(
-      Math.round(this.delayInSamples * delayMultiply)
-    );
-  }
-};
-
-/**
- * Change the master volume.
- *
- * @param {Number} masterVolume Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
- */
-Reverb.prototype.setMasterVolume = function (masterVolume) {
-  this.masterVolume = masterVolume;
-};
-
-/**
- * Change the reverb signal mix level.
- *
- * @param {Number} mixVolume Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
- */
-Reverb.prototype.setMixVolume = function (mixVolume) {
-  this.mixVolume = mixVolume;
-};
-
-/**
- * Change all delays feedback volume.
- *
- * @param {Number} delayVolume Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
- */
-Reverb.prototype.setDelayVolume = function (delayVolume) {
-  this.delayVolume = delayVolume;
-
-  var i;
-
-  for (i = 0; i < this.NR_OF_SINGLEDELAYS; i++) {
-    this.singleDelays[i].setDelayVolume(this.delayVolume);
-  }
-
-  for (i = 0; i < this.NR_OF_MULTIDELAYS; i++) {
-    this.multiDelays[i].setDelayVolume(this.delayVolume);
-  }
-};
-
-/**
- * Change the Low Pass filter frequency.
- *
- * @param {Number} dampFrequency low pass filter frequency. 0 to 44100 (depending on your maximum sampling frequency)
- */
-Reverb.prototype.setDampFrequency = function (dampFrequency) {
-  this.dampFrequency = dampFrequency;
-
-  this.LOWPASSL.set(dampFrequency, 0);
-  this.LOWPASSR.set(dampFrequency, 0);
-};
-
-/**
- * Process a given interleaved float value Array and copies and adds the reverb signal.
- *
- * @param {Array} samples Array containing Float values or a Float32Array
- *
- * @returns A new Float32Array interleaved buffer.
- */
-Reverb.prototype.process = function (interleavedSamples) {
-  // NB. Make a copy to put in the output samples to return.
-  var outputSamples = new Float32Array(interleavedSamples.length);
-
-  // Perform low pass on the input samples to mimick damp
-  var leftRightMix = DSP.deinterleave(interleavedSamples);
-  this.LOWPASSL.process(leftRightMix[DSP.LEFT]);
-  this.LOWPASSR.process(leftRightMix[DSP.RIGHT]);
-  var filteredSamples = DSP.interleave(
-    leftRightMix[DSP.LEFT],
-    leftRightMix[DSP.RIGHT]
-  );
-
-  var i;
-
-  // Process MultiDelays in parallel
-  for (i = 0; i < this.NR_OF_MULTIDELAYS; i++) {
-    // Invert the signal of every even multiDelay
-    outputSamples = DSP.mixSampleBuffers(
-      outputSamples,
-      this.multiDelays[i].process(filteredSamples),
-      2 % i === 0,
-      this.NR_OF_MULTIDELAYS
-    );
-  }
-
-  // Process SingleDelays in series
-  var singleDelaySamples = new Float32Array(outputSamples.length);
-  for (i = 0; i < this.NR_OF_SINGLEDELAYS; i++) {
-    // Invert the signal of every even singleDelay
-    singleDelaySamples = DSP.mixSampleBuffers(
-      singleDelaySamples,
-      this.singleDelays[i].process(outputSamples),
-      2 % i === 0,
-      1
-    );
-  }
-
-  // Apply the volume of the reverb signal
-  for (i = 0; i < singleDelaySamples.length; i++) {
-    singleDelaySamples[i] *= this.mixVolume;
-  }
-
-  // Mix the original signal with the reverb signal
-  outputSamples = DSP.mixSampleBuffers(
-    singleDelaySamples,
-    interleavedSamples,
-    0,
-    1
-  );
-
-  // Apply the master volume to the complete signal
-  for (i = 0; i < outputSamples.length; i++) {
-    outputSamples[i] *= this.masterVolume;
-  }
-
-  return outputSamples;
-};
+// Biquad, GraphicalEq, MultiDelay, SingleDelay and Reverb are in public/dsp.js.
 
 //JavaScript Audio Resampler (c) 2011 - Grant Galitz
 function Resampler(
@@ -2866,7 +1898,8 @@ if ((bufferLength % " +
   for (channel = 0; channel < this.channels; ++channel) {
     toCompile += "output" + channel + " = 0;";
   }
-  toCompile += "}\
+  toCompile +=
+    "}\
       else {\
         weight = this.lastWeight;";
   for (channel = 0; channel < this.channels; ++channel) {
@@ -2906,7 +1939,8 @@ if ((bufferLength % " +
     toCompile +=
       "outputBuffer[outputOffset++] = output" + channel + " / ratioWeight;";
   }
-  toCompile += "}\
+  toCompile +=
+    "}\
       else {\
         this.lastWeight = weight;";
   for (channel = 0; channel < this.channels; ++channel) {
@@ -2968,3 +2002,16 @@ Resampler.prototype.initializeBuffers = function () {
     this.lastOutput = [];
   }
 };
+
+export {
+  Jungle,
+  DSP,
+  DFT,
+  FFT,
+  RFFT,
+  Sampler,
+  Oscillator,
+  ADSR,
+  WindowFunction,
+  Resampler,
+};
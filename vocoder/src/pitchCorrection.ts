@@ -0,0 +1,92 @@
+export const PITCH_CORRECT_MODULE = "pitch-correct.js";
+
+// How the voice is pitched: moved by the pitch slider with Jungle, pulled
+// onto notes by the pitch-correct worklet, or replaced by a carrier's through
+// the channel vocoder.
+export type PitchMode = "shift" | "correct" | "carrier";
+
+export const pitchModes: PitchMode[] = ["shift", "correct", "carrier"];
+
+// "custom" uses `notes`, and "note" holds everything on `note`.
+export type PitchCorrectScale =
+  | "chromatic"
+  | "major"
+  | "minor"
+  | "custom"
+  | "note";
+
+export const pitchCorrectScales: PitchCorrectScale[] = [
+  "chromatic",
+  "major",
+  "minor",
+  "custom",
+  "note",
+];
+
+export interface PitchCorrection {
+  scale: PitchCorrectScale;
+  // The pitch class major and minor scales start on, 0 for C to 11 for B.
+  key: number;
+  // Pitch classes for the custom scale.
+  notes: number[];
+  // MIDI note for the monotone.
+  note: number;
+  // Time constant of the correction, in seconds. 0 snaps straight to the note.
+  retuneSpeed: number;
+  // 0 to 1, how much wobble around a note is left in.
+  humanize: number;
+}
+
+export const MAX_RETUNE_SPEED = 2;
+
+export const defaultPitchCorrection: PitchCorrection = {
+  scale: "chromatic",
+  key: 0,
+  notes: [0, 2, 4, 7, 9],
+  note: 48,
+  retuneSpeed: 0.02,
+  humanize: 0,
+};
+
+export const noteNames = [
+  "C",
+  "C#",
+  "D",
+  "D#",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "G#",
+  "A",
+  "A#",
+  "B",
+];
+
+// "C3" for 48, and so on.
+export function midiNoteName(note: number) {
+  return noteNames[note % 12] + (Math.floor(note / 12) - 1);
+}
+
+/**
+ * Sets a pitch-correct node up as `correction`: the scale goes over its port,
+ * and the retune speed and humanize through `set`, so they can be smoothed.
+ */
+export function applyPitchCorrection(
+  node: AudioWorkletNode,
+  correction: PitchCorrection,
+  set: (param: AudioParam, value: number) => void
+) {
+  const { scale, key, notes, note, retuneSpeed, humanize } = correction;
+  node.port.postMessage({ type: "scale", scale, key, notes, note });
+  const retuneParam = node.parameters.get("retuneSpeed");
+  const humanizeParam = node.parameters.get("humanize");
+  if (retuneParam) set(retuneParam, retuneSpeed);
+  if (humanizeParam) set(humanizeParam, humanize);
+}
+
+export function loadPitchCorrector(context: BaseAudioContext) {
+  return context.audioWorklet
+    .addModule(PITCH_CORRECT_MODULE)
+    .then(() => new AudioWorkletNode(context, "pitch-correct"));
+}
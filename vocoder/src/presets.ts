@@ -0,0 +1,422 @@
+import { defaultVocoderConfig, VocoderConfig } from "./vocoderGraph";
+import { crossfadeLaws } from "./crossfade";
+import {
+  defaultEqBands,
+  EQ_MAX_BANDWIDTH,
+  EQ_MAX_FREQUENCY,
+  EQ_MAX_GAIN,
+  EQ_MIN_BANDWIDTH,
+  EQ_MIN_FREQUENCY,
+  EqBand,
+  eqBandTypes,
+} from "./equalizer";
+import {
+  defaultHarmonyVoice,
+  MAX_HARMONY_DELAY,
+  MAX_HARMONY_DETUNE,
+  MAX_HARMONY_INTERVAL,
+  MAX_HARMONY_VOICES,
+} from "./harmonizer";
+import {
+  CHANNEL_VOCODER_MAX_ATTACK,
+  CHANNEL_VOCODER_MAX_FREQUENCY,
+  CHANNEL_VOCODER_MAX_GAIN,
+  CHANNEL_VOCODER_MAX_RELEASE,
+  CHANNEL_VOCODER_MIN_FREQUENCY,
+  CHANNEL_VOCODER_MIN_TIME,
+  carrierTypes,
+  carrierWaveforms,
+  ChannelVocoderConfig,
+  defaultChannelVocoderConfig,
+  MAX_CARRIER_FREQUENCY,
+  MAX_CHANNEL_VOCODER_BANDS,
+} from "./channelVocoder";
+import {
+  defaultPitchCorrection,
+  MAX_RETUNE_SPEED,
+  PitchCorrection,
+  pitchCorrectScales,
+  pitchModes,
+} from "./pitchCorrection";
+
+// Bypass is a live switch rather than part of a voice, so presets leave it alone.
+export type PresetConfig = Omit<VocoderConfig, "bypass">;
+
+export interface VocoderPreset {
+  name: string;
+  config: PresetConfig;
+}
+
+export const PRESET_FORMAT = "vocoder-presets";
+// Settings added since version 1 (eq, pitchMode, pitchCorrection,
+// channelVocoder, harmony) are optional, so older files still load with them at their defaults, and don't
+// need a new version. Only a change that breaks old files should bump it.
+export const PRESET_VERSION = 1;
+
+const STORAGE_KEY = "vocoder-presets";
+
+function preset(name: string, config: Partial<PresetConfig>): VocoderPreset {
+  const { bypass, ...defaults } = defaultVocoderConfig;
+  return { name, config: { ...defaults, ...config } };
+}
+
+// The default EQ with some of its bands changed, by index.
+function eq(changes: Record<number, Partial<EqBand>>) {
+  return defaultEqBands.map((band, i) => ({ ...band, ...changes[i] }));
+}
+
+export const builtInPresets: VocoderPreset[] = [
+  preset("Computer", { robot: true }),
+  preset("Alien", { pitch: 0.5, formant: 1.4, reverb: 0.3 }),
+  preset("Radio", {
+    pitch: 0.1,
+    formant: 1.2,
+    volume: 0.8,
+    // Cut below 350Hz and above 3.5kHz, with a lift in the middle.
+    eq: eq({
+      0: { frequency: 350, gain: -24 },
+      5: { gain: 4 },
+      6: { gain: 3 },
+      9: { frequency: 3500, gain: -24 },
+    }),
+  }),
+  preset("Intercom", {
+    formant: 1.1,
+    reverb: 0.1,
+    // Narrower than the radio, and boxy.
+    eq: eq({
+      0: { frequency: 500, gain: -24 },
+      4: { gain: 5, bandwidth: 0.7 },
+      6: { gain: 6 },
+      9: { frequency: 2500, gain: -24 },
+    }),
+  }),
+  preset("Deep Captain", { pitch: -0.35, formant: 0.8, reverb: 0.25 }),
+  preset("Hard Tune", {
+    pitchMode: "correct",
+    pitchCorrection: { ...defaultPitchCorrection, retuneSpeed: 0 },
+    reverb: 0.2,
+  }),
+  preset("Monotone", {
+    pitchMode: "correct",
+    pitchCorrection: { ...defaultPitchCorrection, scale: "note", note: 45 },
+    formant: 0.9,
+  }),
+  preset("Synth", {
+    pitchMode: "carrier",
+    channelVocoder: { ...defaultChannelVocoderConfig, frequency: 98 },
+    reverb: 0.2,
+  }),
+  // A crowd of the one voice, slightly out of step with itself.
+  preset("Legion", {
+    pitch: 0.1,
+    formant: 1.2,
+    reverb: 0.3,
+    harmony: [
+      { ...defaultHarmonyVoice, interval: -12, gain: 0.4 },
+      { ...defaultHarmonyVoice, interval: 7, pan: -0.6, delay: 15 },
+      { ...defaultHarmonyVoice, interval: 4, pan: 0.6, delay: 30 },
+      { ...defaultHarmonyVoice, detune: -15, pan: -0.9, delay: 45 },
+      { ...defaultHarmonyVoice, detune: 15, pan: 0.9, delay: 60 },
+    ],
+  }),
+];
+
+type FieldSchema =
+  | { type: "number"; min: number; max: number }
+  | { type: "boolean" }
+  | { type: "choice"; values: readonly string[] }
+  | { type: "eq" }
+  | { type: "pitchCorrection" }
+  | { type: "channelVocoder" }
+  | { type: "harmony" };
+
+// The same ranges as the sliders, except volume which the Flint card lets go to 5.
+const configSchema: Record<keyof PresetConfig, FieldSchema> = {
+  pitchMode: { type: "choice", values: pitchModes },
+  pitch: { type: "number", min: -1, max: 1 },
+  pitchCorrection: { type: "pitchCorrection" },
+  channelVocoder: { type: "channelVocoder" },
+  formant: { type: "number", min: 0.05, max: 2 },
+  reverb: { type: "number", min: 0, max: 1 },
+  effect: { type: "number", min: 0, max: 1 },
+  volume: { type: "number", min: 0, max: 5 },
+  robot: { type: "boolean" },
+  harmony: { type: "harmony" },
+  crossfade: { type: "choice", values: crossfadeLaws },
+  eq: { type: "eq" },
+};
+
+export class PresetError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "PresetError";
+  }
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function validateNumber(
+  value: unknown,
+  path: string,
+  min: number,
+  max: number
+) {
+  if (
+    typeof value !== "number" ||
+    !Number.isFinite(value) ||
+    value < min ||
+    value > max
+  ) {
+    throw new PresetError(`${path} must be a number from ${min} to ${max}`);
+  }
+}
+
+// The bands are the graph's filters, so there has to be one for each.
+function validateEq(value: unknown, path: string) {
+  if (!Array.isArray(value) || value.length !== defaultEqBands.length) {
+    throw new PresetError(
+      `${path} must be a list of ${defaultEqBands.length} bands`
+    );
+  }
+  value.forEach((band: unknown, i) => {
+    const bandPath = `${path}[${i}]`;
+    if (!isObject(band)) throw new PresetError(`${bandPath} must be an object`);
+    if (!eqBandTypes.includes(band.type as EqBand["type"])) {
+      throw new PresetError(
+        `${bandPath}.type must be one of ${eqBandTypes.join(", ")}`
+      );
+    }
+    validateNumber(
+      band.frequency,
+      `${bandPath}.frequency`,
+      EQ_MIN_FREQUENCY,
+      EQ_MAX_FREQUENCY
+    );
+    validateNumber(band.gain, `${bandPath}.gain`, -EQ_MAX_GAIN, EQ_MAX_GAIN);
+    validateNumber(
+      band.bandwidth,
+      `${bandPath}.bandwidth`,
+      EQ_MIN_BANDWIDTH,
+      EQ_MAX_BANDWIDTH
+    );
+  });
+}
+
+function validatePitchClass(value: unknown, path: string) {
+  if (!Number.isInteger(value)) {
+    throw new PresetError(`${path} must be a whole number from 0 to 11`);
+  }
+  validateNumber(value, path, 0, 11);
+}
+
+function validatePitchCorrection(value: unknown, path: string) {
+  if (!isObject(value)) throw new PresetError(`${path} must be an object`);
+  if (!pitchCorrectScales.includes(value.scale as PitchCorrection["scale"])) {
+    throw new PresetError(
+      `${path}.scale must be one of ${pitchCorrectScales.join(", ")}`
+    );
+  }
+  validatePitchClass(value.key, `${path}.key`);
+  if (!Array.isArray(value.notes)) {
+    throw new PresetError(`${path}.notes must be a list of pitch classes`);
+  }
+  value.notes.forEach((note: unknown, i) =>
+    validatePitchClass(note, `${path}.notes[${i}]`)
+  );
+  if (!Number.isInteger(value.note)) {
+    throw new PresetError(`${path}.note must be a MIDI note number`);
+  }
+  validateNumber(value.note, `${path}.note`, 0, 127);
+  validateNumber(value.retuneSpeed, `${path}.retuneSpeed`, 0, MAX_RETUNE_SPEED);
+  validateNumber(value.humanize, `${path}.humanize`, 0, 1);
+}
+
+function validateChannelVocoder(value: unknown, path: string) {
+  if (!isObject(value)) throw new PresetError(`${path} must be an object`);
+  if (!Number.isInteger(value.bands)) {
+    throw new PresetError(`${path}.bands must be a whole number`);
+  }
+  validateNumber(value.bands, `${path}.bands`, 1, MAX_CHANNEL_VOCODER_BANDS);
+  if (
+    !carrierTypes.includes(value.carrier as ChannelVocoderConfig["carrier"])
+  ) {
+    throw new PresetError(
+      `${path}.carrier must be one of ${carrierTypes.join(", ")}`
+    );
+  }
+  if (
+    !carrierWaveforms.includes(
+      value.waveform as ChannelVocoderConfig["waveform"]
+    )
+  ) {
+    throw new PresetError(
+      `${path}.waveform must be one of ${carrierWaveforms.join(", ")}`
+    );
+  }
+  validateNumber(
+    value.frequency,
+    `${path}.frequency`,
+    CHANNEL_VOCODER_MIN_FREQUENCY,
+    MAX_CARRIER_FREQUENCY
+  );
+  (["minFrequency", "maxFrequency"] as const).forEach((key) =>
+    validateNumber(
+      value[key],
+      `${path}.${key}`,
+      CHANNEL_VOCODER_MIN_FREQUENCY,
+      CHANNEL_VOCODER_MAX_FREQUENCY
+    )
+  );
+  validateNumber(
+    value.attack,
+    `${path}.attack`,
+    CHANNEL_VOCODER_MIN_TIME,
+    CHANNEL_VOCODER_MAX_ATTACK
+  );
+  validateNumber(
+    value.release,
+    `${path}.release`,
+    CHANNEL_VOCODER_MIN_TIME,
+    CHANNEL_VOCODER_MAX_RELEASE
+  );
+  validateNumber(value.gain, `${path}.gain`, 0, CHANNEL_VOCODER_MAX_GAIN);
+}
+
+function validateHarmony(value: unknown, path: string) {
+  if (!Array.isArray(value) || value.length > MAX_HARMONY_VOICES) {
+    throw new PresetError(
+      `${path} must be a list of up to ${MAX_HARMONY_VOICES} voices`
+    );
+  }
+  value.forEach((voice: unknown, i) => {
+    const voicePath = `${path}[${i}]`;
+    if (!isObject(voice)) {
+      throw new PresetError(`${voicePath} must be an object`);
+    }
+    validateNumber(
+      voice.interval,
+      `${voicePath}.interval`,
+      -MAX_HARMONY_INTERVAL,
+      MAX_HARMONY_INTERVAL
+    );
+    validateNumber(
+      voice.detune,
+      `${voicePath}.detune`,
+      -MAX_HARMONY_DETUNE,
+      MAX_HARMONY_DETUNE
+    );
+    validateNumber(voice.gain, `${voicePath}.gain`, 0, 2);
+    validateNumber(voice.pan, `${voicePath}.pan`, -1, 1);
+    validateNumber(voice.delay, `${voicePath}.delay`, 0, MAX_HARMONY_DELAY);
+  });
+}
+
+function validateConfig(value: unknown, path: string): PresetConfig {
+  if (!isObject(value)) throw new PresetError(`${path} must be an object`);
+  const { bypass, ...defaults } = defaultVocoderConfig;
+  // Missing settings fall back to their defaults, so files from before a
+  // setting was added still load.
+  const config: Record<string, unknown> = { ...defaults };
+  for (const [key, field] of Object.entries(value)) {
+    const schema = configSchema[key as keyof PresetConfig];
+    if (!schema) {
+      throw new PresetError(`${path}.${key} isn't a vocoder setting`);
+    }
+    if (schema.type === "boolean") {
+      if (typeof field !== "boolean") {
+        throw new PresetError(`${path}.${key} must be true or false`);
+      }
+    } else if (schema.type === "choice") {
+      if (typeof field !== "string" || !schema.values.includes(field)) {
+        throw new PresetError(
+          `${path}.${key} must be one of ${schema.values.join(", ")}`
+        );
+      }
+    } else if (schema.type === "eq") {
+      validateEq(field, `${path}.${key}`);
+    } else if (schema.type === "pitchCorrection") {
+      validatePitchCorrection(field, `${path}.${key}`);
+    } else if (schema.type === "channelVocoder") {
+      validateChannelVocoder(field, `${path}.${key}`);
+    } else if (schema.type === "harmony") {
+      validateHarmony(field, `${path}.${key}`);
+    } else {
+      validateNumber(field, `${path}.${key}`, schema.min, schema.max);
+    }
+    config[key] = field;
+  }
+  return config as PresetConfig;
+}
+
+/**
+ * Checks parsed JSON against the preset file format, throwing a PresetError
+ * that names the offending field if it doesn't match.
+ */
+export function validatePresetFile(data: unknown): VocoderPreset[] {
+  if (!isObject(data) || data.format !== PRESET_FORMAT) {
+    throw new PresetError("This isn't a vocoder preset file");
+  }
+  if (data.version !== PRESET_VERSION) {
+    throw new PresetError(
+      `Unsupported preset file version ${data.version}, expected ${PRESET_VERSION}`
+    );
+  }
+  if (!Array.isArray(data.presets)) {
+    throw new PresetError("presets must be a list");
+  }
+  return data.presets.map((item: unknown, i: number) => {
+    const path = `presets[${i}]`;
+    if (!isObject(item)) throw new PresetError(`${path} must be an object`);
+    if (typeof item.name !== "string" || !item.name.trim()) {
+      throw new PresetError(`${path}.name must be a non-empty string`);
+    }
+    return {
+      name: item.name.trim(),
+      config: validateConfig(item.config, `${path}.config`),
+    };
+  });
+}
+
+export function exportPresets(presets: VocoderPreset[]) {
+  return JSON.stringify(
+    { format: PRESET_FORMAT, version: PRESET_VERSION, presets },
+    null,
+    2
+  );
+}
+
+export function importPresets(json: string) {
+  let data: unknown;
+  try {
+    data = JSON.parse(json);
+  } catch (err) {
+    throw new PresetError("The preset file isn't valid JSON");
+  }
+  return validatePresetFile(data);
+}
+
+export function loadSavedPresets(): VocoderPreset[] {
+  const json = localStorage.getItem(STORAGE_KEY);
+  if (!json) return [];
+  try {
+    return importPresets(json);
+  } catch (err) {
+    console.error("Ignoring saved presets", err);
+    return [];
+  }
+}
+
+export function savePresets(presets: VocoderPreset[]) {
+  localStorage.setItem(STORAGE_KEY, exportPresets(presets));
+}
+
+export function presetFromConfig(
+  name: string,
+  config: VocoderConfig
+): VocoderPreset {
+  const { bypass, ...presetConfig } = config;
+  return { name, config: presetConfig };
+}
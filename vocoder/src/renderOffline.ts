@@ -0,0 +1,106 @@
+import {
+  createVocoderGraph,
+  loadFormantShifter,
+  VocoderConfig,
+} from "./vocoderGraph";
+import { loadImpulse } from "./impulses";
+import { loadPitchCorrector } from "./pitchCorrection";
+import { loadHarmonizer } from "./harmonizer";
+import { generateImpulse, SpaceOptions } from "./impulseGenerator";
+import { LoadedImpulse } from "./audioHooks/useImpulseLibrary";
+import { loadChannelVocoder } from "./channelVocoder";
+
+export interface OfflineRenderOptions {
+  // An impulse response that's already loaded, like the live reverb's, used
+  // instead of impulseUrl or space. It's rendered at its own sample rate
+  // unless sampleRate says otherwise.
+  impulse?: LoadedImpulse;
+  impulseUrl?: string;
+  // Generates the impulse response instead of fetching impulseUrl. Seeded,
+  // so the same options always render the same.
+  space?: SpaceOptions;
+  // The buffer a "file" carrier loops.
+  carrierBuffer?: AudioBuffer | null;
+  sampleRate?: number;
+  // Extra time rendered after the input ends, so the reverb can ring out.
+  tail?: number;
+}
+
+// A convolver only takes an impulse at its context's sample rate.
+function resample(buffer: AudioBuffer, sampleRate: number) {
+  if (buffer.sampleRate === sampleRate) return Promise.resolve(buffer);
+  const length = Math.ceil(buffer.duration * sampleRate);
+  const context = new OfflineAudioContext(
+    buffer.numberOfChannels,
+    length,
+    sampleRate
+  );
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(context.destination);
+  source.start(0);
+  return context.startRendering();
+}
+
+/**
+ * Renders a recorded voice through the same graph the live vocoder uses,
+ * with the given settings, on an OfflineAudioContext.
+ */
+export async function renderOffline(
+  file: Blob | ArrayBuffer,
+  config: VocoderConfig,
+  {
+    impulse: loadedImpulse,
+    impulseUrl = "irHall.ogg",
+    space,
+    carrierBuffer = null,
+    sampleRate = loadedImpulse ? loadedImpulse.buffer.sampleRate : 48000,
+    tail,
+  }: OfflineRenderOptions = {}
+) {
+  const data = file instanceof Blob ? await file.arrayBuffer() : file;
+  // decodeAudioData resamples to the context's rate, so decode with a
+  // throwaway context at the rate we're rendering at.
+  const input = await new OfflineAudioContext(1, 1, sampleRate).decodeAudioData(
+    data
+  );
+
+  const impulseContext = new OfflineAudioContext(1, 1, sampleRate);
+  const impulse = loadedImpulse
+    ? await resample(loadedImpulse.buffer, sampleRate)
+    : space
+    ? generateImpulse(impulseContext, space)
+    : await loadImpulse(impulseContext, impulseUrl);
+  const tailTime = tail ?? impulse.duration;
+
+  const context = new OfflineAudioContext(
+    2,
+    Math.ceil((input.duration + tailTime) * sampleRate),
+    sampleRate
+  );
+  const graph = createVocoderGraph(context);
+  graph.setImpulse(impulse, loadedImpulse ? loadedImpulse.normalize : true);
+  graph.setFormantShifter(await loadFormantShifter(context));
+  // Only needed when it's heard, since it tracks pitch the whole time.
+  if (config.pitchMode === "correct") {
+    graph.setPitchCorrector(await loadPitchCorrector(context));
+  }
+  if (config.pitchMode === "carrier") {
+    graph.setCarrierBuffer(carrierBuffer);
+    graph.setChannelVocoder(
+      await loadChannelVocoder(context, config.channelVocoder.bands)
+    );
+  }
+  if (config.harmony.some((voice) => voice.gain > 0)) {
+    graph.setHarmonizer(await loadHarmonizer(context));
+  }
+  graph.update(config);
+
+  const source = context.createBufferSource();
+  source.buffer = input;
+  source.connect(graph.input);
+  graph.output.connect(context.destination);
+  source.start(0);
+
+  return context.startRendering();
+}
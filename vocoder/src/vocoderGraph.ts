@@ -0,0 +1,419 @@
+import { Jungle } from "./jungle";
+import { setParam, SmoothingOptions } from "./audioParams";
+import { CrossfadeLaw, crossfadeGains } from "./crossfade";
+import { applyEqBand, defaultEqBands, EqBand } from "./equalizer";
+import { applyHarmony, HarmonyVoice } from "./harmonizer";
+import {
+  applyChannelVocoder,
+  ChannelVocoderConfig,
+  createCarrier,
+  defaultChannelVocoderConfig,
+} from "./channelVocoder";
+import {
+  applyPitchCorrection,
+  defaultPitchCorrection,
+  PitchCorrection,
+  PitchMode,
+} from "./pitchCorrection";
+
+export interface VocoderConfig {
+  bypass: boolean;
+  // Whether the pitch slider shifts the voice, or it's corrected onto notes.
+  pitchMode: PitchMode;
+  pitch: number;
+  pitchCorrection: PitchCorrection;
+  // The channel vocoder and its carrier, for the carrier pitch mode.
+  channelVocoder: ChannelVocoderConfig;
+  formant: number;
+  reverb: number;
+  effect: number;
+  volume: number;
+  robot: boolean;
+  // Pitch-shifted copies of the voice mixed in with it, before the reverb.
+  harmony: HarmonyVoice[];
+  // How the reverb and effect controls balance their wet and dry signals.
+  crossfade: CrossfadeLaw;
+  // The equaliser on the effected voice, a band per filter.
+  eq: EqBand[];
+}
+
+export const defaultVocoderConfig: VocoderConfig = {
+  bypass: false,
+  pitchMode: "shift",
+  pitch: 0,
+  pitchCorrection: defaultPitchCorrection,
+  channelVocoder: defaultChannelVocoderConfig,
+  formant: 1,
+  reverb: 0,
+  effect: 1,
+  volume: 1,
+  robot: false,
+  harmony: [],
+  crossfade: "equal-power",
+  eq: defaultEqBands,
+};
+
+export interface VocoderGraph {
+  input: GainNode;
+  output: GainNode;
+  setImpulse(buffer: AudioBuffer, normalize?: boolean): void;
+  setFormantShifter(node: AudioWorkletNode): void;
+  setPitchCorrector(node: AudioWorkletNode): void;
+  setChannelVocoder(node: AudioWorkletNode): void;
+  // The buffer a "file" carrier loops.
+  setCarrierBuffer(buffer: AudioBuffer | null): void;
+  setHarmonizer(node: AudioWorkletNode): void;
+  update(config: VocoderConfig): void;
+  disconnect(): void;
+}
+
+// Frequency of the square wave the robot voice is ring modulated against.
+const ROBOT_FREQUENCY = 50;
+// Time constant for fading the robot voice in and out, so toggling it doesn't click.
+const ROBOT_FADE_TIME = 0.02;
+// Time constant for crossfading between the pitch shifter, corrector and
+// channel vocoder.
+const PITCH_MODE_FADE_TIME = 0.02;
+// Time constant for crossfading the formant shifter in and out.
+const FORMANT_FADE_TIME = 0.02;
+// How long the linear crossfade to a new impulse response takes, in seconds.
+const IMPULSE_FADE_TIME = 0.1;
+
+/*
+input -> bypassGain -------------------------------------------------------------------------------------------------------------------------------------------------------------------------> masterMix -> output
+      -> effectGain -> dryMix --------------------------------------------------------------------------------------------------------------------------------------------------> eqFilters -> ^
+                    -> pitchShifter -> shiftGain -> formantDirect ------------------> formantOutput -> robotDry -----------> voiceMix -> harmonizer -> reverbCounterGain -> wetMix -^
+                    -> pitchCorrector -> correctGain -^                                             -> ringModulator -> robotWet -^                 -> reverbGain -> reverbNodes -^
+                    -> channelVocoder -> channelGain -^  -> formantShifter -> formantWet -^
+                       ^ carrier                                                                       ^ oscillator
+
+The pitch shifter, corrector and channel vocoder all run all the time, and
+pitchMode crossfades between them. The channel vocoder's second input is the
+carrier.
+
+The formant shifter is only heard away from a formant of 1. It's a frame
+behind, so leaving it in at 1 would comb filter against the dry mix.
+
+The harmonizer mixes its voices with the unshifted voice itself, and passes it
+straight through until it's loaded.
+
+There are two reverbNodes, each followed by a gain, so a new impulse response
+can be loaded into the idle one and crossfaded to. One that arrives during a
+crossfade waits for it to finish, rather than replacing the buffer of the
+convolver that's still fading out.
+*/
+export function createVocoderGraph(
+  context: BaseAudioContext,
+  smoothing: SmoothingOptions = {}
+): VocoderGraph {
+  const input = context.createGain();
+  const bypassGain = context.createGain();
+  const effectGain = context.createGain();
+
+  const pitchShifter = new Jungle(context);
+  pitchShifter.setPitchOffset(0);
+
+  // The pitch corrector is an AudioWorklet too, patched in like the formant
+  // shifter below.
+  const correctInput = context.createGain();
+  const correctGain = context.createGain();
+  const shiftGain = context.createGain();
+  let pitchCorrector: AudioWorkletNode | null = null;
+  let pitchCorrection = defaultPitchCorrection;
+
+  // And so is the channel vocoder, whose carrier only starts once it's in.
+  const channelInput = context.createGain();
+  const channelGain = context.createGain();
+  let channelVocoder: AudioWorkletNode | null = null;
+  let channelConfig = defaultChannelVocoderConfig;
+  let carrier: AudioScheduledSourceNode | null = null;
+  let carrierBuffer: AudioBuffer | null = null;
+
+  // The formant shifter is an AudioWorklet, so it's patched in between these
+  // once its module has loaded. Until then only formantDirect is heard.
+  const formantInput = context.createGain();
+  const formantDirect = context.createGain();
+  const formantWet = context.createGain();
+  const formantOutput = context.createGain();
+  let formantShifter: AudioWorkletNode | null = null;
+  let formant = defaultVocoderConfig.formant;
+
+  const robotDry = context.createGain();
+  const robotWet = context.createGain();
+  const ringModulator = context.createGain();
+  const voiceMix = context.createGain();
+  const oscillator = context.createOscillator();
+  oscillator.type = "square";
+  oscillator.frequency.value = ROBOT_FREQUENCY;
+
+  // The harmonizer is another AudioWorklet, patched in between these.
+  const harmonyInput = context.createGain();
+  const harmonyOutput = context.createGain();
+  let harmonizer: AudioWorkletNode | null = null;
+  let harmony = defaultVocoderConfig.harmony;
+
+  const reverbNodes = [context.createConvolver(), context.createConvolver()];
+  const reverbFades = [context.createGain(), context.createGain()];
+  let activeReverb = 0;
+  let hasImpulse = false;
+  let impulseFadeEnd = 0;
+  // The latest impulse waiting for a crossfade to finish, if any.
+  let pendingImpulse: { buffer: AudioBuffer; normalize: boolean } | null = null;
+  let impulseTimer: ReturnType<typeof setTimeout> | undefined;
+  const reverbGain = context.createGain();
+  const reverbCounterGain = context.createGain();
+
+  const wetMix = context.createGain();
+  const dryMix = context.createGain();
+  // One filter per band, in series.
+  const eqFilters = defaultEqBands.map(() => context.createBiquadFilter());
+  const masterMix = context.createGain();
+
+  input.connect(bypassGain);
+  input.connect(effectGain);
+
+  effectGain.connect(pitchShifter.input);
+  effectGain.connect(correctInput);
+  effectGain.connect(channelInput);
+  effectGain.connect(dryMix);
+
+  pitchShifter.output.connect(shiftGain);
+  correctInput.connect(correctGain);
+  channelInput.connect(channelGain);
+  shiftGain.connect(formantInput);
+  correctGain.connect(formantInput);
+  channelGain.connect(formantInput);
+  formantInput.connect(formantDirect);
+  formantDirect.connect(formantOutput);
+  formantWet.connect(formantOutput);
+
+  formantOutput.connect(robotDry);
+  formantOutput.connect(ringModulator);
+  // The oscillator drives the gain directly, flipping the voice's polarity.
+  oscillator.connect(ringModulator.gain);
+  ringModulator.connect(robotWet);
+
+  robotDry.connect(voiceMix);
+  robotWet.connect(voiceMix);
+
+  voiceMix.connect(harmonyInput);
+  harmonyInput.connect(harmonyOutput);
+
+  harmonyOutput.connect(reverbCounterGain);
+  harmonyOutput.connect(reverbGain);
+
+  reverbCounterGain.connect(wetMix);
+  reverbNodes.forEach((reverbNode, i) => {
+    reverbGain.connect(reverbNode);
+    reverbNode.connect(reverbFades[i]);
+    reverbFades[i].connect(wetMix);
+  });
+
+  wetMix.connect(eqFilters[0]);
+  dryMix.connect(eqFilters[0]);
+  eqFilters.forEach((filter, i) =>
+    filter.connect(eqFilters[i + 1] || masterMix)
+  );
+  bypassGain.connect(masterMix);
+
+  bypassGain.gain.value = 0;
+  shiftGain.gain.value = 1;
+  correctGain.gain.value = 0;
+  channelGain.gain.value = 0;
+  formantDirect.gain.value = 1;
+  formantWet.gain.value = 0;
+  ringModulator.gain.value = 0;
+  robotDry.gain.value = 1;
+  robotWet.gain.value = 0;
+  reverbGain.gain.value = 0;
+  reverbCounterGain.gain.value = 1;
+  reverbFades[0].gain.value = 1;
+  reverbFades[1].gain.value = 0;
+  wetMix.gain.value = 1;
+  dryMix.gain.value = 0;
+  masterMix.gain.value = 1;
+  defaultEqBands.forEach((band, i) =>
+    applyEqBand(eqFilters[i], band, (param, value) => (param.value = value))
+  );
+
+  oscillator.start();
+
+  // Crossfades to the formant shifter when it's loaded and shifting.
+  function setFormantMix() {
+    const shifting = formantShifter !== null && formant !== 1;
+    const fade = { ...smoothing, time: FORMANT_FADE_TIME };
+    setParam(context, formantDirect.gain, shifting ? 0 : 1, fade);
+    setParam(context, formantWet.gain, shifting ? 1 : 0, fade);
+  }
+
+  // Replaces the carrier with a new one made from the current settings.
+  function startCarrier() {
+    if (!channelVocoder) return;
+    if (carrier) {
+      carrier.stop();
+      carrier.disconnect();
+    }
+    const { carrier: type, waveform, frequency } = channelConfig;
+    carrier = createCarrier(context, {
+      type,
+      waveform,
+      frequency,
+      buffer: carrierBuffer,
+    });
+    carrier.connect(channelVocoder, 0, 1);
+    carrier.start();
+  }
+
+  function swapPendingImpulse() {
+    const wait = impulseFadeEnd - context.currentTime;
+    if (wait > 0) {
+      impulseTimer = setTimeout(() => {
+        impulseTimer = undefined;
+        swapPendingImpulse();
+      }, wait * 1000);
+      return;
+    }
+    if (!pendingImpulse) return;
+    const { buffer, normalize } = pendingImpulse;
+    pendingImpulse = null;
+    // The first impulse goes straight in, there's nothing to fade from.
+    const next = hasImpulse ? 1 - activeReverb : activeReverb;
+    // Only takes effect when the buffer is set.
+    reverbNodes[next].normalize = normalize;
+    reverbNodes[next].buffer = buffer;
+    if (next !== activeReverb) {
+      // A linear ramp, so it's known to have finished by impulseFadeEnd.
+      const fade = { ramp: "linear" as const, time: IMPULSE_FADE_TIME };
+      setParam(context, reverbFades[activeReverb].gain, 0, fade);
+      setParam(context, reverbFades[next].gain, 1, fade);
+      activeReverb = next;
+      impulseFadeEnd = context.currentTime + IMPULSE_FADE_TIME;
+    }
+    hasImpulse = true;
+  }
+
+  return {
+    input,
+    output: masterMix,
+    setImpulse(buffer, normalize = true) {
+      pendingImpulse = { buffer, normalize };
+      if (!impulseTimer) swapPendingImpulse();
+    },
+    setFormantShifter(node) {
+      if (formantShifter) {
+        formantInput.disconnect(formantShifter);
+        formantShifter.disconnect();
+      }
+      formantInput.connect(node);
+      node.connect(formantWet);
+      const formantParam = node.parameters.get("formant");
+      if (formantParam) setParam(context, formantParam, formant, smoothing);
+      formantShifter = node;
+      setFormantMix();
+    },
+    setPitchCorrector(node) {
+      correctInput.disconnect();
+      pitchCorrector?.disconnect();
+      correctInput.connect(node);
+      node.connect(correctGain);
+      applyPitchCorrection(node, pitchCorrection, (param, value) => {
+        param.value = value;
+      });
+      pitchCorrector = node;
+    },
+    setChannelVocoder(node) {
+      channelInput.disconnect();
+      channelVocoder?.disconnect();
+      channelInput.connect(node, 0, 0);
+      node.connect(channelGain);
+      applyChannelVocoder(node, channelConfig, (param, value) =>
+        setParam(context, param, value, smoothing)
+      );
+      channelVocoder = node;
+      startCarrier();
+    },
+    setCarrierBuffer(buffer) {
+      carrierBuffer = buffer;
+      if (channelConfig.carrier === "file") startCarrier();
+    },
+    setHarmonizer(node) {
+      harmonyInput.disconnect();
+      harmonizer?.disconnect();
+      harmonyInput.connect(node);
+      node.connect(harmonyOutput);
+      applyHarmony(node, harmony, (param, value) => {
+        param.value = value;
+      });
+      harmonizer = node;
+    },
+    update(config) {
+      const set = (param: AudioParam, value: number) =>
+        setParam(context, param, value, smoothing);
+
+      pitchShifter.setPitchOffset(config.pitch);
+      const modeFade = { ...smoothing, time: PITCH_MODE_FADE_TIME };
+      const mode = config.pitchMode;
+      setParam(context, shiftGain.gain, mode === "shift" ? 1 : 0, modeFade);
+      setParam(context, correctGain.gain, mode === "correct" ? 1 : 0, modeFade);
+      setParam(context, channelGain.gain, mode === "carrier" ? 1 : 0, modeFade);
+      if (config.pitchCorrection !== pitchCorrection) {
+        pitchCorrection = config.pitchCorrection;
+        if (pitchCorrector) {
+          applyPitchCorrection(pitchCorrector, pitchCorrection, set);
+        }
+      }
+      if (config.channelVocoder !== channelConfig) {
+        const previous = channelConfig;
+        channelConfig = config.channelVocoder;
+        if (channelVocoder) {
+          applyChannelVocoder(channelVocoder, channelConfig, set);
+          if (
+            channelConfig.carrier !== previous.carrier ||
+            channelConfig.waveform !== previous.waveform
+          ) {
+            startCarrier();
+          } else if (carrier instanceof OscillatorNode) {
+            set(carrier.frequency, channelConfig.frequency);
+          }
+        }
+      }
+      if (config.harmony !== harmony) {
+        harmony = config.harmony;
+        if (harmonizer) applyHarmony(harmonizer, harmony, set);
+      }
+      formant = config.formant;
+      const formantParam = formantShifter?.parameters.get("formant");
+      if (formantParam) set(formantParam, formant);
+      setFormantMix();
+      const reverb = crossfadeGains(config.reverb, config.crossfade);
+      set(reverbGain.gain, reverb.wet);
+      set(reverbCounterGain.gain, reverb.dry);
+      const effect = crossfadeGains(config.effect, config.crossfade);
+      set(wetMix.gain, effect.wet);
+      set(dryMix.gain, effect.dry);
+      set(masterMix.gain, config.volume);
+      set(bypassGain.gain, config.bypass ? 1 : 0);
+      set(effectGain.gain, config.bypass ? 0 : 1);
+      config.eq.forEach((band, i) => {
+        if (eqFilters[i]) applyEqBand(eqFilters[i], band, set);
+      });
+
+      const robotFade = { ...smoothing, time: ROBOT_FADE_TIME };
+      setParam(context, robotDry.gain, config.robot ? 0 : 1, robotFade);
+      setParam(context, robotWet.gain, config.robot ? 1 : 0, robotFade);
+    },
+    disconnect() {
+      clearTimeout(impulseTimer);
+      oscillator.stop();
+      carrier?.stop();
+      input.disconnect();
+      masterMix.disconnect();
+    },
+  };
+}
+
+export function loadFormantShifter(context: BaseAudioContext) {
+  return context.audioWorklet
+    .addModule("formant-shifter.js")
+    .then(() => new AudioWorkletNode(context, "formant-shifter"));
+}
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAudioWorkletGlobalScope } from "../harness/audioWorkletGlobalScope.mjs";
+import { sine } from "./signals.mjs";
+
+const sampleRate = 48000;
+const scope = createAudioWorkletGlobalScope({ sampleRate });
+await scope.addModule(new URL("../public/bitcrusher.js", import.meta.url));
+
+const signal = sine(440, 0.1, sampleRate, 0.9);
+
+function crush(parameters) {
+  const node = scope.createNode("bit-crusher-processor");
+  const [[output]] = node.render([[signal]], { parameters });
+  return output;
+}
+
+test("quantises to the bit depth's steps", () => {
+  const step = Math.pow(0.5, 4);
+  const output = crush({ bitDepth: 4, frequencyReduction: 1 });
+  signal.forEach((value, i) => {
+    assert.equal(output[i], step * Math.floor(value / step + 0.5));
+  });
+});
+
+test("holds each sample for 1 / frequencyReduction samples", () => {
+  const output = crush({ bitDepth: 16, frequencyReduction: 0.25 });
+  // The phase first reaches 1 on the fourth sample.
+  for (let i = 3; i < signal.length - 3; i += 4) {
+    assert.equal(output[i + 1], output[i]);
+    assert.equal(output[i + 2], output[i]);
+    assert.equal(output[i + 3], output[i]);
+  }
+  assert.notEqual(output[7], output[3]);
+});
+
+test("follows automated parameters", () => {
+  const bitDepth = Float32Array.from(signal, (_, i) => (i < 2048 ? 2 : 8));
+  const output = crush({ bitDepth, frequencyReduction: 1 });
+  assert.equal(output[1000] % 0.25, 0);
+  assert.ok(new Set(output.subarray(2048)).size > 5);
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAudioWorkletGlobalScope } from "../harness/audioWorkletGlobalScope.mjs";
+import { rms, sine } from "./signals.mjs";
+
+const sampleRate = 48000;
+const scope = createAudioWorkletGlobalScope({ sampleRate });
+await scope.addModule(new URL("../public/channel-vocoder.js", import.meta.url));
+
+const BANDS = 8;
+const MIN_FREQUENCY = 100;
+const MAX_FREQUENCY = 8000;
+// Each band's centre, the same way the processor spaces them.
+const ratio = Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, 1 / BANDS);
+const centres = Array.from(
+  { length: BANDS },
+  (_, i) => MIN_FREQUENCY * Math.pow(ratio, i + 0.5)
+);
+
+// A carrier with a tone at the centre of every band.
+const carrier = new Float32Array(sampleRate / 2);
+for (const centre of centres) {
+  sine(centre, 0.5, sampleRate, 0.1).forEach((value, i) => {
+    carrier[i] += value;
+  });
+}
+
+// The amplitude of `frequency` in `signal` over its second half.
+function amplitudeAt(signal, frequency) {
+  const start = signal.length / 2;
+  let re = 0;
+  let im = 0;
+  for (let i = start; i < signal.length; i++) {
+    const phase = (2 * Math.PI * frequency * i) / sampleRate;
+    re += signal[i] * Math.cos(phase);
+    im += signal[i] * Math.sin(phase);
+  }
+  return (2 * Math.hypot(re, im)) / (signal.length - start);
+}
+
+function vocode(modulator) {
+  const node = scope.createNode("channel-vocoder", {
+    numberOfInputs: 2,
+    processorOptions: { bands: BANDS },
+  });
+  const [[output]] = node.render([[modulator], [carrier]], {
+    parameters: {
+      minFrequency: MIN_FREQUENCY,
+      maxFrequency: MAX_FREQUENCY,
+    },
+  });
+  return output;
+}
+
+for (const band of [1, 4, 6]) {
+  test(`a modulator in band ${band} opens only that carrier band`, () => {
+    const output = vocode(sine(centres[band], 0.5, sampleRate));
+    const levels = centres.map((centre) => amplitudeAt(output, centre));
+    const open = levels[band];
+    assert.ok(open > 0.01, `band ${band} is at ${open}`);
+    levels.forEach((level, i) => {
+      if (i === band) return;
+      // The filters' skirts let a little through next door.
+      const distance = Math.abs(i - band);
+      const limit = distance === 1 ? 0.3 : distance === 2 ? 0.1 : 0.03;
+      assert.ok(
+        level < limit * open,
+        `band ${i} is at ${level}, against ${open} in band ${band}`
+      );
+    });
+  });
+}
+
+test("is silent without a modulator", () => {
+  const output = vocode(new Float32Array(sampleRate / 2));
+  assert.equal(rms(output), 0);
+});
+
+test("changes its band count from a message", () => {
+  const node = scope.createNode("channel-vocoder", {
+    numberOfInputs: 2,
+    processorOptions: { bands: BANDS },
+  });
+  node.port.postMessage({ type: "bands", bands: 4 });
+  const modulator = sine(centres[4], 0.5, sampleRate);
+  const [[output]] = node.render([[modulator], [carrier]]);
+  assert.ok(rms(output, sampleRate / 4) > 0);
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { crossfadeGains, crossfadeLaws } from "../src/crossfade.ts";
+import { rms } from "./signals.mjs";
+
+// The other apps keep their own copies, which have to stay the same law.
+const copies = {
+  "thorium-vox": await import("../../thorium-vox/src/crossfade.ts"),
+  "react-web-audio": await import("../../react-web-audio/src/crossfade.js"),
+};
+
+const steps = Array.from({ length: 21 }, (_, i) => i / 20);
+
+// Unrelated, equally loud dry and wet signals, from a seeded generator.
+function noise(seed, length) {
+  let state = seed;
+  return Float32Array.from({ length }, () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 31 - 1;
+  });
+}
+const dry = noise(1, 48000);
+const wet = noise(2, 48000);
+
+function mixedLevel(mix, law) {
+  const gains = crossfadeGains(mix, law);
+  const mixed = dry.map((value, i) => gains.dry * value + gains.wet * wet[i]);
+  return 20 * Math.log10(rms(mixed) / rms(dry));
+}
+
+test("equal-power keeps the output RMS flat across the sweep", () => {
+  steps.forEach((mix) => {
+    const level = mixedLevel(mix, "equal-power");
+    assert.ok(Math.abs(level) < 0.1, `${level.toFixed(2)}dB at ${mix}`);
+  });
+});
+
+test("decibel fades each side evenly in dB", () => {
+  steps.slice(1, -1).forEach((mix) => {
+    const { dry, wet } = crossfadeGains(mix, "decibel");
+    assert.ok(
+      Math.abs(20 * Math.log10(dry) + 60 * mix) < 1e-9,
+      `dry at ${mix}`
+    );
+    assert.ok(
+      Math.abs(20 * Math.log10(wet) + 60 * (1 - mix)) < 1e-9,
+      `wet at ${mix}`
+    );
+  });
+  assert.ok(Math.abs(mixedLevel(0.5, "decibel") + 27) < 0.1);
+});
+
+test("linear dips by 3dB in the middle", () => {
+  assert.ok(Math.abs(mixedLevel(0, "linear")) < 0.1);
+  assert.ok(Math.abs(mixedLevel(0.5, "linear") + 3) < 0.1);
+  assert.ok(Math.abs(mixedLevel(1, "linear")) < 0.1);
+});
+
+test("every law goes from all dry to all wet", () => {
+  crossfadeLaws.forEach((law) => {
+    assert.deepEqual(crossfadeGains(0, law), { dry: 1, wet: 0 }, law);
+    const end = crossfadeGains(1, law);
+    assert.ok(Math.abs(end.dry) < 1e-9 && end.wet === 1, law);
+  });
+});
+
+test("an unknown law is equal-power", () => {
+  steps.forEach((mix) =>
+    assert.deepEqual(
+      crossfadeGains(mix, "exponential"),
+      crossfadeGains(mix, "equal-power")
+    )
+  );
+});
+
+test("clamps the mix to 0 to 1", () => {
+  assert.deepEqual(crossfadeGains(-1), crossfadeGains(0));
+  assert.deepEqual(crossfadeGains(2), crossfadeGains(1));
+});
+
+for (const [app, copy] of Object.entries(copies)) {
+  test(`${app}'s copy matches`, () => {
+    assert.deepEqual(copy.crossfadeLaws, crossfadeLaws);
+    crossfadeLaws.forEach((law) =>
+      steps.forEach((mix) =>
+        assert.deepEqual(
+          copy.crossfadeGains(mix, law),
+          crossfadeGains(mix, law),
+          `${law} at ${mix}`
+        )
+      )
+    );
+    assert.deepEqual(
+      copy.crossfadeGains(0.3, "exponential"),
+      crossfadeGains(0.3, "exponential")
+    );
+  });
+}
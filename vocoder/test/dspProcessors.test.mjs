@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAudioWorkletGlobalScope } from "../harness/audioWorkletGlobalScope.mjs";
+import { rms, sine } from "./signals.mjs";
+
+const sampleRate = 48000;
+const scope = createAudioWorkletGlobalScope({ sampleRate });
+await scope.addModule(new URL("../public/dsp-processors.js", import.meta.url));
+
+function impulse(length) {
+  const signal = new Float32Array(length);
+  signal[0] = 1;
+  return signal;
+}
+
+function closeTo(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual}`);
+}
+
+test("single-delay plays the input back once, delayed", () => {
+  const node = scope.createNode("single-delay");
+  const [[output]] = node.render([[impulse(1024)]], {
+    parameters: { delayInSamples: 300, delayVolume: 0.5 },
+  });
+  output.forEach((value, i) => closeTo(value, i === 300 ? 0.5 : 0, `at ${i}`));
+});
+
+test("multi-delay feeds its echoes back", () => {
+  const node = scope.createNode("multi-delay");
+  const [[output]] = node.render([[impulse(1024)]], {
+    parameters: { delayInSamples: 300, masterVolume: 0.8, delayVolume: 0.5 },
+  });
+  const echoes = { 0: 0.8, 300: 0.4, 600: 0.2, 900: 0.1 };
+  output.forEach((value, i) => closeTo(value, echoes[i] || 0, `at ${i}`));
+});
+
+test("iir-filter passes the lows and cuts the highs", () => {
+  const gain = (frequency) => {
+    const node = scope.createNode("iir-filter");
+    const input = sine(frequency, 0.2, sampleRate);
+    const [[output]] = node.render([[input]], {
+      parameters: { cutoff: 1000, resonance: 1 },
+    });
+    const settled = sampleRate / 10;
+    return 20 * Math.log10(rms(output, settled) / rms(input, settled));
+  };
+  assert.ok(Math.abs(gain(100)) < 0.5, `${gain(100).toFixed(1)}dB at 100Hz`);
+  // Close to 12dB an octave, three octaves above the cutoff.
+  assert.ok(gain(8000) < -24, `${gain(8000).toFixed(1)}dB at 8kHz`);
+});
+
+test("iir-filter keeps each channel to itself", () => {
+  const node = scope.createNode("iir-filter");
+  const [[left, right]] = node.render(
+    [[sine(100, 0.1, sampleRate), new Float32Array(4800)]],
+    { parameters: { cutoff: 1000, resonance: 1 } }
+  );
+  assert.ok(rms(left) > 0.1);
+  assert.equal(rms(right), 0);
+});
+
+test("dsp-reverb adds a decaying tail on both sides", () => {
+  const node = scope.createNode("dsp-reverb", { outputChannelCount: [2] });
+  const [[left, right]] = node.render([[impulse(sampleRate)]], {
+    parameters: { delayInSamples: 882, mixVolume: 0.5, delayVolume: 0.5 },
+  });
+  const tenth = sampleRate / 10;
+  [left, right].forEach((channel, side) => {
+    const early = rms(channel, 1, tenth);
+    const late = rms(channel, tenth, 2 * tenth);
+    assert.ok(early > 1e-4, `${early} early on side ${side}`);
+    assert.ok(late < early / 10, `${late} late on side ${side}`);
+  });
+});
+
+test("dsp-reverb at no mix is just the input", () => {
+  const node = scope.createNode("dsp-reverb", { outputChannelCount: [2] });
+  const input = sine(440, 0.1, sampleRate);
+  const [[left, right]] = node.render([[input]], {
+    parameters: { mixVolume: 0, masterVolume: 0.5 },
+  });
+  input.forEach((value, i) => {
+    closeTo(left[i], value * 0.5, `left at ${i}`);
+    closeTo(right[i], value * 0.5, `right at ${i}`);
+  });
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAudioWorkletGlobalScope } from "../harness/audioWorkletGlobalScope.mjs";
+import { rms } from "./signals.mjs";
+
+const sampleRate = 48000;
+const scope = createAudioWorkletGlobalScope({ sampleRate });
+await scope.addModule(new URL("../public/formant-shifter.js", import.meta.url));
+
+const FFT_SIZE = 1024;
+const FUNDAMENTAL = 150;
+const FORMANT = 1200;
+
+// A vowel-like tone: harmonics of FUNDAMENTAL shaped by a single broad
+// formant peak at FORMANT.
+function vowel(seconds) {
+  const signal = new Float32Array(Math.round(seconds * sampleRate));
+  for (let k = 1; k * FUNDAMENTAL < 6000; k++) {
+    const frequency = k * FUNDAMENTAL;
+    const amplitude =
+      0.1 * Math.exp(-(((frequency - FORMANT) / 500) ** 2)) + 0.002;
+    for (let i = 0; i < signal.length; i++) {
+      signal[i] +=
+        amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+    }
+  }
+  return signal;
+}
+
+// The amplitude of `frequency` in `signal` from `start`, over whole periods
+// of the fundamental.
+function amplitudeAt(signal, frequency, start) {
+  const length = Math.round((sampleRate / FUNDAMENTAL) * 40);
+  let re = 0;
+  let im = 0;
+  for (let i = start; i < start + length; i++) {
+    const phase = (2 * Math.PI * frequency * i) / sampleRate;
+    re += signal[i] * Math.cos(phase);
+    im += signal[i] * Math.sin(phase);
+  }
+  return (2 * Math.hypot(re, im)) / length;
+}
+
+// The harmonic with the most energy, in Hz.
+function loudestHarmonic(signal, start) {
+  let loudest = 0;
+  let loudestAmplitude = 0;
+  for (let k = 1; k * FUNDAMENTAL < 6000; k++) {
+    const amplitude = amplitudeAt(signal, k * FUNDAMENTAL, start);
+    if (amplitude > loudestAmplitude) {
+      loudest = k * FUNDAMENTAL;
+      loudestAmplitude = amplitude;
+    }
+  }
+  return loudest;
+}
+
+function shift(signal, formant, overlap) {
+  const node = scope.createNode("formant-shifter", {
+    parameterData: { formant },
+    processorOptions: { overlap },
+  });
+  return node.render([[signal]])[0][0];
+}
+
+for (const overlap of [2, 4, 8]) {
+  test(`passes audio through a frame late at a formant of 1, overlapping ${overlap} times`, () => {
+    const input = vowel(0.5);
+    const output = shift(input, 1, overlap);
+    let error = 0;
+    for (let i = 2 * FFT_SIZE; i < input.length; i++) {
+      error = Math.max(error, Math.abs(output[i] - input[i - FFT_SIZE]));
+    }
+    assert.ok(error < 1e-4, `differs by up to ${error}`);
+  });
+}
+
+for (const formant of [0.7, 1.5]) {
+  test(`moves the formant by ${formant}`, () => {
+    const input = vowel(0.5);
+    const output = shift(input, formant);
+    const start = 2 * FFT_SIZE;
+    assert.equal(loudestHarmonic(input, start), FORMANT);
+    const moved = loudestHarmonic(output, start);
+    const expected = FORMANT * formant;
+    assert.ok(
+      Math.abs(moved - expected) <= 2 * FUNDAMENTAL,
+      `the formant is at ${moved}Hz, not ${expected}Hz`
+    );
+    // The harmonics stay where they were, so the pitch doesn't change.
+    assert.ok(
+      amplitudeAt(output, FUNDAMENTAL * 1.5, start) <
+        0.1 * amplitudeAt(output, moved, start)
+    );
+    assert.ok(rms(output, start) > 0.1 * rms(input, start));
+  });
+}
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAudioWorkletGlobalScope } from "../harness/audioWorkletGlobalScope.mjs";
+import { Yin } from "../public/yin.js";
+import { rms, sine } from "./signals.mjs";
+
+const sampleRate = 48000;
+const scope = createAudioWorkletGlobalScope({ sampleRate });
+await scope.addModule(new URL("../public/harmonizer.js", import.meta.url));
+
+const yin = new Yin(sampleRate, { minFrequency: 40 });
+const input = sine(220, 0.5, sampleRate);
+// Past the first grains, once the period's been found.
+const settled = sampleRate / 4;
+
+// The left and right outputs for `input` with just the voices in
+// `parameters`, without the dry voice.
+function harmonize(parameters) {
+  const node = scope.createNode("harmonizer", { outputChannelCount: [2] });
+  const [[left, right]] = node.render([[input]], {
+    parameters: { dry: 0, ...parameters },
+  });
+  return { left, right };
+}
+
+// How far above the input `output`'s pitch is over its last frame, in cents.
+function interval(output) {
+  const { frequency, confidence } = yin.detect(
+    output.subarray(output.length - yin.size)
+  );
+  assert.ok(confidence > 0.9, `confidence ${confidence}`);
+  return 1200 * Math.log2(frequency / 220);
+}
+
+for (const semitones of [-12, -5, 4, 7, 12, 19]) {
+  test(`shifts a voice ${semitones} semitones`, () => {
+    const { left } = harmonize({ gain0: 1, interval0: semitones });
+    const cents = interval(left) - 100 * semitones;
+    assert.ok(Math.abs(cents) < 5, `${cents.toFixed(1)} cents out`);
+  });
+}
+
+test("adds the detune to the interval", () => {
+  const { left } = harmonize({ gain0: 1, interval0: 3, detune0: 40 });
+  const cents = interval(left) - 340;
+  assert.ok(Math.abs(cents) < 5, `${cents.toFixed(1)} cents out`);
+});
+
+test("pans a voice with equal power", () => {
+  const centre = harmonize({ gain0: 1, pan0: 0 });
+  const level = rms(centre.left, settled);
+  assert.ok(Math.abs(level - rms(input) * Math.SQRT1_2) < 0.01, `${level}`);
+  assert.ok(Math.abs(rms(centre.right, settled) - level) < 1e-6);
+
+  const left = harmonize({ gain0: 1, pan0: -1 });
+  assert.ok(Math.abs(rms(left.left, settled) - rms(input)) < 0.01);
+  assert.ok(rms(left.right, settled) < 1e-6);
+});
+
+test("scales a voice by its gain", () => {
+  const full = rms(harmonize({ gain0: 1, pan0: 1 }).right, settled);
+  const half = rms(harmonize({ gain0: 0.5, pan0: 1 }).right, settled);
+  assert.ok(Math.abs(half / full - 0.5) < 1e-6, `${half / full}`);
+});
+
+test("keeps voices panned apart on their own sides", () => {
+  const { left, right } = harmonize({
+    gain0: 1,
+    interval0: -12,
+    pan0: -1,
+    gain1: 1,
+    interval1: 7,
+    pan1: 1,
+  });
+  assert.ok(Math.abs(interval(left) + 1200) < 5);
+  assert.ok(Math.abs(interval(right) - 700) < 5);
+});
+
+test("is silent with no voices and no dry", () => {
+  const { left, right } = harmonize({});
+  assert.equal(rms(left), 0);
+  assert.equal(rms(right), 0);
+});
+
+test("passes the dry voice through as it is", () => {
+  const { left, right } = harmonize({ dry: 1 });
+  input.forEach((value, i) => {
+    assert.equal(left[i], value);
+    assert.equal(right[i], value);
+  });
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateImpulse, randomReflections } from "../src/impulseGenerator.ts";
+import { rms } from "./signals.mjs";
+
+// Just enough of a BaseAudioContext to make buffers.
+const context = {
+  sampleRate: 48000,
+  createBuffer(numberOfChannels, length, sampleRate) {
+    const channels = Array.from(
+      { length: numberOfChannels },
+      () => new Float32Array(length)
+    );
+    return {
+      numberOfChannels,
+      length,
+      sampleRate,
+      duration: length / sampleRate,
+      getChannelData: (channel) => channels[channel],
+    };
+  },
+};
+
+const space = { rt60: 0.5, preDelay: 0.01 };
+
+function channels(impulse) {
+  return [impulse.getChannelData(0), impulse.getChannelData(1)];
+}
+
+test("the same seed gives identical buffers", () => {
+  const a = generateImpulse(context, { ...space, seed: 7 });
+  const b = generateImpulse(context, { ...space, seed: 7 });
+  assert.equal(a.length, b.length);
+  assert.deepEqual(channels(a), channels(b));
+});
+
+test("different seeds give different buffers", () => {
+  const a = generateImpulse(context, { ...space, seed: 7 });
+  const b = generateImpulse(context, { ...space, seed: 8 });
+  assert.equal(a.length, b.length);
+  assert.notDeepEqual(channels(a)[0], channels(b)[0]);
+  assert.notDeepEqual(channels(a)[1], channels(b)[1]);
+});
+
+test("the same seed gives the same reflections", () => {
+  assert.deepEqual(randomReflections(0.5, 3), randomReflections(0.5, 3));
+  assert.notDeepEqual(randomReflections(0.5, 3), randomReflections(0.5, 4));
+});
+
+test("is silent before the pre-delay and decays by rt60", () => {
+  const [left] = channels(generateImpulse(context, space));
+  const offset = 0.01 * context.sampleRate;
+  assert.ok(left.subarray(0, offset).every((value) => value === 0));
+  // Windows rt60 apart, after the tail's onset and before it's cut off: 60dB
+  // down, give or take the noise.
+  const window = 0.02 * context.sampleRate;
+  const start = offset + 0.03 * context.sampleRate;
+  const end = offset + 0.53 * context.sampleRate;
+  const drop =
+    20 *
+    Math.log10(rms(left, start, start + window) / rms(left, end, end + window));
+  assert.ok(drop > 50 && drop < 75, `dropped ${drop.toFixed(1)}dB`);
+});
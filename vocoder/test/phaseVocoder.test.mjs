@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAudioWorkletGlobalScope } from "../harness/audioWorkletGlobalScope.mjs";
+import { rms, sine, zeroCrossingFrequency } from "./signals.mjs";
+
+const sampleRate = 48000;
+const scope = createAudioWorkletGlobalScope({ sampleRate });
+await scope.addModule(new URL("../public/phase-vocoder.js", import.meta.url));
+
+// Shifts a sine and measures it after the latency and the first frames.
+function shift(frequency, pitch) {
+  const node = scope.createNode("phase-vocoder", {
+    parameterData: { pitch },
+  });
+  const [[output]] = node.render([[sine(frequency, 1, sampleRate)]]);
+  return zeroCrossingFrequency(output, sampleRate, sampleRate / 4, sampleRate);
+}
+
+test("posts its latency", () => {
+  const node = scope.createNode("phase-vocoder", {
+    processorOptions: { fftSize: 1024 },
+  });
+  assert.deepEqual(node.port.messages, [
+    { type: "latency", samples: 1024, seconds: 1024 / sampleRate },
+  ]);
+});
+
+for (const [frequency, pitch] of [
+  [440, 1],
+  [440, 1.5],
+  [440, 0.75],
+  [220, 2],
+  [330, Math.pow(2, 7 / 12)],
+]) {
+  test(`shifts ${frequency}Hz by ${pitch.toFixed(3)}`, () => {
+    const measured = shift(frequency, pitch);
+    const cents = 1200 * Math.log2(measured / (frequency * pitch));
+    assert.ok(
+      Math.abs(cents) < 5,
+      `${measured.toFixed(2)}Hz is ${cents} cents out`
+    );
+  });
+}
+
+// Past 0.5 the hop is held at half a frame.
+for (const hopRatio of [0.125, 0.25, 0.3, 0.5, 0.75]) {
+  test(`has unity gain at pitch 1 with a hopRatio of ${hopRatio}`, () => {
+    const fftSize = 1024;
+    const node = scope.createNode("phase-vocoder", {
+      parameterData: { pitch: 1 },
+      processorOptions: { fftSize, hopRatio },
+    });
+    const input = sine(440, 0.5, sampleRate);
+    const [[output]] = node.render([[input]]);
+    const start = 2 * fftSize;
+    let error = 0;
+    for (let i = start; i < input.length; i++) {
+      error = Math.max(error, Math.abs(output[i] - input[i - fftSize]));
+    }
+    assert.ok(error < 1e-4, `differs by up to ${error}`);
+    const gain = rms(output, start, input.length) / rms(input, start);
+    assert.ok(Math.abs(20 * Math.log10(gain)) < 0.01, `gain is ${gain}`);
+  });
+}
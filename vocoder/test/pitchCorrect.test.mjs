@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAudioWorkletGlobalScope } from "../harness/audioWorkletGlobalScope.mjs";
+import { frequencyToMidi, midiToFrequency, Yin } from "../public/yin.js";
+import { sine } from "./signals.mjs";
+
+const sampleRate = 48000;
+const scope = createAudioWorkletGlobalScope({ sampleRate });
+await scope.addModule(new URL("../public/pitch-correct.js", import.meta.url));
+
+const yin = new Yin(sampleRate, { minFrequency: 40 });
+
+// The output's pitch over the last frame of a second of a `frequency` sine,
+// in MIDI notes, once the correction has settled.
+function correct(frequency, scale, parameters = {}) {
+  const node = scope.createNode("pitch-correct");
+  node.port.postMessage({ type: "scale", ...scale });
+  const [[output]] = node.render([[sine(frequency, 1, sampleRate)]], {
+    parameters: { retuneSpeed: 0, ...parameters },
+  });
+  const { frequency: measured, confidence } = yin.detect(
+    output.subarray(output.length - yin.size)
+  );
+  assert.ok(confidence > 0.9, `confidence ${confidence}`);
+  return frequencyToMidi(measured);
+}
+
+function assertNote(actual, expected) {
+  const cents = 100 * (actual - expected);
+  assert.ok(Math.abs(cents) < 5, `${cents.toFixed(1)} cents off ${expected}`);
+}
+
+test("pulls a sharp A4 down onto it", () => {
+  assertNote(correct(midiToFrequency(69.4), { scale: "chromatic" }), 69);
+});
+
+test("pulls a flat note up onto the nearest one", () => {
+  assertNote(correct(midiToFrequency(56.7), { scale: "chromatic" }), 57);
+});
+
+test("skips the notes that aren't in the scale", () => {
+  // C#4 and a bit, in C major, goes up to D4 rather than down to C4.
+  const midi = correct(midiToFrequency(61.3), { scale: "major", key: 0 });
+  assertNote(midi, 62);
+});
+
+test("keeps to the notes of a custom scale", () => {
+  const midi = correct(midiToFrequency(64.2), {
+    scale: "custom",
+    notes: [0, 7],
+  });
+  assertNote(midi, 67);
+});
+
+// The Monotone preset holds everything on A2.
+for (const note of [40, 64, 81]) {
+  test(`holds MIDI note ${note} on a single note, however far away`, () => {
+    assertNote(correct(midiToFrequency(note), { scale: "note", note: 45 }), 45);
+  });
+}
+
+test("leaves a note within the humanize range alone", () => {
+  const midi = correct(
+    midiToFrequency(69.3),
+    { scale: "chromatic" },
+    { humanize: 1 }
+  );
+  assertNote(midi, 69.3);
+});
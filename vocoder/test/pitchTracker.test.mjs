@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAudioWorkletGlobalScope } from "../harness/audioWorkletGlobalScope.mjs";
+import { saw, sine } from "./signals.mjs";
+
+const sampleRate = 48000;
+const scope = createAudioWorkletGlobalScope({ sampleRate });
+await scope.addModule(new URL("../public/pitch-tracker.js", import.meta.url));
+
+// Every reading the tracker posts over half a second of `signal`.
+function track(signal, processorOptions) {
+  const node = scope.createNode("pitch-tracker", { processorOptions });
+  node.render([[signal]]);
+  return node.port.messages;
+}
+
+function cents(measured, frequency) {
+  return 1200 * Math.log2(measured / frequency);
+}
+
+// A1 to B5, by way of a few notes that aren't in tune.
+for (const frequency of [55, 98, 146.83, 220, 311.13, 440, 523.25, 700, 988]) {
+  test(`tracks a ${frequency}Hz sine`, () => {
+    const readings = track(sine(frequency, 0.5, sampleRate));
+    assert.ok(readings.length > 0);
+    for (const { frequency: measured, confidence } of readings) {
+      const error = cents(measured, frequency);
+      assert.ok(Math.abs(error) < 0.2, `${measured}Hz is ${error} cents out`);
+      assert.ok(confidence > 0.9, `confidence ${confidence}`);
+    }
+  });
+}
+
+// Its harmonics pull the reading a little further off than a sine's.
+for (const frequency of [82.41, 196, 440]) {
+  test(`tracks a ${frequency}Hz saw`, () => {
+    const readings = track(saw(frequency, 0.5, sampleRate));
+    assert.ok(readings.length > 0);
+    for (const { frequency: measured } of readings) {
+      const error = cents(measured, frequency);
+      assert.ok(Math.abs(error) < 0.5, `${measured}Hz is ${error} cents out`);
+    }
+  });
+}
+
+test("names the nearest note and how far off it is", () => {
+  const [reading] = track(sine(440 * Math.pow(2, 30 / 1200), 0.5, sampleRate));
+  assert.equal(reading.note, 69);
+  assert.equal(reading.name, "A4");
+  assert.ok(Math.abs(reading.cents - 30) < 0.2, `${reading.cents} cents`);
+});
+
+test("names notes against a custom tuning", () => {
+  const [reading] = track(sine(432, 0.5, sampleRate), { tuning: 432 });
+  assert.equal(reading.name, "A4");
+  assert.ok(Math.abs(reading.cents) < 0.2, `${reading.cents} cents`);
+
+  const [middleC] = track(sine(256.87, 0.5, sampleRate), { tuning: 432 });
+  assert.equal(middleC.name, "C4");
+  assert.equal(middleC.note, 60);
+});
+
+test("reads silence as no pitch", () => {
+  const readings = track(new Float32Array(sampleRate / 2));
+  assert.ok(readings.length > 0);
+  for (const reading of readings) {
+    assert.equal(reading.type, "pitch");
+    assert.equal(reading.frequency, 0);
+    assert.equal(reading.confidence, 0);
+    assert.equal(reading.note, null);
+    assert.equal(reading.name, null);
+    assert.equal(reading.cents, null);
+  }
+});
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  builtInPresets,
+  exportPresets,
+  importPresets,
+  PRESET_FORMAT,
+  PRESET_VERSION,
+  PresetError,
+} from "../src/presets.ts";
+import { defaultEqBands } from "../src/equalizer.ts";
+import { defaultHarmonyVoice } from "../src/harmonizer.ts";
+import { defaultPitchCorrection } from "../src/pitchCorrection.ts";
+import { defaultChannelVocoderConfig } from "../src/channelVocoder.ts";
+
+// A preset file with one preset, its config the first built-in's with the
+// changes applied, and any setting set to undefined left out.
+function presetFile(changes = {}, file = {}) {
+  return JSON.stringify({
+    format: PRESET_FORMAT,
+    version: PRESET_VERSION,
+    presets: [
+      { name: "Test", config: { ...builtInPresets[0].config, ...changes } },
+    ],
+    ...file,
+  });
+}
+
+function rejects(json, message) {
+  assert.throws(
+    () => importPresets(json),
+    (err) => err instanceof PresetError && err.message === message
+  );
+}
+
+test("exported presets import unchanged", () => {
+  assert.deepEqual(
+    importPresets(exportPresets(builtInPresets)),
+    builtInPresets
+  );
+});
+
+test("settings missing from older files fall back to their defaults", () => {
+  const [{ config }] = importPresets(
+    presetFile({
+      eq: undefined,
+      harmony: undefined,
+      pitchCorrection: undefined,
+      channelVocoder: undefined,
+    })
+  );
+  assert.deepEqual(config.eq, defaultEqBands);
+  assert.deepEqual(config.harmony, []);
+  assert.deepEqual(config.pitchCorrection, defaultPitchCorrection);
+  assert.deepEqual(config.channelVocoder, defaultChannelVocoderConfig);
+});
+
+test("rejects an out of range number", () => {
+  rejects(
+    presetFile({ formant: 3 }),
+    "presets[0].config.formant must be a number from 0.05 to 2"
+  );
+});
+
+test("rejects an eq without a band for each filter", () => {
+  rejects(
+    presetFile({ eq: defaultEqBands.slice(1) }),
+    `presets[0].config.eq must be a list of ${defaultEqBands.length} bands`
+  );
+});
+
+test("rejects a harmony voice's gain", () => {
+  rejects(
+    presetFile({ harmony: [{ ...defaultHarmonyVoice, gain: 3 }] }),
+    "presets[0].config.harmony[0].gain must be a number from 0 to 2"
+  );
+});
+
+test("rejects a pitch correction note that isn't a MIDI note", () => {
+  rejects(
+    presetFile({ pitchCorrection: { ...defaultPitchCorrection, note: 60.5 } }),
+    "presets[0].config.pitchCorrection.note must be a MIDI note number"
+  );
+});
+
+test("rejects a setting the vocoder doesn't have", () => {
+  rejects(
+    presetFile({ chorus: 1 }),
+    "presets[0].config.chorus isn't a vocoder setting"
+  );
+});
+
+test("rejects another version", () => {
+  rejects(
+    presetFile({}, { version: PRESET_VERSION + 1 }),
+    `Unsupported preset file version ${
+      PRESET_VERSION + 1
+    }, expected ${PRESET_VERSION}`
+  );
+});
+
+test("rejects a file that isn't JSON", () => {
+  rejects("{", "The preset file isn't valid JSON");
+});
@@ -0,0 +1,45 @@
+// Signals and measurements shared by the worklet tests.
+
+export function sine(frequency, seconds, sampleRate, amplitude = 0.5) {
+  return Float32Array.from(
+    { length: Math.round(seconds * sampleRate) },
+    (_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate)
+  );
+}
+
+export function rms(signal, start = 0, end = signal.length) {
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += signal[i] * signal[i];
+  return Math.sqrt(sum / (end - start));
+}
+
+/**
+ * The frequency of a steady tone from the interpolated times of its rising
+ * zero crossings between `start` and `end`.
+ */
+export function zeroCrossingFrequency(signal, sampleRate, start, end) {
+  const crossings = [];
+  for (let i = Math.max(start, 1); i < end; i++) {
+    const a = signal[i - 1];
+    const b = signal[i];
+    if (a < 0 && b >= 0) crossings.push(i - 1 + a / (a - b));
+  }
+  const periods = crossings.length - 1;
+  return (periods * sampleRate) / (crossings[periods] - crossings[0]);
+}
+
+/**
+ * A band-limited sawtooth: the sum of its harmonics below Nyquist, so there's
+ * no aliasing to pull the pitch about.
+ */
+export function saw(frequency, seconds, sampleRate, amplitude = 0.5) {
+  const signal = new Float32Array(Math.round(seconds * sampleRate));
+  const harmonics = Math.floor(sampleRate / 2 / frequency);
+  for (let i = 0; i < signal.length; i++) {
+    const phase = (2 * Math.PI * frequency * i) / sampleRate;
+    let value = 0;
+    for (let k = 1; k <= harmonics; k++) value += Math.sin(k * phase) / k;
+    signal[i] = (amplitude * 2 * value) / Math.PI;
+  }
+  return signal;
+}
@@ -0,0 +1,5 @@
+// Lets the tests import the app's TypeScript modules from src/, by
+// registering typescriptHooks.mjs: `node --import ./test/typescript.mjs`.
+import { register } from "node:module";
+
+register("./typescriptHooks.mjs", import.meta.url);
@@ -0,0 +1,32 @@
+// Module hooks that strip the types from .ts files with the TypeScript the
+// build uses, and resolve the extensionless imports between them.
+import { readFile } from "node:fs/promises";
+import ts from "typescript";
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    const relative = specifier.startsWith(".") && !/\.\w+$/.test(specifier);
+    if (!relative || !context.parentURL?.endsWith(".ts")) throw err;
+    // As Vite does, a .ts file first, then the .js files src/ has a few of.
+    try {
+      return await nextResolve(`${specifier}.ts`, context);
+    } catch {
+      return nextResolve(`${specifier}.js`, context);
+    }
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (!url.endsWith(".ts")) return nextLoad(url, context);
+  const source = await readFile(new URL(url), "utf8");
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: {
+      module: ts.ModuleKind.ESNext,
+      target: ts.ScriptTarget.ES2019,
+    },
+    fileName: url,
+  });
+  return { format: "module", source: outputText, shortCircuit: true };
+}